@@ -1,6 +1,354 @@
 // Background service worker for Chrome extension
 console.log('Background script loaded');
 
+// Modules export themselves on window, which is the global scope in a worker
+self.window = self;
+importScripts(
+    'modules/storage-manager.js',
+    'modules/provider-registry.js',
+    'modules/model-catalog.js',
+    'modules/ocr-service.js',
+    'modules/ocr-pipeline.js',
+    'modules/output-formatter.js',
+    'modules/prompt-templates.js',
+    'modules/offscreen-ocr-engine.js',
+    'modules/history-store.js',
+    'modules/usage-store.js'
+);
+
+const historyStore = new HistoryStore();
+const usageStore = new UsageStore();
+const storageManager = new StorageManager();
+const modelCatalog = new ModelCatalog(storageManager);
+const outputFormatter = new OutputFormatter();
+
+// The local engine needs a DOM, so it runs in an offscreen document
+const offscreenEngine = new OffscreenOCREngine();
+
+// Content script message for each keyboard shortcut in manifest.json
+const COMMAND_ACTIONS = {
+    'capture-area': {action: 'startCapture'},
+    'capture-visible': {action: 'captureVisible'},
+    'capture-area-ocr': {action: 'startCapture', ocr: true},
+    'repeat-last-area': {action: 'repeatLastArea'},
+    'capture-element-ocr': {action: 'startCapture', ocr: true, mode: 'element'}
+};
+
+// Running OCR jobs by tab id, so a panel can cancel its own job
+const ocrJobs = new Map();
+
+// Minimum time between partial text updates sent to a tab
+const PARTIAL_UPDATE_INTERVAL = 100;
+
+// Content modules must be injected before content.js, which uses them
+const CONTENT_SCRIPT_FILES = [
+    'content-modules/area-capture.js',
+    'content-modules/image-cropper.js',
+    'content-modules/image-preprocessor.js',
+    'content-modules/full-page-capture.js',
+    'content-modules/element-image-reader.js',
+    'content-modules/ocr-panel.js',
+    'content-modules/frame-bridge.js',
+    'modules/ocr-pipeline.js',
+    'content.js'
+];
+
+// Embedded frames get a frame agent, so the top frame can pick and scroll their elements
+const FRAME_SCRIPT_FILES = [
+    'content-modules/area-capture.js',
+    'content-modules/frame-agent.js'
+];
+
+/**
+ * Run chrome.scripting.executeScript as a promise
+ * @param {Object} injection - Script injection
+ * @returns {Promise<Array<Object>>} Injection results {frameId, result}
+ */
+function executeScript(injection) {
+    return new Promise((resolve, reject) => {
+        chrome.scripting.executeScript(injection, (results) => {
+            if (chrome.runtime.lastError) {
+                reject(new Error(chrome.runtime.lastError.message));
+                return;
+            }
+            resolve(results || []);
+        });
+    });
+}
+
+/**
+ * Inject the content scripts into a tab unless they are already loaded
+ * The top frame gets the content script, embedded frames a frame agent. Frames the
+ * extension has no access to (cross-origin without host permission) are left out,
+ * the element picker tells the user when they hover one
+ * @param {number} tabId - Target tab
+ * @returns {Promise<void>}
+ */
+async function ensureContentScript(tabId) {
+    const isLoaded = () => !!(window.screenshotOCRLoaded || window.screenshotOCRFrameAgent);
+
+    let results;
+    try {
+        results = await executeScript({target: {tabId, allFrames: true}, func: isLoaded});
+    } catch (error) {
+        console.warn('Frame lookup failed, injecting into the top frame only:', error.message);
+        results = await executeScript({target: {tabId}, func: isLoaded});
+    }
+
+    const missing = results.filter(result => !result.result).map(result => result.frameId);
+    if (missing.includes(0)) {
+        await executeScript({target: {tabId, frameIds: [0]}, files: CONTENT_SCRIPT_FILES});
+    }
+
+    // Picking inside frames is optional, captures work without it
+    const frameIds = missing.filter(frameId => frameId !== 0);
+    if (frameIds.length > 0) {
+        try {
+            await executeScript({target: {tabId, frameIds}, files: FRAME_SCRIPT_FILES});
+        } catch (error) {
+            console.warn('Failed to inject frame agents:', error.message);
+        }
+    }
+}
+
+/**
+ * Check whether a tab shows a page extensions are not allowed to capture
+ * @param {string} url - Tab URL
+ * @returns {boolean} Whether the page is a system page
+ */
+function isSystemPage(url) {
+    return !url || url.startsWith('chrome://') || url.startsWith('chrome-extension://') ||
+        url.startsWith('edge://') || url.startsWith('about:');
+}
+
+/**
+ * Load the provider registry with the user's custom providers and the model catalogs cached by the popup
+ * @returns {Promise<ProviderRegistry>} Providers
+ */
+async function loadProviders() {
+    const providers = new ProviderRegistry();
+    providers.setCustomProviders(await storageManager.getCustomProviders());
+    await modelCatalog.applyCached(providers);
+    return providers;
+}
+
+/**
+ * Load the prompt templates saved in the popup
+ * @returns {Promise<PromptTemplates>} Templates
+ */
+async function loadTemplates() {
+    const templates = new PromptTemplates();
+    templates.setTemplates(await storageManager.getPromptTemplates());
+    return templates;
+}
+
+/**
+ * Extract text with the provider, model and prompt chosen in the popup, or an explicit model
+ * The content script has already preprocessed the image and fitted it to the size budget
+ * @param {ProviderRegistry} providers - Providers
+ * @param {Object} image - Prepared image {imageData, historyId, info}, historyId being the entry to store the text on
+ * @param {Object} selection - Model to use instead of the saved one {model, providerId} (optional)
+ * @param {Object} page - Page the image came from {url, title}, for template variables (optional)
+ * @param {Function} onProgress - Receives progress messages (optional)
+ * @param {Object} options - Streaming and cancellation {onPartial, signal} (optional)
+ * @returns {Promise<Object>} Result {text, model, mode, formats, warnings, language, translation, failures, source}
+ */
+async function runOCR(providers, image, selection = {}, page = {}, onProgress = () => {}, options = {}) {
+    const settings = await storageManager.getOCRSettings(providers, selection);
+    const pipeline = new OCRPipeline(new OCRService(offscreenEngine, providers), {
+        formatter: outputFormatter,
+        templates: await loadTemplates(),
+        usage: usageStore,
+        history: historyStore
+    });
+
+    onProgress(`🔍 Extracting text with ${settings.model}...`);
+    return pipeline.run(image.imageData, settings, {
+        ...options,
+        page,
+        historyId: image.historyId,
+        imageInfo: image.info,
+        onRetry: ({attempt, delay}) => onProgress(`⏳ Retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt})...`),
+        onFallback: ({model, next}) => onProgress(`⚠️ ${model} failed, trying ${next}...`),
+        onTranslate: (language) => onProgress(`🌐 Translating to ${language}...`)
+    });
+}
+
+/**
+ * Run OCR for a tab and report progress and the result to its OCR panel
+ * The areas of a multi-area capture are read one after the other and combined in selection order
+ * @param {Object} tab - Tab that captured the images
+ * @param {Array<Object>} images - Prepared images {imageData, historyId, info}, historyId being the entry to store the text on
+ * @param {Object} selection - Model chosen in the panel {model, providerId} (optional)
+ * @returns {Promise<void>}
+ */
+async function runOCRJob(tab, images, selection = {}) {
+    const notifyTab = (message) => {
+        chrome.tabs.sendMessage(tab.id, message, () => {
+            // The tab may have been closed or navigated away meanwhile
+            void chrome.runtime.lastError;
+        });
+    };
+
+    // A new job replaces the one still running in the same tab
+    cancelOCRJob(tab.id);
+    const controller = new AbortController();
+    ocrJobs.set(tab.id, controller);
+
+    let models = [];
+    let lastPartialUpdate = 0;
+
+    try {
+        const providers = await loadProviders();
+
+        // The panel offers these for re-running OCR
+        models = providers.listModels();
+
+        const page = {url: tab.url, title: tab.title};
+        const results = [];
+
+        for (const [index, image] of images.entries()) {
+            const area = images.length > 1 ? ` (area ${index + 1} of ${images.length})` : '';
+
+            results.push(await runOCR(providers, image, selection, page, (message) => {
+                notifyTab({action: 'ocrProgress', message: message + area});
+            }, {
+                signal: controller.signal,
+                onPartial: (text) => {
+                    // Streams arrive in many small chunks, don't flood the tab with messages
+                    const now = Date.now();
+                    if (now - lastPartialUpdate >= PARTIAL_UPDATE_INTERVAL) {
+                        lastPartialUpdate = now;
+                        const done = results.map(result => result.text);
+                        notifyTab({action: 'ocrPartial', text: [...done, text].filter(Boolean).join('\n\n')});
+                    }
+                }
+            }));
+        }
+
+        // Each area's text stays available for showing it separately
+        const result = results.length > 1
+            ? {...outputFormatter.combineRegions(results), regions: results.map(({text, translation}) => ({text, translation}))}
+            : results[0];
+        notifyTab({action: 'ocrResult', ...result, historyId: images[0].historyId, models});
+    } catch (error) {
+        if (controller.signal.aborted) {
+            console.log('OCR cancelled for tab:', tab.id);
+            notifyTab({action: 'ocrError', error: error.message, cancelled: true, models});
+            return;
+        }
+
+        console.error('OCR failed:', error);
+        notifyTab({action: 'ocrError', error: error.message, models});
+    } finally {
+        if (ocrJobs.get(tab.id) === controller) {
+            ocrJobs.delete(tab.id);
+        }
+    }
+}
+
+/**
+ * Cancel the OCR job running for a tab
+ * @param {number} tabId - Tab id
+ * @returns {boolean} True if a job was cancelled
+ */
+function cancelOCRJob(tabId) {
+    const controller = ocrJobs.get(tabId);
+    if (!controller) {
+        return false;
+    }
+
+    ocrJobs.delete(tabId);
+    controller.abort();
+    return true;
+}
+
+/**
+ * Send a capture message to the content script of a tab
+ * @param {Object} tab - Target tab
+ * @param {Object} message - Content script message
+ * @returns {Promise<void>}
+ */
+async function sendCaptureMessage(tab, message) {
+    if (isSystemPage(tab.url)) {
+        throw new Error('Cannot capture system pages (chrome://, extension pages, etc.)');
+    }
+
+    await ensureContentScript(tab.id);
+
+    // Only the top frame's content script captures, frame agents ignore other messages anyway
+    const response = await chrome.tabs.sendMessage(tab.id, message, {frameId: 0});
+    if (response && !response.success) {
+        throw new Error(response.error);
+    }
+}
+
+/**
+ * Create the right-click menu entries
+ */
+function createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: 'ocr-element',
+            title: 'Extract text from this image',
+            contexts: ['image', 'video']
+        });
+
+        // Chrome reports canvases as the page context, so the content script shows this entry when a canvas is right-clicked
+        chrome.contextMenus.create({
+            id: 'ocr-canvas',
+            title: 'Extract text from this canvas',
+            contexts: ['page'],
+            visible: false
+        });
+
+        chrome.contextMenus.create({
+            id: 'capture-area-ocr',
+            title: 'Capture area and OCR',
+            contexts: ['page']
+        });
+
+        chrome.contextMenus.create({
+            id: 'capture-element-ocr',
+            title: 'Pick element and OCR',
+            contexts: ['page']
+        });
+    });
+}
+
+chrome.contextMenus.onClicked.addListener(function(info, tab) {
+    console.log('Background received context menu click:', info.menuItemId);
+
+    const messages = {
+        'ocr-element': {action: 'ocrElement', srcUrl: info.srcUrl, mediaType: info.mediaType},
+        'ocr-canvas': {action: 'ocrElement', mediaType: 'canvas'},
+        'capture-area-ocr': COMMAND_ACTIONS['capture-area-ocr'],
+        'capture-element-ocr': COMMAND_ACTIONS['capture-element-ocr']
+    };
+    const message = messages[info.menuItemId];
+
+    if (!message || !tab) {
+        return;
+    }
+
+    sendCaptureMessage(tab, message).catch(error => {
+        console.error('Context menu action failed:', error);
+    });
+});
+
+chrome.commands.onCommand.addListener(function(command, tab) {
+    console.log('Background received command:', command);
+    const message = COMMAND_ACTIONS[command];
+
+    if (!message || !tab) {
+        return;
+    }
+
+    sendCaptureMessage(tab, message).catch(error => {
+        console.error('Command failed:', error);
+    });
+});
+
 chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
     console.log('Background received message:', request);
     if (request.action === 'captureFullPage') {
@@ -18,30 +366,127 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
             console.log('Active tab:', tab.url);
             
             // Check if we can capture this tab
-            if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://') || tab.url.startsWith('edge://') || tab.url.startsWith('about:')) {
+            if (isSystemPage(tab.url)) {
                 console.error('Cannot capture system pages');
                 sendResponse({error: 'Cannot capture system pages (chrome://, extension pages, etc.)'});
                 return;
             }
             
-            // Capture the visible tab
-            chrome.tabs.captureVisibleTab(tab.windowId, {format: 'png'}, function(dataUrl) {
-                if (chrome.runtime.lastError) {
-                    console.error('Capture failed:', chrome.runtime.lastError);
-                    sendResponse({error: chrome.runtime.lastError.message});
-                    return;
-                }
-                
-                console.log('Screenshot captured successfully, size:', dataUrl.length);
-                sendResponse({imageData: dataUrl});
+            // Let the content script scroll the page and stitch the slices
+            ensureContentScript(tab.id).then(() => {
+                chrome.tabs.sendMessage(tab.id, {action: 'captureFullPage'}, function(response) {
+                    if (chrome.runtime.lastError) {
+                        console.error('Full page capture failed:', chrome.runtime.lastError);
+                        sendResponse({error: chrome.runtime.lastError.message});
+                        return;
+                    }
+                    
+                    if (!response || !response.success) {
+                        sendResponse({error: response?.error || 'Full page capture failed'});
+                        return;
+                    }
+                    
+                    console.log('Full page captured successfully, size:', response.imageData.length);
+                    sendResponse({imageData: response.imageData});
+                });
+            }).catch(error => {
+                console.error('Content script injection failed:', error);
+                sendResponse({error: error.message});
             });
         });
         return true;
     }
     
+    if (request.action === 'ensureContentScript') {
+        ensureContentScript(request.tabId)
+            .then(() => sendResponse({success: true}))
+            .catch(error => sendResponse({error: error.message}));
+        return true;
+    }
+    
+    if (request.action === 'saveHistoryEntry') {
+        // Content scripts cannot reach the extension's IndexedDB directly
+        historyStore.addEntry(request.entry)
+            .then(id => sendResponse({id}))
+            .catch(error => {
+                console.error('Failed to save history entry:', error);
+                sendResponse({error: error.message});
+            });
+        return true;
+    }
+    
+    if (request.action === 'updateHistoryEntry') {
+        historyStore.updateEntry(request.id, request.changes)
+            .then(() => sendResponse({success: true}))
+            .catch(error => {
+                console.error('Failed to update history entry:', error);
+                sendResponse({error: error.message});
+            });
+        return true;
+    }
+    
+    if (request.action === 'runOCR') {
+        if (!sender.tab) {
+            sendResponse({success: false, error: 'OCR jobs must come from a tab'});
+            return false;
+        }
+
+        if (!Array.isArray(request.images) || request.images.length === 0) {
+            sendResponse({success: false, error: 'No image to run OCR on'});
+            return false;
+        }
+
+        // Results go to the tab's OCR panel, so the job outlives the popup
+        runOCRJob(sender.tab, request.images, {
+            model: request.model,
+            providerId: request.providerId
+        });
+        sendResponse({success: true});
+        return false;
+    }
+    
+    if (request.action === 'cancelOCR') {
+        sendResponse({success: !!sender.tab && cancelOCRJob(sender.tab.id)});
+        return false;
+    }
+
+    if (request.action === 'frameRequest') {
+        // Relay a request of the top frame's content script to the frame agent of one of its frames
+        chrome.tabs.sendMessage(sender.tab.id, {action: 'frameRequest', request: request.request}, {frameId: request.frameId}, (response) => {
+            if (chrome.runtime.lastError) {
+                sendResponse({error: chrome.runtime.lastError.message});
+                return;
+            }
+            sendResponse(response);
+        });
+        return true;
+    }
+
+    if (request.action === 'setCanvasMenuVisible') {
+        chrome.contextMenus.update('ocr-canvas', {visible: !!request.visible}, () => {
+            void chrome.runtime.lastError;
+        });
+        return false;
+    }
+    
+    if (request.action === 'startAreaOCR') {
+        chrome.tabs.query({active: true, currentWindow: true}, function(tabs) {
+            if (tabs.length === 0) {
+                sendResponse({error: 'No active tab found'});
+                return;
+            }
+
+            sendCaptureMessage(tabs[0], COMMAND_ACTIONS['capture-area-ocr'])
+                .then(() => sendResponse({success: true}))
+                .catch(error => sendResponse({error: error.message}));
+        });
+        return true;
+    }
+    
     if (request.action === 'captureVisibleTab') {
-        // Capture the visible tab
-        chrome.tabs.captureVisibleTab(null, {format: 'png'}, function(dataUrl) {
+        // Capture the visible tab of the window the request came from
+        const windowId = sender.tab ? sender.tab.windowId : null;
+        chrome.tabs.captureVisibleTab(windowId, {format: 'png'}, function(dataUrl) {
             if (chrome.runtime.lastError) {
                 console.error('Capture failed:', chrome.runtime.lastError);
                 sendResponse({error: chrome.runtime.lastError.message});
@@ -63,4 +508,5 @@ chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
 // Handle extension installation
 chrome.runtime.onInstalled.addListener(function() {
     console.log('Screenshot Plus OCR extension installed');
+    createContextMenus();
 });
\ No newline at end of file
@@ -1,37 +1,87 @@
 /**
  * Area Capture Module
- * Handles area selection overlay and user interaction for screenshot capture
+ * Handles area selection overlay and user interaction for screenshot capture,
+ * either drawing areas or picking page elements, including elements inside frames
  */
 
 class AreaCapture {
-    constructor(documentRef = null) {
+    constructor(documentRef = null, frameBridge = null) {
         this.isActive = false;
         this.isDrawing = false;
         this.overlay = null;
         this.selectionBox = null;
+        this.instructions = null;
+        this.sizeLabel = null;
+        this.handles = [];
+        this.regions = [];
+        this.regionBoxes = [];
+        this.isAdjusting = false;
+        this.dragMode = null;
+        this.dragOrigin = null;
+        this.mode = 'area';
+        this.elementChain = [];
+        this.elementLevel = 0;
+        this.isPicking = false;
+        this.remoteHover = null;
+        this.remoteRequest = null;
+        this.unreachableFrame = null;
         this.startX = 0;
         this.startY = 0;
         this.endX = 0;
         this.endY = 0;
         this.onCompleteCallback = null;
         this.onCancelCallback = null;
+        this.originalScrollPosition = null;
+        this.preventScroll = null;
+        this.lastPointer = null;
+        this.autoScrollTimer = null;
+        this.autoScrollSpeed = 0;
         
+        // Dragging near the top or bottom edge scrolls the page, faster closer to the edge
+        this.autoScrollEdge = 40;
+        this.autoScrollMaxSpeed = 30;
+
+        // Adjusting a drawn selection
+        this.handleSize = 8;
+        this.handleCursors = {
+            n: 'ns-resize', s: 'ns-resize', e: 'ew-resize', w: 'ew-resize',
+            nw: 'nwse-resize', se: 'nwse-resize', ne: 'nesw-resize', sw: 'nesw-resize',
+            move: 'move'
+        };
+        this.nudgeKeys = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+        
+        // Picked elements whose text is not in the DOM
+        this.mediaTags = ['IMG', 'CANVAS', 'VIDEO', 'SVG', 'PICTURE', 'IFRAME', 'OBJECT', 'EMBED'];
+        this.frameTags = ['IFRAME', 'FRAME'];
+
         // Allow dependency injection for testing
         this.doc = documentRef || document;
+
+        // Looks into cross-origin frames (optional, see FrameBridge)
+        this.frameBridge = frameBridge;
         
         // Bind methods to maintain context
         this.handleMouseDown = this.handleMouseDown.bind(this);
         this.handleMouseMove = this.handleMouseMove.bind(this);
         this.handleMouseUp = this.handleMouseUp.bind(this);
         this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handleScroll = this.handleScroll.bind(this);
+        this.autoScrollStep = this.autoScrollStep.bind(this);
     }
 
     /**
      * Start area selection process
      * @param {Function} onComplete - Callback when area is selected
      * @param {Function} onCancel - Callback when selection is cancelled
+     * @param {Object} options - Options {mode: 'area' to draw or 'element' to pick an element} (optional)
      */
-    start(onComplete, onCancel) {
+    start(onComplete, onCancel, options = {}) {
         if (this.isActive) {
             throw new Error('Area capture is already active');
         }
@@ -42,6 +92,7 @@ class AreaCapture {
 
         this.createOverlay();
         this.attachEventListeners();
+        this.setMode(options.mode);
     }
 
     /**
@@ -52,6 +103,7 @@ class AreaCapture {
             return;
         }
 
+        this.stopAutoScroll();
         this.detachEventListeners();
         this.removeOverlay();
         this.reset();
@@ -83,18 +135,42 @@ class AreaCapture {
         this.setSelectionBoxStyles();
         this.selectionBox.style.display = 'none';
 
+        // Resize handles, shown once the drawn selection can be adjusted
+        this.handles = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w'].map(position => {
+            const handle = this.doc.createElement('div');
+            this.setHandleStyles(handle, position);
+            this.selectionBox.appendChild(handle);
+            return handle;
+        });
+
+        // Live width × height readout
+        this.sizeLabel = this.doc.createElement('div');
+        this.sizeLabel.id = 'screenshot-ocr-size';
+        this.setSizeLabelStyles();
+        this.sizeLabel.style.display = 'none';
+
         // Create instructions
-        const instructions = this.doc.createElement('div');
-        instructions.id = 'screenshot-ocr-instructions';
-        instructions.textContent = 'Click and drag to select an area. Press ESC to cancel.';
-        this.setInstructionsStyles(instructions);
+        this.instructions = this.doc.createElement('div');
+        this.instructions.id = 'screenshot-ocr-instructions';
+        this.setInstructionsStyles(this.instructions);
+        this.updateInstructions();
 
         this.overlay.appendChild(this.selectionBox);
-        this.overlay.appendChild(instructions);
+        this.overlay.appendChild(this.sizeLabel);
+        this.overlay.appendChild(this.instructions);
         this.doc.body.appendChild(this.overlay);
 
-        // Hide scrollbars during capture
-        this.doc.body.style.overflow = 'hidden';
+        // Selections are kept in document coordinates, so the wheel may scroll the page while drawing
+        // (element picking uses it to walk ancestors). Other scrolling is prevented without
+        // changing overflow (which causes scroll to top)
+        this.originalScrollPosition = this.getScrollPosition();
+        this.preventScroll = (e) => {
+            if (e.type === 'wheel' && this.mode !== 'element') return;
+            e.preventDefault();
+            e.stopPropagation();
+        };
+        this.doc.addEventListener('wheel', this.preventScroll, { passive: false });
+        this.doc.addEventListener('touchmove', this.preventScroll, { passive: false });
     }
 
     /**
@@ -106,9 +182,24 @@ class AreaCapture {
             this.overlay = null;
         }
         this.selectionBox = null;
+        this.instructions = null;
+        this.sizeLabel = null;
+        this.handles = [];
+        this.regionBoxes = [];
+
+        // Remove scroll prevention and restore original position
+        if (this.preventScroll) {
+            this.doc.removeEventListener('wheel', this.preventScroll);
+            this.doc.removeEventListener('touchmove', this.preventScroll);
+            this.preventScroll = null;
+        }
 
-        // Restore scrollbars
-        this.doc.body.style.overflow = '';
+        if (this.originalScrollPosition) {
+            // A page with smooth scrolling would still be moving when the screenshot is taken
+            const win = this.doc.defaultView || window;
+            win.scrollTo({left: this.originalScrollPosition.x, top: this.originalScrollPosition.y, behavior: 'instant'});
+            this.originalScrollPosition = null;
+        }
     }
 
     /**
@@ -140,6 +231,73 @@ class AreaCapture {
         `;
     }
 
+    /**
+     * Set styles of a resize handle
+     * @param {HTMLElement} handle - Handle element
+     * @param {string} position - Edge or corner ('n', 'ne', 'e', ...)
+     */
+    setHandleStyles(handle, position) {
+        const left = position.includes('w') ? '0%' : position.includes('e') ? '100%' : '50%';
+        const top = position.includes('n') ? '0%' : position.includes('s') ? '100%' : '50%';
+
+        handle.style.cssText = `
+            position: absolute;
+            left: ${left};
+            top: ${top};
+            width: ${this.handleSize}px;
+            height: ${this.handleSize}px;
+            transform: translate(-50%, -50%);
+            background-color: white;
+            border: 1px solid #007acc;
+            box-sizing: border-box;
+            display: none;
+        `;
+    }
+
+    /**
+     * Set size readout styles
+     */
+    setSizeLabelStyles() {
+        this.sizeLabel.style.cssText = `
+            position: absolute;
+            background-color: rgba(0, 0, 0, 0.8);
+            color: white;
+            padding: 2px 6px;
+            border-radius: 3px;
+            font-family: Arial, sans-serif;
+            font-size: 12px;
+            white-space: nowrap;
+            pointer-events: none;
+        `;
+    }
+
+    /**
+     * Set styles of a selected region and its number label
+     * @param {HTMLElement} box - Region box
+     * @param {HTMLElement} label - Number label
+     */
+    setRegionStyles(box, label) {
+        box.style.cssText = `
+            position: absolute;
+            border: 2px solid #007acc;
+            background-color: rgba(0, 122, 204, 0.2);
+            box-shadow: 0 0 0 1px rgba(255, 255, 255, 0.5);
+            pointer-events: none;
+        `;
+        label.style.cssText = `
+            position: absolute;
+            top: 0;
+            left: 0;
+            background-color: #007acc;
+            color: white;
+            padding: 1px 6px;
+            border-bottom-right-radius: 4px;
+            font-family: Arial, sans-serif;
+            font-size: 12px;
+            font-weight: bold;
+        `;
+    }
+
     /**
      * Set instructions styles
      */
@@ -168,10 +326,11 @@ class AreaCapture {
         this.doc.addEventListener('mousemove', this.handleMouseMove);
         this.doc.addEventListener('mouseup', this.handleMouseUp);
         this.doc.addEventListener('keydown', this.handleKeyDown);
+        this.doc.addEventListener('wheel', this.handleWheel, { passive: false });
+        this.doc.addEventListener('scroll', this.handleScroll, true);
         
-        // Make overlay focusable for keyboard events
+        // Make overlay focusable for keyboard events, but don't focus it to avoid scrolling issues
         this.overlay.setAttribute('tabindex', '0');
-        this.overlay.focus();
     }
 
     /**
@@ -184,6 +343,8 @@ class AreaCapture {
         this.doc.removeEventListener('mousemove', this.handleMouseMove);
         this.doc.removeEventListener('mouseup', this.handleMouseUp);
         this.doc.removeEventListener('keydown', this.handleKeyDown);
+        this.doc.removeEventListener('wheel', this.handleWheel);
+        this.doc.removeEventListener('scroll', this.handleScroll, true);
     }
 
     /**
@@ -193,12 +354,34 @@ class AreaCapture {
         if (!this.isActive) return;
         
         event.preventDefault();
+
+        // Picked elements are captured on release, nothing is drawn
+        if (this.mode === 'element') {
+            this.isPicking = !!this.getPickedElement();
+            return;
+        }
+
+        // Dragging the selection being adjusted moves or resizes it
+        const point = this.toDocumentPoint(event);
+        this.lastPointer = {clientX: event.clientX, clientY: event.clientY};
+        const target = this.isAdjusting ? this.getHitTarget(point.x, point.y) : null;
+        if (target) {
+            this.dragMode = target;
+            this.dragOrigin = {x: point.x, y: point.y, area: this.getSelectedArea()};
+            return;
+        }
+
+        // Shift-drawing elsewhere keeps it as an area of a multi-area selection, a plain drag replaces it
+        if (this.isAdjusting && event.shiftKey) {
+            this.addRegion(this.getSelectedArea());
+        }
+        this.setAdjusting(false);
         this.isDrawing = true;
         
-        this.startX = event.clientX;
-        this.startY = event.clientY;
-        this.endX = event.clientX;
-        this.endY = event.clientY;
+        this.startX = point.x;
+        this.startY = point.y;
+        this.endX = point.x;
+        this.endY = point.y;
         
         this.updateSelectionBox();
         this.selectionBox.style.display = 'block';
@@ -208,19 +391,62 @@ class AreaCapture {
      * Handle mouse move event
      */
     handleMouseMove(event) {
-        if (!this.isActive || !this.isDrawing) return;
+        if (!this.isActive) return;
+
+        if (this.mode === 'element') {
+            this.hoverElement(event.clientX, event.clientY);
+            return;
+        }
+
+        const point = this.toDocumentPoint(event);
+        this.lastPointer = {clientX: event.clientX, clientY: event.clientY};
+
+        if (this.dragMode) {
+            this.dragSelection(point.x - this.dragOrigin.x, point.y - this.dragOrigin.y);
+            this.updateAutoScroll(event.clientY);
+            return;
+        }
+
+        if (this.isAdjusting) {
+            // Show what dragging from here would do
+            const target = this.getHitTarget(point.x, point.y);
+            this.overlay.style.cursor = this.handleCursors[target] || 'crosshair';
+            return;
+        }
+
+        if (!this.isDrawing) return;
         
-        this.endX = event.clientX;
-        this.endY = event.clientY;
+        this.endX = point.x;
+        this.endY = point.y;
         
         this.updateSelectionBox();
+        this.updateAutoScroll(event.clientY);
     }
 
     /**
      * Handle mouse up event
      */
     handleMouseUp(event) {
-        if (!this.isActive || !this.isDrawing) return;
+        if (!this.isActive) return;
+
+        this.stopAutoScroll();
+
+        if (this.mode === 'element') {
+            if (this.isPicking) {
+                this.isPicking = false;
+                this.pickElement(event.shiftKey);
+            }
+            return;
+        }
+
+        if (this.dragMode) {
+            this.dragMode = null;
+            this.dragOrigin = null;
+            this.normalizeSelection();
+            return;
+        }
+
+        if (!this.isDrawing) return;
         
         this.isDrawing = false;
         
@@ -229,11 +455,20 @@ class AreaCapture {
         // Validate selection size
         if (area.width < 10 || area.height < 10) {
             this.showError('Selection too small. Please select a larger area.');
-            this.selectionBox.style.display = 'none';
+            this.hideSelection();
+            return;
+        }
+        
+        // Shift adds the area to a multi-area selection right away
+        if (event.shiftKey) {
+            this.addRegion(area);
+            this.hideSelection();
             return;
         }
         
-        this.completeSelection(area);
+        // Otherwise it stays adjustable until it is confirmed
+        this.normalizeSelection();
+        this.setAdjusting(true);
     }
 
     /**
@@ -245,17 +480,855 @@ class AreaCapture {
         if (event.key === 'Escape') {
             event.preventDefault();
             this.cancel();
+        } else if (event.key === 'Enter' && (this.isAdjusting || this.regions.length > 0)) {
+            event.preventDefault();
+            this.confirm();
+        } else if (this.isAdjusting && this.nudgeKeys[event.key]) {
+            event.preventDefault();
+            const [dx, dy] = this.nudgeKeys[event.key];
+            const step = event.shiftKey ? 10 : 1;
+            this.moveSelection(this.getSelectedArea(), dx * step, dy * step);
+        } else if (event.key.toLowerCase() === 'e' && !event.ctrlKey && !event.metaKey && !event.altKey &&
+            !this.isDrawing && !this.dragMode) {
+            event.preventDefault();
+            this.setMode(this.mode === 'element' ? 'area' : 'element');
+        } else if ((event.key === 'Backspace' || (event.key.toLowerCase() === 'z' && (event.ctrlKey || event.metaKey))) &&
+            !this.isDrawing) {
+            event.preventDefault();
+            this.undoRegion();
+        }
+    }
+
+    /**
+     * Walk the ancestors of the hovered element with the wheel, up to grow and down to shrink
+     * @param {WheelEvent} event - Wheel event
+     */
+    handleWheel(event) {
+        if (!this.isActive || this.mode !== 'element' || this.elementChain.length === 0) return;
+
+        const level = this.elementLevel + (event.deltaY < 0 ? 1 : -1);
+        this.elementLevel = Math.min(Math.max(0, level), this.elementChain.length - 1);
+        this.highlightElement();
+    }
+
+    /**
+     * Keep the selection under the cursor while the page scrolls, and the selected areas on their content
+     */
+    handleScroll() {
+        if (!this.isActive) return;
+
+        if (this.mode === 'element') {
+            this.highlightElement();
+            return;
+        }
+
+        if (this.lastPointer && (this.isDrawing || this.dragMode)) {
+            const point = this.toDocumentPoint(this.lastPointer);
+            if (this.dragMode) {
+                this.dragSelection(point.x - this.dragOrigin.x, point.y - this.dragOrigin.y);
+            } else {
+                this.endX = point.x;
+                this.endY = point.y;
+            }
+        }
+
+        if (this.isDrawing || this.dragMode || this.isAdjusting) {
+            this.updateSelectionBox();
+        }
+        this.updateRegionBoxes();
+    }
+
+    /**
+     * Start, adjust or stop scrolling the page depending on how close the cursor is to the top or bottom edge
+     * @param {number} clientY - Cursor position in the viewport
+     */
+    updateAutoScroll(clientY) {
+        const height = this.getViewportSize().height;
+        const edge = this.autoScrollEdge;
+
+        let depth = 0;
+        if (clientY < edge) {
+            depth = -(edge - Math.max(clientY, 0));
+        } else if (clientY > height - edge) {
+            depth = Math.min(clientY, height) - (height - edge);
+        }
+
+        if (depth === 0) {
+            this.stopAutoScroll();
+            return;
+        }
+
+        this.autoScrollSpeed = Math.ceil(Math.abs(depth) / edge * this.autoScrollMaxSpeed) * Math.sign(depth);
+        if (!this.autoScrollTimer) {
+            this.autoScrollTimer = setInterval(this.autoScrollStep, 16);
+        }
+    }
+
+    /**
+     * Scroll the page one step and extend the selection with it
+     */
+    autoScrollStep() {
+        const win = this.doc.defaultView || window;
+        if (!this.isActive || typeof win.scrollBy !== 'function') {
+            this.stopAutoScroll();
+            return;
+        }
+
+        win.scrollBy(0, this.autoScrollSpeed);
+        this.handleScroll();
+    }
+
+    /**
+     * Stop scrolling the page
+     */
+    stopAutoScroll() {
+        if (this.autoScrollTimer) {
+            clearInterval(this.autoScrollTimer);
+            this.autoScrollTimer = null;
+        }
+        this.autoScrollSpeed = 0;
+    }
+
+    /**
+     * Get how far the page is scrolled
+     * @returns {Object} Scroll position in CSS pixels {x, y}
+     */
+    getScrollPosition() {
+        const win = this.doc.defaultView || window;
+        return {
+            x: win.scrollX || win.pageXOffset || 0,
+            y: win.scrollY || win.pageYOffset || 0
+        };
+    }
+
+    /**
+     * Turn a viewport point into document coordinates
+     * @param {Object} point - Point {clientX, clientY}
+     * @returns {Object} Document point {x, y}
+     */
+    toDocumentPoint(point) {
+        const scroll = this.getScrollPosition();
+        return {x: point.clientX + scroll.x, y: point.clientY + scroll.y};
+    }
+
+    /**
+     * Get the part of the document a selection can cover
+     * Selections can extend past the viewport vertically, horizontally they stay
+     * within the columns visible when the capture started
+     * @returns {Object} Bounds in document coordinates {left, top, right, bottom}
+     */
+    getSelectionBounds() {
+        const viewport = this.getViewportSize();
+        const origin = this.originalScrollPosition || {x: 0, y: 0};
+        const scroll = this.getScrollPosition();
+
+        return {
+            left: origin.x,
+            top: 0,
+            right: origin.x + viewport.width,
+            bottom: Math.max(this.doc.documentElement.scrollHeight || 0, scroll.y + viewport.height)
+        };
+    }
+
+    /**
+     * Switch between drawing areas and picking elements
+     * A selection being adjusted is dropped, areas selected so far are kept
+     * @param {string} mode - 'area' or 'element'
+     */
+    setMode(mode) {
+        this.mode = mode === 'element' ? 'element' : 'area';
+        this.isDrawing = false;
+        this.isPicking = false;
+        this.elementChain = [];
+        this.elementLevel = 0;
+        this.remoteHover = null;
+        this.unreachableFrame = null;
+
+        this.setAdjusting(false);
+        this.hideSelection();
+        this.overlay.style.cursor = this.mode === 'element' ? 'default' : 'crosshair';
+    }
+
+    /**
+     * Highlight the element under the cursor
+     * @param {number} x - Viewport x
+     * @param {number} y - Viewport y
+     */
+    hoverElement(x, y) {
+        const element = this.getElementAt(x, y);
+
+        // Elements of cross-origin frames are looked up by the frame's own content script
+        if (this.isRemoteFrame(element)) {
+            this.hoverRemoteFrame(element, x, y);
+            return;
+        }
+        this.remoteHover = null;
+        this.setUnreachableFrame(null);
+
+        // Moving within the same element keeps the ancestor picked with the wheel
+        if (element && element === this.elementChain[0]) {
+            return;
+        }
+
+        this.setElementChain(element);
+    }
+
+    /**
+     * Ask a cross-origin frame for its elements under the cursor
+     * One request runs at a time, the cursor position at its end is asked for next
+     * @param {Element} frame - Cross-origin iframe
+     * @param {number} x - Viewport x
+     * @param {number} y - Viewport y
+     */
+    hoverRemoteFrame(frame, x, y) {
+        this.remoteHover = {frame, x, y};
+        if (this.remoteRequest) return;
+
+        const offset = this.getFrameOffset(frame);
+        this.remoteRequest = this.frameBridge.elementsAt(frame, x - offset.x, y - offset.y)
+            .then((elements) => ({elements, reachable: true}))
+            .catch((error) => {
+                console.log('AreaCapture: Failed to look into frame:', error.message);
+                return {elements: [], reachable: false};
+            })
+            .then(({elements, reachable}) => {
+                this.remoteRequest = null;
+                const hover = this.remoteHover;
+                if (!this.isActive || this.mode !== 'element' || !hover || hover.frame !== frame) {
+                    return;
+                }
+
+                // Without an agent in the frame, the iframe itself is picked
+                this.setUnreachableFrame(reachable ? null : frame);
+                const element = elements[0] || frame;
+                const current = this.elementChain[0];
+                if (current !== element && !(current && current.ownerFrame === frame && current.key === element.key)) {
+                    this.setElementChain(element);
+                }
+
+                if (hover.x !== x || hover.y !== y) {
+                    this.hoverRemoteFrame(frame, hover.x, hover.y);
+                }
+            });
+    }
+
+    /**
+     * Remember the hovered frame the extension cannot look into, and say so in the instructions.
+     * Agents are only injected into frames of sites the extension has access to
+     * @param {Element|null} frame - Iframe without a frame agent, null when hovering elsewhere
+     */
+    setUnreachableFrame(frame) {
+        const origin = frame ? this.getFrameOrigin(frame) : null;
+        if (origin === this.unreachableFrame) return;
+
+        this.unreachableFrame = origin;
+        this.updateInstructions();
+    }
+
+    /**
+     * Get the site an iframe shows
+     * @param {Element} frame - Iframe
+     * @returns {string} Origin, or 'another site' when the frame has no usable address
+     */
+    getFrameOrigin(frame) {
+        try {
+            const origin = new URL(frame.src, this.doc.baseURI).origin;
+            return origin && origin !== 'null' ? origin : 'another site';
+        } catch (error) {
+            return 'another site';
+        }
+    }
+
+    /**
+     * Highlight an element, keeping its ancestors up to the page's body for the wheel
+     * @param {Element|null} element - Innermost element
+     */
+    setElementChain(element) {
+        this.elementChain = [];
+        for (let node = element; node; node = this.getParentElement(node)) {
+            this.elementChain.push(node);
+        }
+        this.elementLevel = 0;
+        this.highlightElement();
+    }
+
+    /**
+     * Find the page element at a point, looking through the overlay and into same-origin frames
+     * @param {number} x - Viewport x
+     * @param {number} y - Viewport y
+     * @param {Document} doc - Document to look in (optional)
+     * @returns {Element|null} Topmost page element
+     */
+    getElementAt(x, y, doc = this.doc) {
+        if (typeof doc.elementsFromPoint !== 'function') {
+            return null;
+        }
+
+        const element = doc.elementsFromPoint(x, y).find(element =>
+            element !== doc.documentElement &&
+            !(element.closest && element.closest('#screenshot-ocr-overlay'))
+        ) || null;
+
+        const frameDoc = this.isFrame(element) ? this.getFrameDocument(element) : null;
+        if (frameDoc) {
+            const offset = this.getFrameOffset(element);
+            return this.getElementAt(x - offset.x, y - offset.y, frameDoc) || element;
+        }
+        return element;
+    }
+
+    /**
+     * Get the element an element sits in, leaving frames for the iframe that shows them
+     * @param {Element} element - Page element, or a stand-in for an element of a cross-origin frame
+     * @returns {Element|null} Parent, null above the page's body
+     */
+    getParentElement(element) {
+        if (element.ownerFrame) {
+            return element.parentElement || element.ownerFrame;
+        }
+
+        const parent = element.parentElement;
+        if (parent) {
+            return parent === this.doc.documentElement ? null : parent;
+        }
+        return this.getFrameElement(element);
+    }
+
+    /**
+     * Get the iframe showing the document an element belongs to
+     * @param {Element} element - Element
+     * @returns {Element|null} Iframe, null for elements of this document
+     */
+    getFrameElement(element) {
+        if (element.ownerFrame) {
+            return element.ownerFrame;
+        }
+
+        const doc = element.ownerDocument;
+        if (!doc || doc === this.doc || !doc.defaultView) {
+            return null;
+        }
+
+        try {
+            return doc.defaultView.frameElement;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether an element is an iframe
+     * @param {Element|null} element - Element
+     * @returns {boolean} Whether it shows another document
+     */
+    isFrame(element) {
+        return !!element && !element.ownerFrame && this.frameTags.includes(element.tagName.toUpperCase());
+    }
+
+    /**
+     * Check whether an element is a cross-origin iframe the frame bridge can look into
+     * @param {Element|null} element - Element
+     * @returns {boolean} Whether its elements have to be asked for
+     */
+    isRemoteFrame(element) {
+        return !!this.frameBridge && this.isFrame(element) && !this.getFrameDocument(element);
+    }
+
+    /**
+     * Get the document of a same-origin iframe
+     * @param {Element} frame - Iframe
+     * @returns {Document|null} Document, null for cross-origin frames
+     */
+    getFrameDocument(frame) {
+        try {
+            return frame.contentDocument || null;
+        } catch (error) {
+            return null;
         }
     }
 
+    /**
+     * Get where an iframe shows its document
+     * @param {Element} frame - Iframe
+     * @returns {Object} Its viewport in the parent's viewport {x, y, width, height}
+     */
+    getFrameOffset(frame) {
+        const rect = frame.getBoundingClientRect();
+        return {
+            x: rect.left + (frame.clientLeft || 0),
+            y: rect.top + (frame.clientTop || 0),
+            width: frame.clientWidth || rect.right - rect.left,
+            height: frame.clientHeight || rect.bottom - rect.top
+        };
+    }
+
+    /**
+     * Move a box of an element into this viewport, clipped to the frames it is in and to the viewport
+     * @param {Object} box - Box in the viewport of the element's document {left, top, right, bottom}
+     * @param {Element} element - Element the box belongs to
+     * @returns {Object|null} Box in viewport coordinates, null when nothing of it is visible
+     */
+    toViewportBox(box, element) {
+        let {left, top, right, bottom} = box;
+
+        for (let frame = this.getFrameElement(element); frame; frame = this.getFrameElement(frame)) {
+            const offset = this.getFrameOffset(frame);
+            left = Math.max(0, left) + offset.x;
+            top = Math.max(0, top) + offset.y;
+            right = Math.min(offset.width, right) + offset.x;
+            bottom = Math.min(offset.height, bottom) + offset.y;
+        }
+
+        const viewport = this.getViewportSize();
+        left = Math.max(0, left);
+        top = Math.max(0, top);
+        right = Math.min(viewport.width, right);
+        bottom = Math.min(viewport.height, bottom);
+
+        if (right - left < 1 || bottom - top < 1) {
+            return null;
+        }
+        return {left, top, right, bottom};
+    }
+
+    /**
+     * Get the element picked with the cursor and the wheel
+     * @returns {Element|null} Picked element
+     */
+    getPickedElement() {
+        return this.elementChain[this.elementLevel] || null;
+    }
+
+    /**
+     * Show the picked element's box with its name and size
+     */
+    highlightElement() {
+        const element = this.getPickedElement();
+        const area = element ? this.getElementArea(element) : null;
+        if (!area) {
+            this.hideSelection();
+            return;
+        }
+
+        this.startX = area.x;
+        this.startY = area.y;
+        this.endX = area.x + area.width;
+        this.endY = area.y + area.height;
+        this.updateSelectionBox();
+        this.selectionBox.style.display = 'block';
+
+        const full = this.getScrollCapture(element);
+        const height = full ? ` · full height ${Math.round(full.scroller.scrollHeight)}px` : '';
+        this.sizeLabel.textContent = `${this.describeElement(element)} · ${this.sizeLabel.textContent}${height}`;
+    }
+
+    /**
+     * Get the visible part of an element's box
+     * @param {Element} element - Page element
+     * @returns {Object|null} Area in document coordinates {x, y, width, height}, null when off screen
+     */
+    getElementArea(element) {
+        const box = this.toViewportBox(element.getBoundingClientRect(), element);
+        if (!box) {
+            return null;
+        }
+
+        const scroll = this.getScrollPosition();
+        return {x: box.left + scroll.x, y: box.top + scroll.y, width: box.right - box.left, height: box.bottom - box.top};
+    }
+
+    /**
+     * Get the element whose scrollTop scrolls an element's contents
+     * @param {Element} element - Page element
+     * @returns {Element} The scrolling element for a frame's document, the element itself otherwise
+     */
+    getScroller(element) {
+        const doc = element.ownerDocument;
+        return doc && element === doc.documentElement ? (doc.scrollingElement || element) : element;
+    }
+
+    /**
+     * Check whether an element scrolls its contents vertically, e.g. a code viewer or a frame's document
+     * @param {Element} element - Page element
+     * @returns {boolean} Whether it has more contents than it shows
+     */
+    isScrollable(element) {
+        if (element.ownerFrame) {
+            return !!element.scrollable;
+        }
+
+        const scroller = this.getScroller(element);
+        if (!(scroller.scrollHeight > scroller.clientHeight + 1)) {
+            return false;
+        }
+
+        const doc = element.ownerDocument;
+        if (element === doc.documentElement) {
+            return true;
+        }
+
+        const overflow = doc.defaultView ? doc.defaultView.getComputedStyle(element).overflowY : '';
+        return overflow === 'auto' || overflow === 'scroll';
+    }
+
+    /**
+     * Get the box an element shows its scrolling contents in, without borders and scrollbars
+     * @param {Element} element - Page element
+     * @returns {Object|null} Box in the viewport of the element's document {left, top, right, bottom}
+     */
+    getClientBox(element) {
+        if (element.ownerFrame) {
+            return element.clientBox;
+        }
+
+        if (element === element.ownerDocument.documentElement) {
+            return {left: 0, top: 0, right: element.clientWidth, bottom: element.clientHeight};
+        }
+
+        const rect = element.getBoundingClientRect();
+        const left = rect.left + (element.clientLeft || 0);
+        const top = rect.top + (element.clientTop || 0);
+        return {left, top, right: left + element.clientWidth, bottom: top + element.clientHeight};
+    }
+
+    /**
+     * Get how to capture all contents of a scrolling element
+     * Only elements shown in full height can be scrolled through slice by slice
+     * @param {Element} element - Picked element
+     * @returns {Object|null} Capture {area in document coordinates, scroller}, null when it does not scroll
+     */
+    getScrollCapture(element) {
+        if (!this.isScrollable(element)) {
+            return null;
+        }
+
+        const scroller = this.getScroller(element);
+        const clientBox = this.getClientBox(element);
+        const box = clientBox && this.toViewportBox(clientBox, element);
+        if (!box || box.bottom - box.top < scroller.clientHeight - 1) {
+            return null;
+        }
+
+        const scroll = this.getScrollPosition();
+        return {
+            scroller,
+            area: {x: box.left + scroll.x, y: box.top + scroll.y, width: box.right - box.left, height: box.bottom - box.top}
+        };
+    }
+
+    /**
+     * Name an element the way selectors do, e.g. "pre.highlight" or "table#prices"
+     * @param {Element} element - Page element
+     * @returns {string} Short description
+     */
+    describeElement(element) {
+        const tag = element.tagName.toLowerCase();
+        if (element.id) {
+            return `${tag}#${element.id}`;
+        }
+
+        // SVG elements have an object as className
+        const className = typeof element.className === 'string' ? element.className.trim().split(/\s+/)[0] : '';
+        return className ? `${tag}.${className}` : tag;
+    }
+
+    /**
+     * Get the text of an element when the page has it as DOM text
+     * @param {Element} element - Page element
+     * @returns {string|null} Text as rendered, null for media and elements without text
+     */
+    getElementText(element) {
+        if (this.mediaTags.includes(element.tagName.toUpperCase())) {
+            return null;
+        }
+
+        // innerText follows the layout (line breaks, table cells), textContent is the fallback
+        const text = typeof element.innerText === 'string' ? element.innerText : element.textContent;
+        const trimmed = (text || '').replace(/\n{3,}/g, '\n\n').trim();
+        return trimmed || null;
+    }
+
+    /**
+     * Capture the picked element
+     * @param {boolean} addToRegions - Keep it as an area of a multi-area selection instead
+     */
+    pickElement(addToRegions) {
+        const element = this.getPickedElement();
+        const area = element ? this.getElementArea(element) : null;
+
+        if (!area || area.width < 10 || area.height < 10) {
+            this.showError('Element too small. Scroll up to pick a larger one.');
+            return;
+        }
+
+        if (addToRegions || this.regions.length > 0) {
+            this.addRegion(area);
+            if (!addToRegions) {
+                this.completeRegions();
+            }
+            return;
+        }
+
+        // Scrolling elements are captured with all their contents, whose text can be used instead of OCR
+        const full = this.getScrollCapture(element);
+        const pageText = this.getElementText(element);
+        this.completeSelection({
+            ...(full ? full.area : area),
+            ...this.getViewportMetrics(),
+            ...(full ? {scrollTarget: full.scroller} : {}),
+            ...(pageText ? {pageText} : {})
+        });
+    }
+
+    /**
+     * Confirm the selection being adjusted, together with the areas selected before it
+     */
+    confirm() {
+        if (this.isAdjusting) {
+            const area = this.getSelectedArea();
+            if (area.width < 10 || area.height < 10) {
+                this.showError('Selection too small. Please select a larger area.');
+                return;
+            }
+
+            if (this.regions.length === 0) {
+                this.completeSelection({...area, ...this.getViewportMetrics()});
+                return;
+            }
+            this.addRegion(area);
+        }
+
+        this.completeRegions();
+    }
+
+    /**
+     * Show or hide the resize handles of the drawn selection
+     * @param {boolean} adjusting - Whether the selection can be adjusted
+     */
+    setAdjusting(adjusting) {
+        this.isAdjusting = adjusting;
+        this.handles.forEach(handle => {
+            handle.style.display = adjusting ? 'block' : 'none';
+        });
+
+        if (!adjusting && this.overlay) {
+            this.overlay.style.cursor = 'crosshair';
+        }
+        this.updateInstructions();
+    }
+
+    /**
+     * Hide the selection box and its readout
+     */
+    hideSelection() {
+        this.selectionBox.style.display = 'none';
+        this.sizeLabel.style.display = 'none';
+    }
+
+    /**
+     * Find what a point of the selection being adjusted would drag
+     * @param {number} x - Document x
+     * @param {number} y - Document y
+     * @returns {string|null} Handle ('n', 'ne', 'e', ...), 'move' inside the selection, null outside
+     */
+    getHitTarget(x, y) {
+        const area = this.getSelectedArea();
+        const right = area.x + area.width;
+        const bottom = area.y + area.height;
+        const tolerance = this.handleSize;
+
+        const withinX = x >= area.x - tolerance && x <= right + tolerance;
+        const withinY = y >= area.y - tolerance && y <= bottom + tolerance;
+        if (!withinX || !withinY) {
+            return null;
+        }
+
+        const vertical = Math.abs(y - area.y) <= tolerance ? 'n' : Math.abs(y - bottom) <= tolerance ? 's' : '';
+        const horizontal = Math.abs(x - area.x) <= tolerance ? 'w' : Math.abs(x - right) <= tolerance ? 'e' : '';
+        return (vertical + horizontal) || 'move';
+    }
+
+    /**
+     * Move or resize the selection while dragging
+     * @param {number} dx - Horizontal distance from where the drag started
+     * @param {number} dy - Vertical distance from where the drag started
+     */
+    dragSelection(dx, dy) {
+        const {area} = this.dragOrigin;
+
+        if (this.dragMode === 'move') {
+            this.moveSelection(area, dx, dy);
+            return;
+        }
+
+        // Dragged edges stay inside the page, crossing the opposite edge flips the selection
+        const bounds = this.getSelectionBounds();
+        const clampX = (value) => Math.min(Math.max(bounds.left, value), bounds.right);
+        const clampY = (value) => Math.min(Math.max(bounds.top, value), bounds.bottom);
+
+        this.startX = this.dragMode.includes('w') ? clampX(area.x + dx) : area.x;
+        this.startY = this.dragMode.includes('n') ? clampY(area.y + dy) : area.y;
+        this.endX = this.dragMode.includes('e') ? clampX(area.x + area.width + dx) : area.x + area.width;
+        this.endY = this.dragMode.includes('s') ? clampY(area.y + area.height + dy) : area.y + area.height;
+        this.updateSelectionBox();
+    }
+
+    /**
+     * Move the selection, keeping it inside the page
+     * @param {Object} area - Selection to move {x, y, width, height}
+     * @param {number} dx - Horizontal distance
+     * @param {number} dy - Vertical distance
+     */
+    moveSelection(area, dx, dy) {
+        const bounds = this.getSelectionBounds();
+        const x = Math.min(Math.max(bounds.left, area.x + dx), Math.max(bounds.left, bounds.right - area.width));
+        const y = Math.min(Math.max(bounds.top, area.y + dy), Math.max(bounds.top, bounds.bottom - area.height));
+
+        this.startX = x;
+        this.startY = y;
+        this.endX = x + area.width;
+        this.endY = y + area.height;
+        this.updateSelectionBox();
+    }
+
+    /**
+     * Make the start point the top-left corner, so handles keep their meaning after a flip
+     */
+    normalizeSelection() {
+        const area = this.getSelectedArea();
+        this.startX = area.x;
+        this.startY = area.y;
+        this.endX = area.x + area.width;
+        this.endY = area.y + area.height;
+        this.updateSelectionBox();
+    }
+
+    /**
+     * Get the size of the viewport the selection has to stay in
+     * @returns {Object} Size in CSS pixels {width, height}
+     */
+    getViewportSize() {
+        const win = this.doc.defaultView || window;
+        return {
+            width: win.innerWidth || this.doc.documentElement.clientWidth,
+            height: win.innerHeight || this.doc.documentElement.clientHeight
+        };
+    }
+
+    /**
+     * Keep an area of a multi-area selection and mark it with its number
+     * @param {Object} area - Area in document coordinates {x, y, width, height}
+     */
+    addRegion(area) {
+        this.regions.push(area);
+
+        const box = this.doc.createElement('div');
+        const label = this.doc.createElement('div');
+        label.textContent = String(this.regions.length);
+        this.setRegionStyles(box, label);
+        box.style.width = `${area.width}px`;
+        box.style.height = `${area.height}px`;
+
+        box.appendChild(label);
+        this.overlay.appendChild(box);
+        this.regionBoxes.push(box);
+        this.updateRegionBoxes();
+        this.updateInstructions();
+    }
+
+    /**
+     * Place the boxes of the selected areas over their content at the current scroll position
+     */
+    updateRegionBoxes() {
+        const scroll = this.getScrollPosition();
+        this.regionBoxes.forEach((box, index) => {
+            box.style.left = `${this.regions[index].x - scroll.x}px`;
+            box.style.top = `${this.regions[index].y - scroll.y}px`;
+        });
+    }
+
+    /**
+     * Remove the area selected last
+     * @returns {boolean} True if an area was removed
+     */
+    undoRegion() {
+        if (this.regions.length === 0) {
+            return false;
+        }
+
+        this.regions.pop();
+        const box = this.regionBoxes.pop();
+        if (box) {
+            box.remove();
+        }
+        this.updateInstructions();
+        return true;
+    }
+
+    /**
+     * Show how to select areas, and how many are selected so far
+     */
+    updateInstructions() {
+        if (!this.instructions) return;
+
+        const count = this.regions.length;
+        const selected = count > 0 ? `${count} area${count === 1 ? '' : 's'} selected. ` : '';
+
+        if (this.mode === 'element' && this.unreachableFrame) {
+            this.instructions.textContent = `${selected}Can't look inside this frame: the extension has no access to ${this.unreachableFrame}, so the frame is picked as a whole. Allow the extension on that site from the Extensions menu to pick inside it. Press E to draw an area instead, ESC to cancel.`;
+        } else if (this.mode === 'element') {
+            const more = count > 0 ? 'Shift-click to add more, Enter to capture all' : 'Shift-click to select several';
+            this.instructions.textContent = `${selected}Hover over an element, scroll for its parent or child, click to capture it (scrolling panes in full). ${more}. Press E to draw an area instead, ESC to cancel.`;
+        } else if (this.isAdjusting) {
+            this.instructions.textContent = `${selected}Drag the selection or its handles to adjust it, arrow keys nudge it (Shift: 10px). Press Enter to capture, ESC to cancel.`;
+        } else if (count > 0) {
+            this.instructions.textContent = `${selected}Shift-drag to add more, Enter to capture, Ctrl+Z to undo, ESC to cancel.`;
+        } else {
+            this.instructions.textContent = 'Click and drag to select an area, drag past the top or bottom edge to scroll. Hold Shift to select several areas, press E to pick an element. Press ESC to cancel.';
+        }
+    }
+
+    /**
+     * Complete a multi-area selection
+     * The areas are given in selection order, inside their bounding box so
+     * the selection can be stored and repeated like a single area
+     */
+    completeRegions() {
+        if (this.regions.length === 0) {
+            return;
+        }
+
+        const metrics = this.getViewportMetrics();
+        if (this.regions.length === 1) {
+            this.completeSelection({...this.regions[0], ...metrics});
+            return;
+        }
+
+        const left = Math.min(...this.regions.map(region => region.x));
+        const top = Math.min(...this.regions.map(region => region.y));
+        const right = Math.max(...this.regions.map(region => region.x + region.width));
+        const bottom = Math.max(...this.regions.map(region => region.y + region.height));
+
+        this.completeSelection({
+            x: left,
+            y: top,
+            width: right - left,
+            height: bottom - top,
+            ...metrics,
+            regions: this.regions.map(region => ({...region}))
+        });
+    }
+
     /**
      * Update selection box position and size
+     * The selection is kept in document coordinates, the box is drawn in the fixed overlay
      */
     updateSelectionBox() {
         if (!this.selectionBox) return;
         
-        const left = Math.min(this.startX, this.endX);
-        const top = Math.min(this.startY, this.endY);
+        const scroll = this.getScrollPosition();
+        const left = Math.min(this.startX, this.endX) - scroll.x;
+        const top = Math.min(this.startY, this.endY) - scroll.y;
         const width = Math.abs(this.endX - this.startX);
         const height = Math.abs(this.endY - this.startY);
         
@@ -263,11 +1336,31 @@ class AreaCapture {
         this.selectionBox.style.top = `${top}px`;
         this.selectionBox.style.width = `${width}px`;
         this.selectionBox.style.height = `${height}px`;
+
+        this.updateSizeLabel(left, top, width, height);
+    }
+
+    /**
+     * Show the selection size next to it
+     * @param {number} left - Selection left
+     * @param {number} top - Selection top
+     * @param {number} width - Selection width
+     * @param {number} height - Selection height
+     */
+    updateSizeLabel(left, top, width, height) {
+        if (!this.sizeLabel) return;
+
+        this.sizeLabel.textContent = `${Math.round(width)} × ${Math.round(height)}`;
+        this.sizeLabel.style.left = `${left}px`;
+
+        // Above the selection, or inside it when there is no room at the top of the page
+        this.sizeLabel.style.top = `${top >= 24 ? top - 24 : top + 4}px`;
+        this.sizeLabel.style.display = 'block';
     }
 
     /**
      * Get the selected area coordinates
-     * @returns {Object} Area coordinates and dimensions
+     * @returns {Object} Area in document coordinates and dimensions
      */
     getSelectedArea() {
         const left = Math.min(this.startX, this.endX);
@@ -283,11 +1376,39 @@ class AreaCapture {
         };
     }
 
+    /**
+     * Get the metrics needed to map CSS pixels onto the captured bitmap
+     * devicePixelRatio already includes the browser zoom level; pinch zoom is
+     * reported separately by the visual viewport.
+     * @returns {Object} Device pixel ratio, page zoom and visual viewport offset
+     */
+    getViewportMetrics() {
+        const win = this.doc.defaultView || window;
+        const viewport = win.visualViewport;
+
+        return {
+            devicePixelRatio: win.devicePixelRatio || 1,
+            pageZoom: viewport ? viewport.scale : 1,
+            viewportOffsetX: viewport ? viewport.offsetLeft : 0,
+            viewportOffsetY: viewport ? viewport.offsetTop : 0
+        };
+    }
+
     /**
      * Complete the selection process
-     * @param {Object} area - Selected area coordinates
+     * Areas are handed over relative to the viewport as it was when the capture
+     * started, which the page is scrolled back to. Areas extending past it have
+     * a negative y or end below the viewport
+     * @param {Object} area - Selected area in document coordinates
      */
     completeSelection(area) {
+        const origin = this.originalScrollPosition || {x: 0, y: 0};
+        const toViewport = (region) => ({...region, x: region.x - origin.x, y: region.y - origin.y});
+        area = toViewport(area);
+        if (area.regions) {
+            area.regions = area.regions.map(toViewport);
+        }
+
         const callback = this.onCompleteCallback;
         this.stop();
         if (callback) {
@@ -336,6 +1457,18 @@ class AreaCapture {
         this.startY = 0;
         this.endX = 0;
         this.endY = 0;
+        this.regions = [];
+        this.isAdjusting = false;
+        this.dragMode = null;
+        this.dragOrigin = null;
+        this.mode = 'area';
+        this.elementChain = [];
+        this.elementLevel = 0;
+        this.isPicking = false;
+        this.remoteHover = null;
+        this.remoteRequest = null;
+        this.unreachableFrame = null;
+        this.lastPointer = null;
         this.onCompleteCallback = null;
         this.onCancelCallback = null;
     }
@@ -347,8 +1480,11 @@ class AreaCapture {
         return {
             isActive: this.isActive,
             isDrawing: this.isDrawing,
+            isAdjusting: this.isAdjusting,
+            mode: this.mode,
             hasOverlay: !!this.overlay,
             hasSelectionBox: !!this.selectionBox,
+            regionCount: this.regions.length,
             coordinates: {
                 startX: this.startX,
                 startY: this.startY,
@@ -0,0 +1,150 @@
+/**
+ * Element Image Reader Module
+ * Reads the pixels of image, canvas and video elements for OCR
+ */
+
+class ElementImageReader {
+    constructor(documentRef = null, windowRef = null) {
+        // Allow dependency injection for testing
+        this.doc = documentRef || document;
+        this.win = windowRef || window;
+
+        this.mediaSelectors = {
+            image: 'img',
+            video: 'video',
+            canvas: 'canvas'
+        };
+    }
+
+    /**
+     * Find the element a context menu click was about
+     * @param {string} srcUrl - Source URL reported by the context menu
+     * @param {string} mediaType - 'image', 'video' or 'canvas'
+     * @param {Element} clickedElement - Last right-clicked element, if known
+     * @returns {Element|null} Matching element
+     */
+    findElement(srcUrl, mediaType, clickedElement = null) {
+        const selector = this.mediaSelectors[mediaType];
+        if (!selector) {
+            return null;
+        }
+
+        // Prefer the element that was actually right-clicked
+        const clicked = clickedElement && clickedElement.closest ? clickedElement.closest(selector) : null;
+        if (clicked && (!srcUrl || this.getSourceURLs(clicked).includes(srcUrl))) {
+            return clicked;
+        }
+
+        if (!srcUrl) {
+            return null;
+        }
+
+        const candidates = Array.from(this.doc.querySelectorAll(selector))
+            .filter(element => this.getSourceURLs(element).includes(srcUrl));
+
+        // The same image can appear several times, take one the user can see
+        return candidates.find(element => this.isVisible(element)) || candidates[0] || null;
+    }
+
+    /**
+     * Get the URLs an element may have been loaded from
+     * @param {Element} element - Media element
+     * @returns {Array<string>} Source URLs
+     */
+    getSourceURLs(element) {
+        const urls = [element.currentSrc, element.src];
+
+        if (element.querySelectorAll) {
+            element.querySelectorAll('source').forEach(source => urls.push(source.src));
+        }
+
+        return urls.filter(Boolean);
+    }
+
+    /**
+     * Check whether an element is rendered with a size
+     * @param {Element} element - Element to check
+     * @returns {boolean} Whether the element is visible
+     */
+    isVisible(element) {
+        const rect = element.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0;
+    }
+
+    /**
+     * Get the element's intrinsic pixel size
+     * @param {Element} element - Image, video or canvas element
+     * @returns {Object} Size {width, height}
+     */
+    getPixelSize(element) {
+        const tagName = element.tagName.toLowerCase();
+
+        if (tagName === 'img') {
+            return {width: element.naturalWidth, height: element.naturalHeight};
+        }
+
+        if (tagName === 'video') {
+            return {width: element.videoWidth, height: element.videoHeight};
+        }
+
+        return {width: element.width, height: element.height};
+    }
+
+    /**
+     * Render the element's pixels at full resolution
+     * Throws for cross-origin media, which taints the canvas
+     * @param {Element} element - Image, video or canvas element
+     * @returns {string} Image as data URL
+     */
+    render(element) {
+        const size = this.getPixelSize(element);
+        if (!size.width || !size.height) {
+            throw new Error('Element has no image data yet');
+        }
+
+        if (element.tagName.toLowerCase() === 'canvas') {
+            return element.toDataURL('image/png');
+        }
+
+        const canvas = this.doc.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+
+        if (!ctx) {
+            throw new Error('Failed to get 2D canvas context');
+        }
+
+        canvas.width = size.width;
+        canvas.height = size.height;
+
+        // Videos are read at their current frame
+        ctx.drawImage(element, 0, 0, size.width, size.height);
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Get the visible part of the element in viewport CSS pixels
+     * @param {Element} element - Element to capture
+     * @returns {Object|null} Area {x, y, width, height}, null when off-screen
+     */
+    getVisibleArea(element) {
+        const rect = element.getBoundingClientRect();
+        const left = Math.max(0, rect.left);
+        const top = Math.max(0, rect.top);
+        const right = Math.min(this.win.innerWidth, rect.right);
+        const bottom = Math.min(this.win.innerHeight, rect.bottom);
+
+        if (right <= left || bottom <= top) {
+            return null;
+        }
+
+        return {
+            x: left,
+            y: top,
+            width: right - left,
+            height: bottom - top
+        };
+    }
+}
+
+// Export for use in content script and tests
+window.ElementImageReader = ElementImageReader;
\ No newline at end of file
@@ -0,0 +1,148 @@
+/**
+ * Frame Agent Module
+ * Runs in embedded frames and describes their elements to the top frame (see FrameBridge),
+ * so elements of cross-origin frames can be picked and scrolled through
+ */
+
+class FrameAgent {
+    constructor(areaCapture = null) {
+        // Elements are looked up the way the top frame does it; allow dependency injection for testing
+        this.areaCapture = areaCapture || new AreaCapture();
+        this.chain = [];
+        this.keys = new WeakMap();
+        this.nextKey = 1;
+
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    /**
+     * Answer frame requests relayed by the background script
+     * @param {Object} runtime - chrome.runtime (optional)
+     */
+    listen(runtime = chrome.runtime) {
+        runtime.onMessage.addListener(this.handleMessage);
+    }
+
+    /**
+     * Handle a runtime message, ignoring everything but frame requests
+     * @param {Object} message - Message {action, request}
+     * @param {Object} sender - Sender
+     * @param {Function} sendResponse - Response callback
+     * @returns {boolean} False, responses are sent right away
+     */
+    handleMessage(message, sender, sendResponse) {
+        if (!message || message.action !== 'frameRequest') {
+            return false;
+        }
+
+        try {
+            sendResponse(this.handleRequest(message.request));
+        } catch (error) {
+            console.error('FrameAgent: Request failed:', error);
+            sendResponse({error: error.message});
+        }
+        return false;
+    }
+
+    /**
+     * Handle a frame request
+     * @param {Object} request - Request {type: 'elementsAt', x, y} or {type: 'scroll', key, top}
+     * @returns {Object} Response
+     */
+    handleRequest(request) {
+        if (request.type === 'elementsAt') {
+            return {elements: this.getElementsAt(request.x, request.y)};
+        }
+
+        if (request.type === 'scroll') {
+            return this.scrollElement(request.key, request.top);
+        }
+
+        throw new Error(`Unknown frame request: ${request.type}`);
+    }
+
+    /**
+     * Describe the elements at a point, innermost first
+     * @param {number} x - x in this frame's viewport
+     * @param {number} y - y in this frame's viewport
+     * @returns {Array<Object>} Element descriptions
+     */
+    getElementsAt(x, y) {
+        const capture = this.areaCapture;
+        const root = capture.doc.documentElement;
+
+        this.chain = [];
+        for (let node = capture.getElementAt(x, y); node; node = capture.getParentElement(node)) {
+            this.chain.push(node);
+        }
+
+        // The frame's document comes last, picking it captures all of the frame's contents
+        if (root && this.chain[this.chain.length - 1] !== root) {
+            this.chain.push(root);
+        }
+
+        return this.chain.map(element => this.describeElement(element));
+    }
+
+    /**
+     * Describe an element with boxes in this frame's viewport
+     * @param {Element} element - Element
+     * @returns {Object} Description {key, tagName, id, className, text, rect, clientBox, scrollable, scrollHeight, clientHeight, scrollTop}
+     */
+    describeElement(element) {
+        const capture = this.areaCapture;
+        const scroller = capture.getScroller(element);
+
+        return {
+            key: this.getKey(element),
+            tagName: element.tagName,
+            id: element.id || '',
+            className: typeof element.className === 'string' ? element.className : '',
+            text: capture.getElementText(element),
+            rect: capture.toViewportBox(element.getBoundingClientRect(), element),
+            clientBox: capture.toViewportBox(capture.getClientBox(element), element),
+            scrollable: capture.isScrollable(element),
+            scrollHeight: scroller.scrollHeight,
+            clientHeight: scroller.clientHeight,
+            scrollTop: scroller.scrollTop
+        };
+    }
+
+    /**
+     * Get the key the top frame refers to an element by
+     * @param {Element} element - Element
+     * @returns {number} Key, the same for as long as the element exists
+     */
+    getKey(element) {
+        if (!this.keys.has(element)) {
+            this.keys.set(element, this.nextKey++);
+        }
+        return this.keys.get(element);
+    }
+
+    /**
+     * Scroll an element described last
+     * @param {number} key - Element key
+     * @param {number} top - Scroll offset
+     * @returns {Object} Response {scrollTop}
+     */
+    scrollElement(key, top) {
+        const element = this.chain.find(node => this.keys.get(node) === key);
+        if (!element) {
+            throw new Error('Element is no longer available');
+        }
+
+        const scroller = this.areaCapture.getScroller(element);
+        scroller.scrollTop = top;
+        return {scrollTop: scroller.scrollTop};
+    }
+}
+
+// Export for use in content script and tests
+window.FrameAgent = FrameAgent;
+
+// Frames get an agent, the top frame runs content.js instead
+if (window.top !== window && !window.screenshotOCRFrameAgent) {
+    window.screenshotOCRFrameAgent = new FrameAgent();
+    window.screenshotOCRFrameAgent.listen();
+}
\ No newline at end of file
@@ -0,0 +1,118 @@
+/**
+ * Frame Bridge Module
+ * Looks up elements of cross-origin frames through the frame agent running in each frame.
+ * Requests are relayed by the background script, so the embedding page never sees them
+ */
+
+class FrameBridge {
+    constructor(runtimeRef = null) {
+        // Allow dependency injection for testing
+        this.runtime = runtimeRef || chrome.runtime;
+    }
+
+    /**
+     * Get the id the extension knows the frame shown by an iframe by
+     * @param {Element} frame - Iframe element
+     * @returns {number|null} Frame id, null when unknown
+     */
+    getFrameId(frame) {
+        if (typeof this.runtime.getFrameId !== 'function') {
+            return null;
+        }
+
+        try {
+            const frameId = this.runtime.getFrameId(frame);
+            return frameId >= 0 ? frameId : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Send a request to the frame agent of a frame
+     * @param {number} frameId - Frame id
+     * @param {Object} request - Request {type, ...}
+     * @returns {Promise<Object>} Response of the frame agent
+     */
+    request(frameId, request) {
+        return new Promise((resolve, reject) => {
+            this.runtime.sendMessage({action: 'frameRequest', frameId, request}, (response) => {
+                if (this.runtime.lastError) {
+                    reject(new Error(this.runtime.lastError.message));
+                    return;
+                }
+
+                if (!response || response.error) {
+                    reject(new Error(response?.error || 'Frame did not respond'));
+                    return;
+                }
+
+                resolve(response);
+            });
+        });
+    }
+
+    /**
+     * Get the elements of a cross-origin frame at a point, innermost first
+     * @param {Element} frame - Iframe element
+     * @param {number} x - x in the frame's viewport
+     * @param {number} y - y in the frame's viewport
+     * @returns {Promise<Array<Object>>} Stand-ins for the elements
+     * @throws {Error} When the frame has no agent, e.g. a site the extension has no access to
+     */
+    async elementsAt(frame, x, y) {
+        const frameId = this.getFrameId(frame);
+        if (frameId === null) {
+            throw new Error('Frame is unknown to the extension');
+        }
+
+        const {elements = []} = await this.request(frameId, {type: 'elementsAt', x, y});
+        const remote = elements.map(entry => this.createRemoteElement(entry, frame, frameId));
+        remote.forEach((element, index) => {
+            element.parentElement = remote[index + 1] || null;
+        });
+        return remote;
+    }
+
+    /**
+     * Create a stand-in for an element of a cross-origin frame with the parts of
+     * the Element interface AreaCapture reads. Boxes are in the frame's viewport,
+     * ownerFrame is the iframe showing it, and setting scrollTop scrolls the real element
+     * @param {Object} entry - Element as described by the frame agent
+     * @param {Element} frame - Iframe element
+     * @param {number} frameId - Frame id
+     * @returns {Object} Remote element
+     */
+    createRemoteElement(entry, frame, frameId) {
+        const bridge = this;
+        const rect = entry.rect || {left: 0, top: 0, right: 0, bottom: 0};
+        let scrollTop = entry.scrollTop || 0;
+
+        return {
+            key: entry.key,
+            tagName: entry.tagName,
+            id: entry.id || '',
+            className: entry.className || '',
+            innerText: entry.text || '',
+            ownerFrame: frame,
+            parentElement: null,
+            scrollable: !!entry.scrollable,
+            scrollHeight: entry.scrollHeight || 0,
+            clientHeight: entry.clientHeight || 0,
+            clientBox: entry.clientBox || null,
+            getBoundingClientRect: () => ({...rect}),
+            get scrollTop() {
+                return scrollTop;
+            },
+            set scrollTop(value) {
+                scrollTop = value;
+                bridge.request(frameId, {type: 'scroll', key: entry.key, top: value}).catch((error) => {
+                    console.log('FrameBridge: Failed to scroll frame element:', error.message);
+                });
+            }
+        };
+    }
+}
+
+// Export for use in content script and tests
+window.FrameBridge = FrameBridge;
\ No newline at end of file
@@ -0,0 +1,222 @@
+/**
+ * Full Page Capture Module
+ * Scrolls the document, or a scrolling element, viewport by viewport and collects slices for stitching
+ */
+
+class FullPageCapture {
+    constructor(documentRef = null, windowRef = null) {
+        // Allow dependency injection for testing
+        this.doc = documentRef || document;
+        this.win = windowRef || window;
+
+        // captureVisibleTab is limited to 2 calls per second, so wait between slices
+        this.captureDelay = 550;
+        this.hiddenElements = [];
+        this.originalScrollPosition = null;
+    }
+
+    /**
+     * Scroll through the page and capture every viewport slice
+     * @param {Function} captureSlice - Async function returning the visible tab as data URL
+     * @param {Object} range - Part of the page to cover {top, bottom} in document coordinates,
+     *                         captured at the current horizontal scroll position (optional)
+     * @returns {Promise<Object>} Slices with their scroll offsets and page dimensions
+     */
+    async capture(captureSlice, range = null) {
+        if (typeof captureSlice !== 'function') {
+            throw new Error('Slice capture function is required');
+        }
+
+        const page = this.getPageSize();
+        const positions = range
+            ? this.getScrollPositions(page.height, page.viewportHeight, range.top, range.bottom)
+            : this.getScrollPositions(page.height, page.viewportHeight);
+        const slices = [];
+
+        this.originalScrollPosition = {
+            x: this.win.scrollX || this.win.pageXOffset || 0,
+            y: this.win.scrollY || this.win.pageYOffset || 0
+        };
+
+        const x = range ? this.originalScrollPosition.x : 0;
+
+        try {
+            for (let i = 0; i < positions.length; i++) {
+                this.scrollTo(x, positions[i]);
+
+                // Fixed and sticky elements are kept in the first slice only
+                if (i === 1) {
+                    this.hideFloatingElements();
+                }
+
+                await this.wait(this.captureDelay);
+
+                const imageData = await captureSlice();
+                slices.push({
+                    imageData,
+                    y: this.win.scrollY || this.win.pageYOffset || 0
+                });
+            }
+        } finally {
+            this.restoreFloatingElements();
+            this.restoreScrollPosition();
+        }
+
+        return {
+            slices,
+            width: page.viewportWidth,
+            height: page.height
+        };
+    }
+
+    /**
+     * Scroll through the contents of a scrolling element and capture every slice
+     * @param {Element} scroller - Element to scroll by setting its scrollTop, e.g. a code viewer
+     * @param {Function} captureSlice - Async function returning the visible tab as data URL
+     * @returns {Promise<Object>} Slices with their scroll offsets {imageData, y} and the contents height
+     */
+    async captureElement(scroller, captureSlice) {
+        if (typeof captureSlice !== 'function') {
+            throw new Error('Slice capture function is required');
+        }
+
+        const positions = this.getScrollPositions(scroller.scrollHeight, scroller.clientHeight);
+        const originalTop = scroller.scrollTop;
+        const slices = [];
+
+        try {
+            for (let i = 0; i < positions.length; i++) {
+                scroller.scrollTop = positions[i];
+
+                // Sticky elements inside it, e.g. table headers, are kept in the first slice only
+                if (i === 1) {
+                    this.hideFloatingElements(scroller);
+                }
+
+                await this.wait(this.captureDelay);
+
+                const imageData = await captureSlice();
+                slices.push({imageData, y: scroller.scrollTop});
+            }
+        } finally {
+            this.restoreFloatingElements();
+            scroller.scrollTop = originalTop;
+        }
+
+        return {
+            slices,
+            height: scroller.scrollHeight
+        };
+    }
+
+    /**
+     * Get the scrollable page size and the viewport size in CSS pixels
+     * @returns {Object} Page dimensions {height, viewportWidth, viewportHeight}
+     */
+    getPageSize() {
+        const root = this.doc.documentElement || {};
+        const body = this.doc.body || {};
+
+        return {
+            height: Math.max(
+                root.scrollHeight || 0,
+                body.scrollHeight || 0,
+                this.win.innerHeight
+            ),
+            viewportWidth: this.win.innerWidth,
+            viewportHeight: this.win.innerHeight
+        };
+    }
+
+    /**
+     * Compute the scroll offsets needed to cover the page, or a part of it
+     * @param {number} pageHeight - Total page height
+     * @param {number} viewportHeight - Viewport height
+     * @param {number} top - Top of the part to cover (optional)
+     * @param {number} bottom - Bottom of the part to cover (optional)
+     * @returns {Array<number>} Scroll offsets, the last one aligned to the bottom of the part
+     */
+    getScrollPositions(pageHeight, viewportHeight, top = 0, bottom = pageHeight) {
+        if (!viewportHeight || viewportHeight <= 0) {
+            throw new Error('Invalid viewport height');
+        }
+
+        const positions = [];
+        const maxPosition = Math.max(0, pageHeight - viewportHeight);
+        const firstPosition = Math.min(Math.max(0, top), maxPosition);
+        const lastPosition = Math.min(Math.max(firstPosition, bottom - viewportHeight), maxPosition);
+
+        for (let y = firstPosition; y < lastPosition; y += viewportHeight) {
+            positions.push(y);
+        }
+        positions.push(lastPosition);
+
+        return positions;
+    }
+
+    /**
+     * Hide fixed elements and unstick sticky ones so they are not repeated
+     * @param {Element} root - Scrolling element to look in instead of the page (optional)
+     */
+    hideFloatingElements(root = null) {
+        // Elements of cross-origin frames cannot be looked into
+        if (root && typeof root.querySelectorAll !== 'function') {
+            return;
+        }
+
+        const elements = root ? root.querySelectorAll('*') : this.doc.querySelectorAll('body *');
+
+        for (const element of elements) {
+            const position = this.win.getComputedStyle(element).position;
+
+            if (position === 'fixed') {
+                this.hiddenElements.push({element, property: 'visibility', value: element.style.visibility});
+                element.style.visibility = 'hidden';
+            } else if (position === 'sticky') {
+                this.hiddenElements.push({element, property: 'position', value: element.style.position});
+                element.style.position = 'relative';
+            }
+        }
+    }
+
+    /**
+     * Restore elements changed by hideFloatingElements
+     */
+    restoreFloatingElements() {
+        this.hiddenElements.forEach(({element, property, value}) => {
+            element.style[property] = value;
+        });
+        this.hiddenElements = [];
+    }
+
+    /**
+     * Restore the scroll position from before the capture
+     */
+    restoreScrollPosition() {
+        if (this.originalScrollPosition) {
+            this.scrollTo(this.originalScrollPosition.x, this.originalScrollPosition.y);
+            this.originalScrollPosition = null;
+        }
+    }
+
+    /**
+     * Scroll without smooth scrolling so slices are captured at their final offset
+     * @param {number} x - Horizontal offset
+     * @param {number} y - Vertical offset
+     */
+    scrollTo(x, y) {
+        this.win.scrollTo({left: x, top: y, behavior: 'instant'});
+    }
+
+    /**
+     * Wait for the given number of milliseconds
+     * @param {number} ms - Delay in milliseconds
+     * @returns {Promise<void>}
+     */
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export for use in content script and tests
+window.FullPageCapture = FullPageCapture;
\ No newline at end of file
@@ -8,6 +8,16 @@ class ImageCropper {
         // Allow dependency injection for testing
         this.doc = documentRef || document;
         this.win = windowRef || window;
+        this.maxCanvasHeight = 32767; // Chrome canvas size limit
+
+        // Images sent to OCR are shrunk to this budget; 0 turns a limit off
+        this.defaultBudget = {
+            maxDimension: 2048, // Vision models downscale larger images anyway
+            maxBytes: 1024 * 1024
+        };
+        this.budgetQualities = [0.9, 0.8, 0.7, 0.6];
+        this.budgetShrinkFactor = 0.75;
+        this.minBudgetDimension = 480; // Text becomes unreadable below this
     }
 
     /**
@@ -103,11 +113,20 @@ class ImageCropper {
      * @returns {string} Cropped image as data URL
      */
     performCrop(img, area) {
+        const deviceArea = this.toDeviceArea(area);
+
+        // Allow the sub-pixel overshoot that rounding fractional ratios can cause
+        const tolerance = Math.ceil(this.getScaleFactor(area)) - 1;
+
         // Validate crop area against image dimensions
-        if (area.x + area.width > img.width || area.y + area.height > img.height) {
+        if (deviceArea.x + deviceArea.width > img.width + tolerance ||
+            deviceArea.y + deviceArea.height > img.height + tolerance) {
             throw new Error('Crop area extends beyond image boundaries');
         }
 
+        const width = Math.min(deviceArea.width, img.width - deviceArea.x);
+        const height = Math.min(deviceArea.height, img.height - deviceArea.y);
+
         // Create canvas for cropping
         const canvas = this.doc.createElement('canvas');
         const ctx = canvas.getContext('2d');
@@ -116,16 +135,16 @@ class ImageCropper {
             throw new Error('Failed to get 2D canvas context');
         }
 
-        // Set canvas size to crop area
-        canvas.width = area.width;
-        canvas.height = area.height;
+        // Set canvas size to the physical crop area to keep full resolution
+        canvas.width = width;
+        canvas.height = height;
 
         try {
             // Draw the cropped portion
             ctx.drawImage(
                 img,
-                area.x, area.y, area.width, area.height,  // source rectangle
-                0, 0, area.width, area.height            // destination rectangle
+                deviceArea.x, deviceArea.y, width, height,  // source rectangle
+                0, 0, width, height                        // destination rectangle
             );
 
             // Convert to data URL
@@ -135,6 +154,33 @@ class ImageCropper {
         }
     }
 
+    /**
+     * Get the ratio between captured bitmap pixels and CSS pixels
+     * @param {Object} area - Area with optional devicePixelRatio and pageZoom
+     * @returns {number} Scale factor
+     */
+    getScaleFactor(area) {
+        return (area.devicePixelRatio || 1) * (area.pageZoom || 1);
+    }
+
+    /**
+     * Convert a CSS pixel area into the device pixel area of the captured bitmap
+     * @param {Object} area - Area in CSS pixels {x, y, width, height}
+     * @returns {Object} Rounded area in device pixels {x, y, width, height}
+     */
+    toDeviceArea(area) {
+        const scale = this.getScaleFactor(area);
+        const x = (area.x - (area.viewportOffsetX || 0)) * scale;
+        const y = (area.y - (area.viewportOffsetY || 0)) * scale;
+
+        return {
+            x: Math.max(0, Math.round(x)),
+            y: Math.max(0, Math.round(y)),
+            width: Math.round(area.width * scale),
+            height: Math.round(area.height * scale)
+        };
+    }
+
     /**
      * Get image dimensions from data URL
      * @param {string} imageDataUrl - Image data URL
@@ -165,13 +211,12 @@ class ImageCropper {
             }
 
             const dimensions = await this.getImageDimensions(imageDataUrl);
+            const deviceArea = this.toDeviceArea(area);
             
             // Check if crop area fits within image
             return (
-                area.x >= 0 &&
-                area.y >= 0 &&
-                area.x + area.width <= dimensions.width &&
-                area.y + area.height <= dimensions.height
+                deviceArea.x + deviceArea.width <= dimensions.width &&
+                deviceArea.y + deviceArea.height <= dimensions.height
             );
         } catch (error) {
             return false;
@@ -202,22 +247,25 @@ class ImageCropper {
             // Draw original image
             ctx.drawImage(img, 0, 0);
 
+            // Highlight the physical region that will be cropped
+            const deviceArea = this.toDeviceArea(area);
+
             // Draw crop area outline
             ctx.strokeStyle = '#ff0000';
             ctx.lineWidth = 2;
-            ctx.strokeRect(area.x, area.y, area.width, area.height);
+            ctx.strokeRect(deviceArea.x, deviceArea.y, deviceArea.width, deviceArea.height);
 
             // Add semi-transparent overlay everywhere except crop area
             ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
             
             // Top
-            ctx.fillRect(0, 0, img.width, area.y);
+            ctx.fillRect(0, 0, img.width, deviceArea.y);
             // Bottom
-            ctx.fillRect(0, area.y + area.height, img.width, img.height - area.y - area.height);
+            ctx.fillRect(0, deviceArea.y + deviceArea.height, img.width, img.height - deviceArea.y - deviceArea.height);
             // Left
-            ctx.fillRect(0, area.y, area.x, area.height);
+            ctx.fillRect(0, deviceArea.y, deviceArea.x, deviceArea.height);
             // Right
-            ctx.fillRect(area.x + area.width, area.y, img.width - area.x - area.width, area.height);
+            ctx.fillRect(deviceArea.x + deviceArea.width, deviceArea.y, img.width - deviceArea.x - deviceArea.width, deviceArea.height);
 
             return canvas.toDataURL('image/png');
         } catch (error) {
@@ -255,6 +303,207 @@ class ImageCropper {
         }
     }
 
+    /**
+     * Stack images top to bottom on a white background, e.g. the areas of a multi-area selection
+     * @param {Array<string>} images - Images as data URLs, in order
+     * @param {number} gap - Space between the images in pixels
+     * @returns {Promise<string>} Stacked image as data URL
+     */
+    async stackImages(images, gap = 16) {
+        if (!Array.isArray(images) || images.length === 0) {
+            throw new Error('Images array is required and must not be empty');
+        }
+
+        try {
+            const loaded = [];
+            for (const image of images) {
+                loaded.push(await this.loadImage(image));
+            }
+
+            const width = Math.max(...loaded.map(img => img.width));
+            const height = loaded.reduce((total, img) => total + img.height, 0) + gap * (loaded.length - 1);
+            const outputScale = Math.min(1, this.maxCanvasHeight / height);
+
+            const canvas = this.doc.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+
+            if (!ctx) {
+                throw new Error('Failed to get 2D canvas context');
+            }
+
+            canvas.width = Math.round(width * outputScale);
+            canvas.height = Math.round(height * outputScale);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            let y = 0;
+            loaded.forEach(img => {
+                ctx.drawImage(
+                    img,
+                    0, Math.round(y * outputScale),
+                    Math.round(img.width * outputScale), Math.round(img.height * outputScale)
+                );
+                y += img.height + gap;
+            });
+
+            return canvas.toDataURL('image/png');
+        } catch (error) {
+            throw new Error(`Stacking failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stitch viewport slices into one tall image
+     * @param {Array<Object>} slices - Slices {imageData, y} with y the scroll offset in CSS pixels
+     * @param {number} width - Page viewport width in CSS pixels
+     * @param {number} height - Total page height in CSS pixels
+     * @returns {Promise<string>} Stitched image as data URL
+     */
+    async stitchSlices(slices, width, height) {
+        if (!Array.isArray(slices) || slices.length === 0) {
+            throw new Error('Slices array is required and must not be empty');
+        }
+
+        try {
+            const images = [];
+            for (const slice of slices) {
+                images.push(await this.loadImage(slice.imageData));
+            }
+
+            // Slices are in device pixels, offsets are in CSS pixels
+            const scale = images[0].width / width;
+
+            // Shrink pages that would exceed the maximum canvas height
+            const outputScale = Math.min(1, this.maxCanvasHeight / (height * scale));
+
+            const canvas = this.doc.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+
+            if (!ctx) {
+                throw new Error('Failed to get 2D canvas context');
+            }
+
+            canvas.width = Math.round(images[0].width * outputScale);
+            canvas.height = Math.round(height * scale * outputScale);
+
+            images.forEach((img, index) => {
+                ctx.drawImage(
+                    img,
+                    0, Math.round(slices[index].y * scale * outputScale),
+                    Math.round(img.width * outputScale), Math.round(img.height * outputScale)
+                );
+            });
+
+            return canvas.toDataURL('image/png');
+        } catch (error) {
+            throw new Error(`Stitching failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stitch the part of viewport slices that shows an area, e.g. a selection taller than the viewport
+     * @param {Array<Object>} slices - Slices {imageData, y} with y the scroll offset in CSS pixels
+     * @param {Object} area - Area {x, y, width, height} with x relative to the slices and y in document coordinates
+     * @param {number} width - Viewport width in CSS pixels
+     * @returns {Promise<string>} Image of the area as data URL
+     */
+    async stitchArea(slices, area, width) {
+        if (!Array.isArray(slices) || slices.length === 0) {
+            throw new Error('Slices array is required and must not be empty');
+        }
+
+        if (!this.isValidArea(area)) {
+            throw new Error('Invalid area coordinates');
+        }
+
+        try {
+            const images = [];
+            for (const slice of slices) {
+                images.push(await this.loadImage(slice.imageData));
+            }
+
+            // Slices are in device pixels, offsets are in CSS pixels
+            const scale = images[0].width / width;
+            const outputScale = Math.min(1, this.maxCanvasHeight / (area.height * scale));
+            const ratio = scale * outputScale;
+
+            const canvas = this.doc.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+
+            if (!ctx) {
+                throw new Error('Failed to get 2D canvas context');
+            }
+
+            canvas.width = Math.round(area.width * ratio);
+            canvas.height = Math.round(area.height * ratio);
+
+            // Each slice is drawn where it sits relative to the area, the canvas clips the rest
+            images.forEach((img, index) => {
+                ctx.drawImage(
+                    img,
+                    Math.round(-area.x * ratio), Math.round((slices[index].y - area.y) * ratio),
+                    Math.round(img.width * outputScale), Math.round(img.height * outputScale)
+                );
+            });
+
+            return canvas.toDataURL('image/png');
+        } catch (error) {
+            throw new Error(`Stitching failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stitch slices of a scrolling element into an image of all its contents
+     * @param {Array<Object>} slices - Slices {imageData, y} with y the element's scroll offset in CSS pixels
+     * @param {Object} area - Where the element shows its contents in the slices, with viewport metrics
+     * @param {number} height - Height of the element's contents in CSS pixels
+     * @returns {Promise<string>} Stitched image as data URL
+     */
+    async stitchScrolled(slices, area, height) {
+        if (!Array.isArray(slices) || slices.length === 0) {
+            throw new Error('Slices array is required and must not be empty');
+        }
+
+        if (!this.isValidArea(area)) {
+            throw new Error('Invalid area coordinates');
+        }
+
+        try {
+            const images = [];
+            for (const slice of slices) {
+                images.push(await this.loadImage(slice.imageData));
+            }
+
+            const scale = this.getScaleFactor(area);
+            const deviceArea = this.toDeviceArea(area);
+            const outputScale = Math.min(1, this.maxCanvasHeight / (height * scale));
+
+            const canvas = this.doc.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+
+            if (!ctx) {
+                throw new Error('Failed to get 2D canvas context');
+            }
+
+            canvas.width = Math.round(deviceArea.width * outputScale);
+            canvas.height = Math.round(height * scale * outputScale);
+
+            // Each slice shows the contents scrolled to its offset in the same place
+            images.forEach((img, index) => {
+                ctx.drawImage(
+                    img,
+                    deviceArea.x, deviceArea.y, deviceArea.width, deviceArea.height,
+                    0, Math.round(slices[index].y * scale * outputScale),
+                    Math.round(deviceArea.width * outputScale), Math.round(deviceArea.height * outputScale)
+                );
+            });
+
+            return canvas.toDataURL('image/png');
+        } catch (error) {
+            throw new Error(`Stitching failed: ${error.message}`);
+        }
+    }
+
     /**
      * Get supported image formats
      * @returns {Array<string>} Array of supported MIME types
@@ -276,14 +525,15 @@ class ImageCropper {
 
     /**
      * Convert image format
-     * @param {string} imageDataUrl - Source image data URL
+     * @param {string|HTMLImageElement} imageDataUrl - Source image data URL, or an already loaded image
      * @param {string} outputFormat - Target format (e.g., 'image/jpeg')
      * @param {number} quality - Quality for lossy formats (0-1)
+     * @param {number} scale - Factor to resize the image by (optional)
      * @returns {Promise<string>} Converted image data URL
      */
-    async convertFormat(imageDataUrl, outputFormat = 'image/png', quality = 0.9) {
+    async convertFormat(imageDataUrl, outputFormat = 'image/png', quality = 0.9, scale = 1) {
         try {
-            const img = await this.loadImage(imageDataUrl);
+            const img = typeof imageDataUrl === 'string' ? await this.loadImage(imageDataUrl) : imageDataUrl;
             
             const canvas = this.doc.createElement('canvas');
             const ctx = canvas.getContext('2d');
@@ -292,16 +542,149 @@ class ImageCropper {
                 throw new Error('Failed to get 2D canvas context');
             }
 
-            canvas.width = img.width;
-            canvas.height = img.height;
+            canvas.width = Math.max(1, Math.round(img.width * scale));
+            canvas.height = Math.max(1, Math.round(img.height * scale));
 
-            ctx.drawImage(img, 0, 0);
+            // JPEG has no transparency, which would otherwise turn black
+            if (outputFormat === 'image/jpeg') {
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+            }
+
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
 
             return canvas.toDataURL(outputFormat, quality);
         } catch (error) {
             throw new Error(`Format conversion failed: ${error.message}`);
         }
     }
+
+    /**
+     * Fill in missing size budget limits with their defaults
+     * @param {Object|null} budget - Stored budget {maxDimension, maxBytes}, null when never saved
+     * @returns {Object} Budget {maxDimension, maxBytes}
+     */
+    normalizeBudget(budget) {
+        const normalized = {};
+        Object.keys(this.defaultBudget).forEach(key => {
+            const value = budget ? Number(budget[key]) : NaN;
+            normalized[key] = Number.isFinite(value) && value >= 0 ? Math.round(value) : this.defaultBudget[key];
+        });
+        return normalized;
+    }
+
+    /**
+     * Shrink an image until it fits a size budget
+     * Oversized images are first scaled to the maximum dimension, then re-encoded as JPEG
+     * with falling quality, and scaled down further only if that is still not enough
+     * @param {string} imageDataUrl - Source image data URL
+     * @param {Object} budget - Limits {maxDimension, maxBytes}, 0 turns a limit off
+     * @returns {Promise<Object>} Result {imageData, width, height, bytes, format, changed, original: {width, height, bytes}}
+     */
+    async fitToBudget(imageDataUrl, budget = this.defaultBudget) {
+        if (!imageDataUrl) {
+            throw new Error('Image data URL is required');
+        }
+
+        const {maxDimension, maxBytes} = this.normalizeBudget(budget);
+
+        try {
+            const img = await this.loadImage(imageDataUrl);
+            const original = {width: img.width, height: img.height, bytes: this.getDataUrlSize(imageDataUrl)};
+            const describe = (imageData, scale) => ({
+                imageData,
+                width: Math.max(1, Math.round(img.width * scale)),
+                height: Math.max(1, Math.round(img.height * scale)),
+                bytes: this.getDataUrlSize(imageData),
+                format: this.getDataUrlFormat(imageData),
+                changed: imageData !== imageDataUrl,
+                original
+            });
+            const fitsBytes = (result) => !maxBytes || result.bytes <= maxBytes;
+
+            let scale = maxDimension ? Math.min(1, maxDimension / Math.max(img.width, img.height)) : 1;
+            let result = describe(
+                scale < 1 ? await this.convertFormat(img, 'image/png', 1, scale) : imageDataUrl,
+                scale
+            );
+
+            // Screenshots of text compress well as PNG, so JPEG is only tried when PNG is too big
+            while (!fitsBytes(result)) {
+                for (const quality of this.budgetQualities) {
+                    result = describe(await this.convertFormat(img, 'image/jpeg', quality, scale), scale);
+                    if (fitsBytes(result)) {
+                        return result;
+                    }
+                }
+
+                const nextScale = scale * this.budgetShrinkFactor;
+                if (Math.max(img.width, img.height) * nextScale < this.minBudgetDimension) {
+                    // Sending a slightly large image beats sending an unreadable one
+                    console.warn('ImageCropper: Image still exceeds the size budget at the minimum dimension');
+                    return result;
+                }
+                scale = nextScale;
+            }
+
+            return result;
+        } catch (error) {
+            throw new Error(`Fitting image to size budget failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the decoded size of a base64 data URL
+     * @param {string} dataUrl - Data URL
+     * @returns {number} Size in bytes
+     */
+    getDataUrlSize(dataUrl) {
+        const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+        return Math.max(0, Math.floor(base64.length * 3 / 4) - padding);
+    }
+
+    /**
+     * Get the image format of a data URL
+     * @param {string} dataUrl - Data URL
+     * @returns {string} MIME type (e.g. 'image/png')
+     */
+    getDataUrlFormat(dataUrl) {
+        const match = /^data:([^;,]+)/.exec(dataUrl);
+        return match ? match[1] : 'image/png';
+    }
+
+    /**
+     * Describe the image sent to OCR for the user
+     * @param {Object} result - Result of fitToBudget
+     * @returns {string} Description, e.g. "2048×1152 px, 412 KB JPEG (was 3840×2160 px, 6.1 MB)"
+     */
+    describeBudgetResult(result) {
+        const format = result.format.replace('image/', '').toUpperCase();
+        const sent = `${result.width}×${result.height} px, ${this.formatBytes(result.bytes)} ${format}`;
+
+        if (!result.changed) {
+            return sent;
+        }
+
+        const {original} = result;
+        return `${sent} (was ${original.width}×${original.height} px, ${this.formatBytes(original.bytes)})`;
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Size (e.g. "412 KB", "6.1 MB")
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${Math.round(bytes / 1024)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
 }
 
 // Export for use in content script and tests
@@ -0,0 +1,496 @@
+/**
+ * Image Preprocessor Module
+ * Prepares captured images for OCR: upscaling, grayscale, dark-mode inversion, contrast, deskewing and thresholding
+ */
+
+class ImagePreprocessor {
+    constructor(documentRef = null, windowRef = null) {
+        // Allow dependency injection for testing
+        this.doc = documentRef || document;
+        this.win = windowRef || window;
+
+        // Steps in the order they run
+        this.steps = [
+            { id: 'upscale', label: 'Upscale small captures' },
+            { id: 'grayscale', label: 'Grayscale' },
+            { id: 'invert', label: 'Invert dark mode' },
+            { id: 'contrast', label: 'Normalize contrast' },
+            { id: 'deskew', label: 'Deskew' },
+            { id: 'threshold', label: 'Black and white (threshold)' }
+        ];
+        this.defaultSettings = {
+            upscale: true,
+            grayscale: false,
+            invert: false,
+            contrast: false,
+            deskew: false,
+            threshold: false
+        };
+
+        this.upscaleTarget = 1200; // Captures whose longer side is below this are enlarged
+        this.maxUpscale = 3;
+        this.darkThreshold = 110; // Mean luminance below this counts as dark mode
+        this.maxSkewAngle = 10; // Degrees searched in each direction
+        this.skewStep = 0.5;
+        this.minSkewAngle = 0.3; // Smaller angles are not worth resampling the image
+        this.skewSampleSize = 400; // Longer side of the image used to estimate the skew
+    }
+
+    /**
+     * Get the preprocessing steps in the order they run
+     * @returns {Array<Object>} Steps {id, label}
+     */
+    getSteps() {
+        return this.steps.map(step => ({...step}));
+    }
+
+    /**
+     * Fill in missing steps with their defaults
+     * @param {Object|null} settings - Stored settings, null when never saved
+     * @returns {Object} Settings with a boolean per step
+     */
+    normalizeSettings(settings) {
+        const normalized = {};
+        this.steps.forEach(step => {
+            normalized[step.id] = settings && typeof settings[step.id] === 'boolean'
+                ? settings[step.id]
+                : this.defaultSettings[step.id];
+        });
+        return normalized;
+    }
+
+    /**
+     * Check whether any step is turned on
+     * @param {Object} settings - Preprocessing settings
+     * @returns {boolean} Whether the image would be changed
+     */
+    hasSteps(settings) {
+        const normalized = this.normalizeSettings(settings);
+        return this.steps.some(step => normalized[step.id]);
+    }
+
+    /**
+     * Run the enabled steps on an image
+     * @param {string} imageDataUrl - Source image as data URL
+     * @param {Object} settings - Preprocessing settings, a boolean per step
+     * @returns {Promise<Object>} Result {imageData, width, height, steps, angle}, steps lists what changed the image
+     */
+    async process(imageDataUrl, settings) {
+        if (!imageDataUrl) {
+            throw new Error('Image data URL is required');
+        }
+
+        const options = this.normalizeSettings(settings);
+        if (!this.hasSteps(options)) {
+            return {imageData: imageDataUrl, steps: [], angle: 0};
+        }
+
+        try {
+            const img = await this.loadImage(imageDataUrl);
+            const applied = [];
+
+            const scale = options.upscale ? this.getUpscaleFactor(img.width, img.height) : 1;
+            if (scale > 1) {
+                applied.push('upscale');
+            }
+
+            let canvas = this.createCanvas(Math.round(img.width * scale), Math.round(img.height * scale));
+            let ctx = canvas.getContext('2d');
+            ctx.imageSmoothingEnabled = true;
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+            let pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+            if (options.grayscale) {
+                this.toGrayscale(pixels);
+                applied.push('grayscale');
+            }
+
+            // Only dark images are inverted, so the setting can stay on for light pages
+            if (options.invert && this.isDark(pixels)) {
+                this.invert(pixels);
+                applied.push('invert');
+            }
+
+            if (options.contrast && this.normalizeContrast(pixels)) {
+                applied.push('contrast');
+            }
+
+            ctx.putImageData(pixels, 0, 0);
+
+            let angle = 0;
+            if (options.deskew) {
+                angle = this.estimateSkew(pixels);
+                if (Math.abs(angle) >= this.minSkewAngle) {
+                    canvas = this.rotate(canvas, -angle, this.getMeanLuminance(pixels) < 128 ? 'black' : 'white');
+                    ctx = canvas.getContext('2d');
+                    pixels = ctx.getImageData(0, 0, canvas.width, canvas.height);
+                    applied.push('deskew');
+                } else {
+                    angle = 0;
+                }
+            }
+
+            if (options.threshold) {
+                this.threshold(pixels);
+                ctx.putImageData(pixels, 0, 0);
+                applied.push('threshold');
+            }
+
+            return {
+                imageData: canvas.toDataURL('image/png'),
+                width: canvas.width,
+                height: canvas.height,
+                steps: applied,
+                angle
+            };
+        } catch (error) {
+            throw new Error(`Image preprocessing failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load image from data URL
+     * @param {string} dataUrl - Image data URL
+     * @returns {Promise<HTMLImageElement>} Loaded image element
+     */
+    loadImage(dataUrl) {
+        return new Promise((resolve, reject) => {
+            const img = new this.win.Image();
+
+            const timeout = setTimeout(() => {
+                reject(new Error('Image loading timed out'));
+            }, 10000);
+
+            img.onload = () => {
+                clearTimeout(timeout);
+                resolve(img);
+            };
+
+            img.onerror = () => {
+                clearTimeout(timeout);
+                reject(new Error('Failed to load image'));
+            };
+
+            img.src = dataUrl;
+        });
+    }
+
+    /**
+     * Create a canvas of the given size
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {HTMLCanvasElement} Canvas
+     */
+    createCanvas(width, height) {
+        const canvas = this.doc.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        if (!canvas.getContext('2d')) {
+            throw new Error('Failed to get 2D canvas context');
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Get how much to enlarge a capture so small UI text has enough pixels per character
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {number} Scale factor, 1 when the image is large enough
+     */
+    getUpscaleFactor(width, height) {
+        const longerSide = Math.max(width, height);
+        if (!longerSide || longerSide >= this.upscaleTarget) {
+            return 1;
+        }
+
+        return Math.min(this.maxUpscale, Math.round(this.upscaleTarget / longerSide * 100) / 100);
+    }
+
+    /**
+     * Get the luminance of every pixel
+     * @param {ImageData} pixels - Image pixels
+     * @returns {Uint8ClampedArray} Luminance per pixel
+     */
+    getLuminance(pixels) {
+        const {data} = pixels;
+        const luminance = new Uint8ClampedArray(data.length / 4);
+
+        for (let i = 0; i < luminance.length; i++) {
+            const offset = i * 4;
+            luminance[i] = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+        }
+
+        return luminance;
+    }
+
+    /**
+     * Get the mean luminance of an image
+     * @param {ImageData} pixels - Image pixels
+     * @returns {number} Mean luminance (0-255)
+     */
+    getMeanLuminance(pixels) {
+        const luminance = this.getLuminance(pixels);
+        let sum = 0;
+        for (let i = 0; i < luminance.length; i++) {
+            sum += luminance[i];
+        }
+        return luminance.length ? sum / luminance.length : 0;
+    }
+
+    /**
+     * Check whether an image is mostly dark, like a dark-mode page
+     * @param {ImageData} pixels - Image pixels
+     * @returns {boolean} Whether the image is dark
+     */
+    isDark(pixels) {
+        return this.getMeanLuminance(pixels) < this.darkThreshold;
+    }
+
+    /**
+     * Convert pixels to grayscale in place
+     * @param {ImageData} pixels - Image pixels
+     */
+    toGrayscale(pixels) {
+        const {data} = pixels;
+        const luminance = this.getLuminance(pixels);
+
+        for (let i = 0; i < luminance.length; i++) {
+            data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = luminance[i];
+        }
+    }
+
+    /**
+     * Invert pixel colors in place
+     * @param {ImageData} pixels - Image pixels
+     */
+    invert(pixels) {
+        const {data} = pixels;
+
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = 255 - data[i];
+            data[i + 1] = 255 - data[i + 1];
+            data[i + 2] = 255 - data[i + 2];
+        }
+    }
+
+    /**
+     * Stretch the luminance range to the full 0-255 scale in place
+     * The darkest and brightest 1% are clipped, so a few stray pixels don't limit the stretch
+     * @param {ImageData} pixels - Image pixels
+     * @returns {boolean} Whether the image was changed
+     */
+    normalizeContrast(pixels) {
+        const histogram = this.getHistogram(this.getLuminance(pixels));
+        const total = pixels.width * pixels.height;
+        const low = this.getPercentile(histogram, total, 0.01);
+        const high = this.getPercentile(histogram, total, 0.99);
+
+        // Already full range, or a single color without anything to stretch
+        if (high <= low || (low === 0 && high === 255)) {
+            return false;
+        }
+
+        const {data} = pixels;
+        const factor = 255 / (high - low);
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = (data[i] - low) * factor;
+            data[i + 1] = (data[i + 1] - low) * factor;
+            data[i + 2] = (data[i + 2] - low) * factor;
+        }
+
+        return true;
+    }
+
+    /**
+     * Turn pixels black or white in place, splitting at Otsu's threshold
+     * @param {ImageData} pixels - Image pixels
+     * @returns {number} Threshold used
+     */
+    threshold(pixels) {
+        const luminance = this.getLuminance(pixels);
+        const level = this.getOtsuThreshold(this.getHistogram(luminance), luminance.length);
+        const {data} = pixels;
+
+        for (let i = 0; i < luminance.length; i++) {
+            const value = luminance[i] > level ? 255 : 0;
+            data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = value;
+        }
+
+        return level;
+    }
+
+    /**
+     * Count the pixels of each luminance
+     * @param {Uint8ClampedArray} luminance - Luminance per pixel
+     * @returns {Array<number>} 256 counts
+     */
+    getHistogram(luminance) {
+        const histogram = new Array(256).fill(0);
+        for (let i = 0; i < luminance.length; i++) {
+            histogram[luminance[i]]++;
+        }
+        return histogram;
+    }
+
+    /**
+     * Get the luminance below which a share of the pixels falls
+     * @param {Array<number>} histogram - Luminance histogram
+     * @param {number} total - Pixel count
+     * @param {number} share - Share of pixels (0-1)
+     * @returns {number} Luminance
+     */
+    getPercentile(histogram, total, share) {
+        const target = total * share;
+        let count = 0;
+
+        for (let value = 0; value < 256; value++) {
+            count += histogram[value];
+            if (count > target) {
+                return value;
+            }
+        }
+
+        return 255;
+    }
+
+    /**
+     * Find the luminance that best separates text from background (Otsu's method)
+     * @param {Array<number>} histogram - Luminance histogram
+     * @param {number} total - Pixel count
+     * @returns {number} Threshold, pixels above it are background on light images
+     */
+    getOtsuThreshold(histogram, total) {
+        let sum = 0;
+        for (let value = 0; value < 256; value++) {
+            sum += value * histogram[value];
+        }
+
+        let backgroundSum = 0;
+        let backgroundCount = 0;
+        let bestVariance = -1;
+        let best = 127;
+
+        for (let value = 0; value < 256; value++) {
+            backgroundCount += histogram[value];
+            if (backgroundCount === 0) {
+                continue;
+            }
+
+            const foregroundCount = total - backgroundCount;
+            if (foregroundCount === 0) {
+                break;
+            }
+
+            backgroundSum += value * histogram[value];
+            const backgroundMean = backgroundSum / backgroundCount;
+            const foregroundMean = (sum - backgroundSum) / foregroundCount;
+            const variance = backgroundCount * foregroundCount * Math.pow(backgroundMean - foregroundMean, 2);
+
+            if (variance > bestVariance) {
+                bestVariance = variance;
+                best = value;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Estimate how far text lines are rotated
+     * Text pixels projected along the right angle pile up into sharp line peaks, so the angle
+     * whose row profile has the largest sum of squares wins
+     * @param {ImageData} pixels - Image pixels
+     * @returns {number} Angle in degrees, positive when lines fall to the right
+     */
+    estimateSkew(pixels) {
+        const points = this.getTextPoints(pixels);
+        if (points.length < 10) {
+            return 0;
+        }
+
+        let bestAngle = 0;
+        let bestScore = -1;
+
+        for (let angle = -this.maxSkewAngle; angle <= this.maxSkewAngle + 1e-9; angle += this.skewStep) {
+            const tangent = Math.tan(angle * Math.PI / 180);
+            const rows = new Map();
+
+            for (const [x, y] of points) {
+                const row = Math.round(y - x * tangent);
+                rows.set(row, (rows.get(row) || 0) + 1);
+            }
+
+            let score = 0;
+            rows.forEach(count => {
+                score += count * count;
+            });
+
+            // Prefer the smaller correction when scores tie
+            if (score > bestScore || (score === bestScore && Math.abs(angle) < Math.abs(bestAngle))) {
+                bestScore = score;
+                bestAngle = angle;
+            }
+        }
+
+        return Math.round(bestAngle * 100) / 100;
+    }
+
+    /**
+     * Collect the positions of text pixels on a downsampled grid
+     * Text is whichever side of the threshold has fewer pixels, so dark mode works too
+     * @param {ImageData} pixels - Image pixels
+     * @returns {Array<Array<number>>} Points [x, y] in sample coordinates
+     */
+    getTextPoints(pixels) {
+        const luminance = this.getLuminance(pixels);
+        const level = this.getOtsuThreshold(this.getHistogram(luminance), luminance.length);
+        const step = Math.max(1, Math.ceil(Math.max(pixels.width, pixels.height) / this.skewSampleSize));
+        const dark = [];
+        const light = [];
+
+        for (let y = 0; y < pixels.height; y += step) {
+            for (let x = 0; x < pixels.width; x += step) {
+                const point = [x / step, y / step];
+                if (luminance[y * pixels.width + x] > level) {
+                    light.push(point);
+                } else {
+                    dark.push(point);
+                }
+            }
+        }
+
+        return dark.length <= light.length ? dark : light;
+    }
+
+    /**
+     * Rotate a canvas, growing it so no corner is cut off
+     * @param {HTMLCanvasElement} source - Canvas to rotate
+     * @param {number} angle - Degrees, positive turns clockwise
+     * @param {string} background - Color for the uncovered corners
+     * @returns {HTMLCanvasElement} Rotated canvas
+     */
+    rotate(source, angle, background) {
+        const radians = angle * Math.PI / 180;
+        const cos = Math.abs(Math.cos(radians));
+        const sin = Math.abs(Math.sin(radians));
+        const width = Math.ceil(source.width * cos + source.height * sin);
+        const height = Math.ceil(source.width * sin + source.height * cos);
+
+        const canvas = this.createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+        ctx.translate(width / 2, height / 2);
+        ctx.rotate(radians);
+        ctx.drawImage(source, -source.width / 2, -source.height / 2);
+
+        return canvas;
+    }
+}
+
+// Export for use in content script, popup and tests
+window.ImagePreprocessor = ImagePreprocessor;
\ No newline at end of file
@@ -0,0 +1,674 @@
+/**
+ * OCR Panel Module
+ * Draggable in-page panel showing OCR progress, the captured image and the editable extracted text,
+ * with its translation side by side when one was made
+ */
+
+class OCRPanel {
+    constructor(documentRef = null) {
+        // Allow dependency injection for testing
+        this.doc = documentRef || document;
+
+        this.host = null;
+        this.shadow = null;
+        this.elements = {};
+        this.callbacks = {};
+        this.models = [];
+        this.views = [];
+        this.viewIndex = 0;
+        this.source = null;
+        this.dragOffset = null;
+        this.isSuspended = false;
+
+        // Bind methods to maintain context
+        this.handleDragStart = this.handleDragStart.bind(this);
+        this.handleDragMove = this.handleDragMove.bind(this);
+        this.handleDragEnd = this.handleDragEnd.bind(this);
+    }
+
+    /**
+     * Whether the panel is currently on the page
+     * @returns {boolean} Whether the panel is shown
+     */
+    get isOpen() {
+        return !!this.host;
+    }
+
+    /**
+     * Register event callback
+     * @param {string} event - Event name ('copy', 'copyMarkdown', 'rerun', 'cancel', 'choice')
+     * @param {Function} callback - Callback function
+     */
+    on(event, callback) {
+        if (!this.callbacks[event]) {
+            this.callbacks[event] = [];
+        }
+        this.callbacks[event].push(callback);
+    }
+
+    /**
+     * Emit event to registered callbacks
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    emit(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`OCRPanel: Error in callback for event '${event}':`, error);
+                }
+            });
+        }
+    }
+
+    /**
+     * Add the panel to the page unless it is already shown
+     */
+    show() {
+        if (this.host) {
+            return;
+        }
+
+        this.host = this.doc.createElement('div');
+        this.host.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            z-index: 2147483647;
+        `;
+
+        // Page styles cannot reach into the shadow root
+        this.shadow = this.host.attachShadow({mode: 'open'});
+        this.shadow.innerHTML = `
+            <style>${this.getStyles()}</style>
+            <div class="panel">
+                <div class="header" title="Drag to move">
+                    <span class="title">Screenshot Plus OCR</span>
+                    <button class="close" title="Close">×</button>
+                </div>
+                <div class="status-row">
+                    <div class="status"></div>
+                    <button class="cancel hidden" title="Stop the running OCR">Cancel</button>
+                </div>
+                <div class="views hidden"></div>
+                <div class="choices hidden"></div>
+                <div class="content hidden">
+                    <img class="image" alt="Captured area">
+                    <textarea class="text" spellcheck="false"></textarea>
+                    <div class="translation-pane hidden">
+                        <div class="translation-label"></div>
+                        <textarea class="translation" spellcheck="false"></textarea>
+                    </div>
+                </div>
+                <div class="actions hidden">
+                    <button class="copy">Copy</button>
+                    <span class="formats"></span>
+                    <button class="copy-translation hidden">Copy translation</button>
+                    <button class="copy-markdown">Copy as Markdown</button>
+                    <select class="model" title="Model for re-running OCR"></select>
+                    <button class="rerun">Re-run</button>
+                    <button class="close-button">Close</button>
+                </div>
+            </div>
+        `;
+
+        this.elements = {
+            header: this.shadow.querySelector('.header'),
+            status: this.shadow.querySelector('.status'),
+            cancel: this.shadow.querySelector('.cancel'),
+            views: this.shadow.querySelector('.views'),
+            choices: this.shadow.querySelector('.choices'),
+            content: this.shadow.querySelector('.content'),
+            image: this.shadow.querySelector('.image'),
+            text: this.shadow.querySelector('.text'),
+            panel: this.shadow.querySelector('.panel'),
+            translationPane: this.shadow.querySelector('.translation-pane'),
+            translationLabel: this.shadow.querySelector('.translation-label'),
+            translation: this.shadow.querySelector('.translation'),
+            copyTranslation: this.shadow.querySelector('.copy-translation'),
+            actions: this.shadow.querySelector('.actions'),
+            formats: this.shadow.querySelector('.formats'),
+            modelSelect: this.shadow.querySelector('.model'),
+            rerun: this.shadow.querySelector('.rerun')
+        };
+
+        this.elements.header.addEventListener('mousedown', this.handleDragStart);
+        this.shadow.querySelector('.close').addEventListener('click', () => this.close());
+        this.shadow.querySelector('.close-button').addEventListener('click', () => this.close());
+        this.shadow.querySelector('.copy').addEventListener('click', () => {
+            this.emit('copy', this.getText());
+        });
+        this.elements.copyTranslation.addEventListener('click', () => {
+            this.emit('copy', this.elements.translation.value);
+        });
+        this.shadow.querySelector('.copy-markdown').addEventListener('click', () => {
+            this.emit('copyMarkdown', this.toMarkdown(this.getText()));
+        });
+        this.elements.cancel.addEventListener('click', () => {
+            this.elements.cancel.disabled = true;
+            this.emit('cancel');
+        });
+        this.elements.rerun.addEventListener('click', () => {
+            const model = this.models[this.elements.modelSelect.selectedIndex];
+            if (model) {
+                this.emit('rerun', model);
+            }
+        });
+
+        this.applyVisibility();
+        this.doc.body.appendChild(this.host);
+    }
+
+    /**
+     * Show the captured image while OCR runs
+     * @param {string} imageData - Captured image
+     * @param {Object} source - Page the image came from {url, title}
+     */
+    setCapture(imageData, source = null) {
+        this.show();
+        this.source = source;
+        this.elements.image.src = imageData;
+        this.elements.content.classList.remove('hidden');
+    }
+
+    /**
+     * Show a progress message
+     * @param {string} message - Progress message
+     * @param {boolean} cancellable - Offer to cancel the running OCR
+     */
+    setProgress(message, cancellable = false) {
+        this.show();
+        this.setStatus(message, 'progress');
+        this.setCancellable(cancellable);
+        this.elements.rerun.disabled = true;
+    }
+
+    /**
+     * Show the text received so far while the OCR answer streams in
+     * @param {string} text - Partial text
+     */
+    showPartial(text) {
+        this.show();
+        this.showTranslation(null);
+        this.elements.text.value = text;
+        this.elements.text.scrollTop = this.elements.text.scrollHeight;
+        this.elements.content.classList.remove('hidden');
+    }
+
+    /**
+     * Show or hide the cancel button
+     * @param {boolean} cancellable - Whether OCR can be cancelled
+     */
+    setCancellable(cancellable) {
+        this.elements.cancel.classList.toggle('hidden', !cancellable);
+        this.elements.cancel.disabled = false;
+    }
+
+    /**
+     * Show the extracted text for editing
+     * @param {string} text - Extracted text
+     * @param {string} message - Status line (e.g. which model produced the text)
+     * @param {Array<Object>} formats - Output mode copy formats {id, label, text}, the first is the text itself
+     */
+    showResult(text, message, formats = []) {
+        this.show();
+        this.setStatus(message, 'success');
+        this.setCancellable(false);
+        this.setFormats(formats.slice(1));
+        this.showTranslation(null);
+        this.elements.text.value = text || '';
+        this.elements.text.placeholder = text ? '' : '(No text found)';
+        this.elements.content.classList.remove('hidden');
+        this.elements.actions.classList.remove('hidden');
+        this.elements.rerun.disabled = false;
+
+        // Re-running needs the model list, which comes with OCR results
+        this.elements.modelSelect.classList.toggle('hidden', this.models.length === 0);
+        this.elements.rerun.classList.toggle('hidden', this.models.length === 0);
+    }
+
+    /**
+     * Offer a choice with a button per option, e.g. page text or OCR for a picked element
+     * Clicking one emits 'choice' with its id and removes the buttons
+     * @param {string|null} message - Status line, null to keep the current one
+     * @param {Array<Object>} choices - Choices {id, label}, empty to remove them
+     */
+    offerChoices(message, choices) {
+        this.show();
+        if (message) {
+            this.setStatus(message, 'success');
+            this.setCancellable(false);
+        }
+
+        const container = this.elements.choices;
+        container.textContent = '';
+        container.classList.toggle('hidden', choices.length === 0);
+
+        choices.forEach(choice => {
+            const button = this.doc.createElement('button');
+            button.textContent = choice.label;
+            button.addEventListener('click', () => {
+                this.offerChoices(null, []);
+                this.emit('choice', choice.id);
+            });
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Offer switching between several texts, e.g. all areas of a multi-area capture combined and each area alone
+     * The first view is shown, an empty list removes the switch
+     * @param {Array<Object>} views - Views {label, title, imageData, text, translation}
+     */
+    setViews(views) {
+        this.show();
+        this.views = views.length > 1 ? views : [];
+        this.viewIndex = 0;
+
+        const container = this.elements.views;
+        container.textContent = '';
+        container.classList.toggle('hidden', this.views.length === 0);
+
+        this.views.forEach((view, index) => {
+            const button = this.doc.createElement('button');
+            button.textContent = view.label;
+            button.title = view.title || view.label;
+            button.classList.toggle('selected', index === 0);
+            button.addEventListener('click', () => this.showView(index));
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Show one of the views, keeping edits made to the text shown before
+     * @param {number} index - View index
+     */
+    showView(index) {
+        const view = this.views[index];
+        if (!view) {
+            return;
+        }
+
+        this.views[this.viewIndex].text = this.getText();
+        this.viewIndex = index;
+
+        Array.from(this.elements.views.children).forEach((button, buttonIndex) => {
+            button.classList.toggle('selected', buttonIndex === index);
+        });
+        this.elements.image.src = view.imageData;
+        this.elements.text.value = view.text || '';
+        this.showTranslation(view.translation || null);
+    }
+
+    /**
+     * Show an error message
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.show();
+        this.setStatus(message, 'error');
+        this.setCancellable(false);
+        this.elements.rerun.disabled = false;
+
+        // Re-running with another model is often the fix
+        if (this.models.length > 0) {
+            this.elements.actions.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Show the translation next to the extracted text, or hide it
+     * @param {Object|null} translation - Translation {text, sourceLanguage, targetLanguage}
+     */
+    showTranslation(translation) {
+        this.show();
+        const shown = !!translation;
+
+        this.elements.panel.classList.toggle('translated', shown);
+        this.elements.translationPane.classList.toggle('hidden', !shown);
+        this.elements.copyTranslation.classList.toggle('hidden', !shown);
+        this.elements.translation.value = shown ? translation.text : '';
+        this.elements.translationLabel.textContent = shown
+            ? `${translation.targetLanguage}${translation.sourceLanguage ? ` (from ${translation.sourceLanguage})` : ''}`
+            : '';
+    }
+
+    /**
+     * Add a copy button for each extra format of the output mode
+     * These copy the formatted result, edits in the text box only affect Copy
+     * @param {Array<Object>} formats - Formats {id, label, text}
+     */
+    setFormats(formats) {
+        const container = this.elements.formats;
+        container.textContent = '';
+
+        formats.forEach(format => {
+            const button = this.doc.createElement('button');
+            button.textContent = format.label;
+            button.addEventListener('click', () => this.emit('copy', format.text));
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Fill the re-run model list
+     * @param {Array<Object>} models - Models {value, label, providerId, providerName}
+     * @param {string} selected - Model to preselect
+     */
+    setModels(models, selected = null) {
+        this.show();
+        this.models = models || [];
+
+        const select = this.elements.modelSelect;
+        select.textContent = '';
+
+        const groups = {};
+        this.models.forEach(model => {
+            if (!groups[model.providerId]) {
+                groups[model.providerId] = this.doc.createElement('optgroup');
+                groups[model.providerId].label = model.providerName;
+                select.appendChild(groups[model.providerId]);
+            }
+
+            const option = this.doc.createElement('option');
+            option.value = model.value;
+            option.textContent = model.label;
+            option.selected = model.value === selected;
+            groups[model.providerId].appendChild(option);
+        });
+    }
+
+    /**
+     * Update the status line
+     * @param {string} message - Status message
+     * @param {string} type - 'progress', 'success' or 'error'
+     */
+    setStatus(message, type) {
+        this.elements.status.textContent = message;
+        this.elements.status.className = `status ${type}`;
+    }
+
+    /**
+     * Get the text as edited by the user
+     * @returns {string} Text
+     */
+    getText() {
+        return this.elements.text ? this.elements.text.value : '';
+    }
+
+    /**
+     * Format text as a Markdown quote with a link to the source page
+     * @param {string} text - Text to format
+     * @returns {string} Markdown
+     */
+    toMarkdown(text) {
+        const quote = text.split('\n').map(line => line ? `> ${line}` : '>').join('\n');
+
+        if (!this.source || !this.source.url) {
+            return quote;
+        }
+
+        const title = (this.source.title || this.source.url).replace(/[[\]]/g, '\\$&');
+        return `${quote}\n\nSource: [${title}](${this.source.url})`;
+    }
+
+    /**
+     * Start moving the panel with the header
+     * @param {MouseEvent} event - Mouse down event
+     */
+    handleDragStart(event) {
+        // Let the header buttons handle their own clicks
+        if (event.button !== 0 || event.target.closest('button')) {
+            return;
+        }
+
+        const rect = this.host.getBoundingClientRect();
+        this.dragOffset = {x: event.clientX - rect.left, y: event.clientY - rect.top};
+
+        this.doc.addEventListener('mousemove', this.handleDragMove, true);
+        this.doc.addEventListener('mouseup', this.handleDragEnd, true);
+        event.preventDefault();
+    }
+
+    /**
+     * Move the panel with the mouse
+     * @param {MouseEvent} event - Mouse move event
+     */
+    handleDragMove(event) {
+        if (!this.dragOffset || !this.host) {
+            return;
+        }
+
+        const view = this.doc.defaultView || window;
+        const maxX = Math.max(0, view.innerWidth - this.host.offsetWidth);
+        const maxY = Math.max(0, view.innerHeight - this.host.offsetHeight);
+
+        // Keep the panel inside the viewport
+        const x = Math.min(Math.max(0, event.clientX - this.dragOffset.x), maxX);
+        const y = Math.min(Math.max(0, event.clientY - this.dragOffset.y), maxY);
+
+        this.host.style.left = `${x}px`;
+        this.host.style.top = `${y}px`;
+        this.host.style.right = 'auto';
+    }
+
+    /**
+     * Stop moving the panel
+     */
+    handleDragEnd() {
+        this.dragOffset = null;
+        this.doc.removeEventListener('mousemove', this.handleDragMove, true);
+        this.doc.removeEventListener('mouseup', this.handleDragEnd, true);
+    }
+
+    /**
+     * Keep the panel out of screenshots while a capture runs, restoring it afterwards.
+     * Progress shown meanwhile only appears once the task is done
+     * @param {Function} task - Async function taking the screenshots
+     * @returns {Promise<*>} Result of the task
+     */
+    async hideDuring(task) {
+        this.isSuspended = true;
+        this.applyVisibility();
+
+        try {
+            return await task();
+        } finally {
+            this.isSuspended = false;
+            this.applyVisibility();
+        }
+    }
+
+    /**
+     * Hide the panel while a capture runs, show it otherwise
+     */
+    applyVisibility() {
+        if (this.host) {
+            this.host.style.visibility = this.isSuspended ? 'hidden' : '';
+        }
+    }
+
+    /**
+     * Remove the panel from the page
+     */
+    close() {
+        this.handleDragEnd();
+
+        if (this.host && this.host.parentNode) {
+            this.host.parentNode.removeChild(this.host);
+        }
+
+        this.host = null;
+        this.shadow = null;
+        this.elements = {};
+        this.models = [];
+        this.views = [];
+        this.viewIndex = 0;
+        this.source = null;
+    }
+
+    /**
+     * Get the panel styles
+     * @returns {string} CSS
+     */
+    getStyles() {
+        return `
+            .panel {
+                width: 480px;
+                max-width: calc(100vw - 40px);
+                background: white;
+                color: #333;
+                border-radius: 6px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 14px;
+                line-height: 1.4;
+                overflow: hidden;
+            }
+            .header {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                padding: 8px 12px;
+                background: #2196F3;
+                color: white;
+                font-weight: 500;
+                cursor: move;
+                user-select: none;
+            }
+            .close {
+                border: none;
+                background: none;
+                color: white;
+                font-size: 18px;
+                cursor: pointer;
+            }
+            .status-row {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 8px;
+                padding-right: 12px;
+            }
+            .status {
+                padding: 8px 12px;
+            }
+            .views, .choices {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                margin: 0 12px 8px;
+            }
+            .views button, .choices button {
+                min-width: 28px;
+                padding: 2px 8px;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                background: #f5f5f5;
+                color: #333;
+                font-size: 12px;
+                cursor: pointer;
+            }
+            .views button.selected, .choices button:first-child {
+                background: #2196F3;
+                border-color: #2196F3;
+                color: white;
+            }
+            .cancel {
+                padding: 3px 8px;
+                border: 1px solid #c62828;
+                border-radius: 4px;
+                background: white;
+                color: #c62828;
+                font-size: 12px;
+                cursor: pointer;
+            }
+            .status.progress {
+                color: #666;
+            }
+            .status.success {
+                color: #2e7d32;
+            }
+            .status.error {
+                color: #c62828;
+            }
+            .content {
+                display: flex;
+                gap: 8px;
+                margin: 0 12px 8px;
+            }
+            .image {
+                width: 140px;
+                max-height: 200px;
+                object-fit: contain;
+                align-self: flex-start;
+                background: #f5f5f5;
+                border: 1px solid #ddd;
+            }
+            .panel.translated {
+                width: 760px;
+            }
+            .translation-pane {
+                flex: 1;
+                display: flex;
+                flex-direction: column;
+                gap: 4px;
+            }
+            .translation-label {
+                font-size: 12px;
+                color: #666;
+            }
+            .text, .translation {
+                flex: 1;
+                min-height: 120px;
+                max-height: 320px;
+                padding: 8px;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                font-family: inherit;
+                font-size: 13px;
+                resize: vertical;
+            }
+            .actions {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 5px;
+                margin: 0 12px 12px;
+            }
+            .actions button, .actions select {
+                padding: 5px 8px;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                background: #f5f5f5;
+                color: #333;
+                font-size: 12px;
+                cursor: pointer;
+            }
+            .actions .copy {
+                background: #4CAF50;
+                border-color: #4CAF50;
+                color: white;
+            }
+            .formats {
+                display: contents;
+            }
+            .actions select {
+                flex: 1;
+                min-width: 0;
+                background: white;
+            }
+            .actions button:disabled {
+                opacity: 0.5;
+                cursor: not-allowed;
+            }
+            .hidden {
+                display: none;
+            }
+        `;
+    }
+}
+
+// Export for use in content script and tests
+window.OCRPanel = OCRPanel;
\ No newline at end of file
@@ -1,386 +1,627 @@
 // Content script for Chrome extension - Modular approach
+// Content modules (content-modules/*.js) are injected before this file
 // Prevent double-loading
 if (!window.screenshotOCRLoaded) {
     window.screenshotOCRLoaded = true;
     console.log('Screenshot Plus OCR content script loaded');
 
-    // Check if modules are already loaded from previous injection
-    if (!window.AreaCapture || !window.ImageCropper) {
-        // Include the modules directly since dynamic loading might fail
-        
-        // AreaCapture class (simplified inline version)
-        class AreaCapture {
-            constructor(documentRef = null) {
-                this.isActive = false;
-                this.isDrawing = false;
-                this.overlay = null;
-                this.selectionBox = null;
-                this.startX = 0;
-                this.startY = 0;
-                this.endX = 0;
-                this.endY = 0;
-                this.onCompleteCallback = null;
-                this.onCancelCallback = null;
-                this.doc = documentRef || document;
-                this.originalScrollPosition = null;
-                this.preventScroll = null;
+    // Content script controller
+    class ContentScriptController {
+        constructor() {
+            this.areaCapture = null;
+            this.imageCropper = null;
+            this.ocrPipeline = null;
+            this.fullPageCapture = null;
+            this.elementReader = null;
+            this.ocrPanel = null;
+            this.ocrCapture = null;
+            this.isCapturing = false;
+            this.currentArea = null;
+            this.captureOptions = {};
+            this.contextTarget = null;
+            this.canvasMenuVisible = false;
+            
+            // Initialize modules immediately since they are injected ahead of this script
+            this.initializeModules();
+            this.setupContextMenuTracking();
+        }
+
+        initializeModules() {
+            try {
+                // Initialize modules
+                this.areaCapture = new AreaCapture(document, new FrameBridge());
+                this.imageCropper = new ImageCropper();
+                this.ocrPipeline = new OCRPipeline(null, {preprocessor: new ImagePreprocessor(), cropper: this.imageCropper});
+                this.fullPageCapture = new FullPageCapture();
+                this.elementReader = new ElementImageReader();
+                this.ocrPanel = new OCRPanel();
+                this.setupPanelHandlers();
                 
-                this.handleMouseDown = this.handleMouseDown.bind(this);
-                this.handleMouseMove = this.handleMouseMove.bind(this);
-                this.handleMouseUp = this.handleMouseUp.bind(this);
-                this.handleKeyDown = this.handleKeyDown.bind(this);
+                console.log('Content script modules initialized');
+                return true;
+            } catch (error) {
+                console.error('Module initialization failed:', error);
+                return false;
             }
+        }
 
-            start(onComplete, onCancel) {
-                if (this.isActive) {
-                    throw new Error('Area capture is already active');
+        /**
+         * Remember the right-clicked element, since context menu clicks do not say which it was
+         */
+        setupContextMenuTracking() {
+            // The right mouse button goes down before the menu opens, which gives the
+            // canvas entry a head start; the contextmenu event also covers the menu key
+            document.addEventListener('mousedown', (event) => {
+                if (event.button === 2) {
+                    this.updateCanvasMenu(event.target);
                 }
-                this.onCompleteCallback = onComplete;
-                this.onCancelCallback = onCancel;
-                this.isActive = true;
-                this.createOverlay();
-                this.attachEventListeners();
+            }, true);
+
+            document.addEventListener('contextmenu', (event) => {
+                this.contextTarget = event.target;
+                this.updateCanvasMenu(event.target);
+            }, true);
+        }
+
+        /**
+         * Show the canvas menu entry only when a canvas is right-clicked
+         * @param {Element} target - Right-clicked element
+         */
+        updateCanvasMenu(target) {
+            // Chrome reports canvases as the page context, so the entry is hidden everywhere else
+            const visible = !!this.elementReader.findElement(null, 'canvas', target);
+            if (visible !== this.canvasMenuVisible) {
+                this.canvasMenuVisible = visible;
+                chrome.runtime.sendMessage({ action: 'setCanvasMenuVisible', visible });
             }
+        }
+
+        /**
+         * Handle the OCR panel buttons
+         */
+        setupPanelHandlers() {
+            this.ocrPanel.on('copy', (text) => this.copyPanelText(text, '✅ Copied to clipboard'));
+            this.ocrPanel.on('copyMarkdown', (markdown) => this.copyPanelText(markdown, '✅ Copied as Markdown'));
+            this.ocrPanel.on('rerun', (model) => this.rerunOCR(model));
+            this.ocrPanel.on('cancel', () => this.cancelOCR());
+            this.ocrPanel.on('choice', (choice) => this.handlePanelChoice(choice));
+        }
 
-            stop() {
-                if (!this.isActive) return;
-                this.detachEventListeners();
-                this.removeOverlay();
-                this.reset();
+        /**
+         * Start area capture process
+         * @param {Object} options - Capture options {ocr: extract and copy text afterwards, mode: 'area' or 'element'}
+         */
+        startAreaCapture(options = {}) {
+            if (this.isCapturing) {
+                console.log('Already capturing');
+                return { success: false, error: 'Already capturing' };
             }
 
-            cancel() {
-                const callback = this.onCancelCallback;
-                this.stop();
-                if (callback) callback();
+            if (!this.areaCapture) {
+                console.error('AreaCapture module not available');
+                return { success: false, error: 'Module not available' };
             }
 
-            createOverlay() {
-                this.overlay = this.doc.createElement('div');
-                this.overlay.style.cssText = `
-                    position: fixed; top: 0; left: 0; width: 100vw; height: 100vh;
-                    background-color: rgba(0, 0, 0, 0.3); z-index: 999999; cursor: crosshair;
-                `;
-                
-                this.selectionBox = this.doc.createElement('div');
-                this.selectionBox.style.cssText = `
-                    position: absolute; border: 2px solid #007acc;
-                    background-color: rgba(0, 122, 204, 0.1); pointer-events: none; display: none;
-                `;
-                
-                const instructions = this.doc.createElement('div');
-                instructions.textContent = 'Click and drag to select an area. Press ESC to cancel.';
-                instructions.style.cssText = `
-                    position: fixed; top: 20px; left: 50%; transform: translateX(-50%);
-                    background-color: rgba(0, 0, 0, 0.8); color: white; padding: 10px 20px;
-                    border-radius: 5px; font-family: Arial, sans-serif; font-size: 14px;
-                    z-index: 1000000; pointer-events: none;
-                `;
-                
-                this.overlay.appendChild(this.selectionBox);
-                this.overlay.appendChild(instructions);
-                this.doc.body.appendChild(this.overlay);
-                
-                // Prevent scrolling without changing overflow (which causes scroll to top)
-                this.originalScrollPosition = {
-                    x: window.scrollX || window.pageXOffset,
-                    y: window.scrollY || window.pageYOffset
-                };
-                this.preventScroll = (e) => {
-                    e.preventDefault();
-                    e.stopPropagation();
-                };
-                // Prevent scroll events but don't change overflow
-                document.addEventListener('wheel', this.preventScroll, { passive: false });
-                document.addEventListener('touchmove', this.preventScroll, { passive: false });
+            try {
+                console.log('Starting area capture...');
+                this.isCapturing = true;
+                this.captureOptions = options;
+
+                // Start area selection
+                this.areaCapture.start(
+                    (area) => this.handleAreaSelected(area),
+                    () => this.handleAreaCancelled(),
+                    { mode: options.mode }
+                );
+
+                return { success: true };
+            } catch (error) {
+                console.error('Failed to start area capture:', error);
+                this.isCapturing = false;
+                return { success: false, error: error.message };
             }
+        }
 
-            removeOverlay() {
-                if (this.overlay) {
-                    this.overlay.remove();
-                    this.overlay = null;
-                }
-                this.selectionBox = null;
+        /**
+         * Handle area selection completion
+         */
+        async handleAreaSelected(selection) {
+            // The text and the scrolling element of a picked element are used once, they are not part of the stored area
+            const { pageText, scrollTarget, ...area } = selection;
+            console.log('Area selected:', area);
+            this.currentArea = area;
+            this.pageText = pageText || null;
+
+            // Keep an earlier result panel out of the screenshot
+            this.ocrPanel.close();
+
+            try {
+                // Capture screenshot via background script
+                const response = await this.captureSelection(area, scrollTarget);
                 
-                // Remove scroll prevention and restore original position
-                if (this.preventScroll) {
-                    document.removeEventListener('wheel', this.preventScroll);
-                    document.removeEventListener('touchmove', this.preventScroll);
-                    this.preventScroll = null;
+                if (response.success) {
+                    if (this.captureOptions.ocr) {
+                        this.ocrPanel.setProgress('📸 Saving screenshot...');
+                    }
+                    
+                    // Copy to clipboard and store
+                    const capture = area.regions
+                        ? await this.processRegions(response.imageData, area, response.cropArea)
+                        : await this.processScreenshot(response.imageData, response.cropArea);
+                    
+                    if (this.captureOptions.ocr) {
+                        this.ocrCapture = capture;
+                        this.ocrPanel.setCapture(capture.imageData, { url: location.href, title: document.title });
+                        if (this.pageText) {
+                            this.ocrPanel.offerChoices('📄 This element\'s text is on the page, no OCR needed', [
+                                { id: 'pageText', label: 'Use page text' },
+                                { id: 'ocr', label: 'Run OCR' }
+                            ]);
+                        } else {
+                            await this.requestOCR(capture);
+                        }
+                    } else if (capture.regions) {
+                        this.showNotification(`✅ ${capture.regions.length} areas captured and copied to clipboard! Click the extension icon to extract text with OCR.`, 'success', 8000);
+                    } else {
+                        this.showNotification('✅ Screenshot captured and copied to clipboard! Click the extension icon to extract text with OCR.', 'success', 8000);
+                    }
+                } else {
+                    this.showNotification('Failed to capture screenshot: ' + response.error, 'error');
                 }
-                
-                // Restore original scroll position if it was saved
-                if (this.originalScrollPosition) {
-                    window.scrollTo(this.originalScrollPosition.x, this.originalScrollPosition.y);
-                    this.originalScrollPosition = null;
+            } catch (error) {
+                console.error('Screenshot processing failed:', error);
+                if (this.captureOptions.ocr) {
+                    this.ocrPanel.showError('Failed to process screenshot: ' + error.message);
+                } else {
+                    this.showNotification('Failed to process screenshot: ' + error.message, 'error');
                 }
             }
 
-            attachEventListeners() {
-                this.overlay.addEventListener('mousedown', this.handleMouseDown);
-                this.doc.addEventListener('mousemove', this.handleMouseMove);
-                this.doc.addEventListener('mouseup', this.handleMouseUp);
-                this.doc.addEventListener('keydown', this.handleKeyDown);
-                // Don't focus the overlay to avoid scrolling issues
-                this.overlay.setAttribute('tabindex', '0');
+            this.cleanup();
+        }
+
+        /**
+         * Capture the visible part of the page without selecting an area
+         */
+        async captureVisible() {
+            if (this.isCapturing) {
+                return { success: false, error: 'Already capturing' };
             }
 
-            detachEventListeners() {
-                if (this.overlay) {
-                    this.overlay.removeEventListener('mousedown', this.handleMouseDown);
-                }
-                this.doc.removeEventListener('mousemove', this.handleMouseMove);
-                this.doc.removeEventListener('mouseup', this.handleMouseUp);
-                this.doc.removeEventListener('keydown', this.handleKeyDown);
-            }
-
-            handleMouseDown(event) {
-                if (!this.isActive) return;
-                event.preventDefault();
-                this.isDrawing = true;
-                this.startX = event.clientX;
-                this.startY = event.clientY;
-                this.endX = event.clientX;
-                this.endY = event.clientY;
-                this.updateSelectionBox();
-                this.selectionBox.style.display = 'block';
-            }
-
-            handleMouseMove(event) {
-                if (!this.isActive || !this.isDrawing) return;
-                this.endX = event.clientX;
-                this.endY = event.clientY;
-                this.updateSelectionBox();
-            }
-
-            handleMouseUp(event) {
-                if (!this.isActive || !this.isDrawing) return;
-                this.isDrawing = false;
-                const area = this.getSelectedArea();
-                if (area.width < 10 || area.height < 10) {
-                    this.showError('Selection too small. Please select a larger area.');
-                    this.selectionBox.style.display = 'none';
-                    return;
+            this.isCapturing = true;
+            this.ocrPanel.close();
+
+            try {
+                const response = await this.captureScreenshot(null);
+                if (!response.success) {
+                    throw new Error(response.error);
                 }
-                this.completeSelection(area);
+
+                await this.processScreenshot(response.imageData);
+                this.showNotification('✅ Visible page captured and copied to clipboard!', 'success');
+                return { success: true };
+            } catch (error) {
+                console.error('Visible capture failed:', error);
+                this.showNotification('Failed to capture page: ' + error.message, 'error');
+                return { success: false, error: error.message };
+            } finally {
+                this.cleanup();
             }
+        }
 
-            handleKeyDown(event) {
-                if (!this.isActive) return;
-                if (event.key === 'Escape') {
-                    event.preventDefault();
-                    this.cancel();
-                }
+        /**
+         * Extract text from an image, video or canvas element picked from the context menu
+         * @param {Object} request - Context menu details {srcUrl, mediaType}
+         */
+        async ocrElement(request) {
+            if (this.isCapturing) {
+                return { success: false, error: 'Already capturing' };
             }
 
-            updateSelectionBox() {
-                if (!this.selectionBox) return;
-                const left = Math.min(this.startX, this.endX);
-                const top = Math.min(this.startY, this.endY);
-                const width = Math.abs(this.endX - this.startX);
-                const height = Math.abs(this.endY - this.startY);
-                this.selectionBox.style.left = `${left}px`;
-                this.selectionBox.style.top = `${top}px`;
-                this.selectionBox.style.width = `${width}px`;
-                this.selectionBox.style.height = `${height}px`;
+            const element = this.elementReader.findElement(request.srcUrl, request.mediaType, this.contextTarget);
+
+            // The entry's visibility is shared by all tabs, so it can still be showing from a canvas on another page.
+            // When the right-click was not on a canvas, the canvas is picked instead
+            if (!element && request.mediaType === 'canvas') {
+                this.showNotification('No canvas was right-clicked - click the canvas to extract its text', 'info');
+                return this.startAreaCapture({ ocr: true, mode: 'element' });
             }
 
-            getSelectedArea() {
-                const left = Math.min(this.startX, this.endX);
-                const top = Math.min(this.startY, this.endY);
-                const width = Math.abs(this.endX - this.startX);
-                const height = Math.abs(this.endY - this.startY);
-                return { x: left, y: top, width, height };
+            if (!element) {
+                this.showNotification('Could not find that element on the page', 'error');
+                return { success: false, error: 'Element not found' };
             }
 
-            completeSelection(area) {
-                const callback = this.onCompleteCallback;
-                this.stop();
-                if (callback) callback(area);
+            this.isCapturing = true;
+            this.ocrPanel.close();
+
+            try {
+                const imageData = await this.readElementImage(element);
+                const historyId = await this.saveToHistory(imageData);
+                await this.storeScreenshot(imageData, historyId);
+
+                this.ocrCapture = { imageData, historyId };
+                this.ocrPanel.setCapture(imageData, { url: location.href, title: document.title });
+                this.ocrPanel.setProgress('🔍 Starting OCR...');
+                await this.requestOCR(this.ocrCapture);
+                return { success: true };
+            } catch (error) {
+                console.error('Element OCR failed:', error);
+                this.ocrPanel.showError('❌ Failed to read element: ' + error.message);
+                return { success: false, error: error.message };
+            } finally {
+                this.cleanup();
             }
+        }
 
-            showError(message) {
-                const errorDiv = this.doc.createElement('div');
-                errorDiv.style.cssText = `
-                    position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%);
-                    background-color: #ff4444; color: white; padding: 15px 25px;
-                    border-radius: 5px; font-family: Arial, sans-serif; font-size: 14px;
-                    z-index: 1000001; box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
-                `;
-                errorDiv.textContent = message;
-                this.doc.body.appendChild(errorDiv);
-                setTimeout(() => {
-                    if (errorDiv.parentNode) errorDiv.remove();
-                }, 3000);
+        /**
+         * Get an element's pixels, falling back to a screenshot of it for cross-origin media
+         * @param {Element} element - Image, video or canvas element
+         * @returns {Promise<string>} Image as data URL
+         */
+        async readElementImage(element) {
+            try {
+                return this.elementReader.render(element);
+            } catch (error) {
+                console.log('Rendering element failed, capturing it from the screen instead:', error.message);
             }
 
-            reset() {
-                this.isActive = false;
-                this.isDrawing = false;
-                this.startX = 0;
-                this.startY = 0;
-                this.endX = 0;
-                this.endY = 0;
-                this.onCompleteCallback = null;
-                this.onCancelCallback = null;
+            element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+
+            const visibleArea = this.elementReader.getVisibleArea(element);
+            if (!visibleArea) {
+                throw new Error('Element is not visible');
+            }
+
+            const area = { ...visibleArea, ...this.areaCapture.getViewportMetrics() };
+            const response = await this.captureScreenshot(area);
+            if (!response.success) {
+                throw new Error(response.error);
             }
+
+            return this.imageCropper.cropImage(response.imageData, area);
         }
 
-        // ImageCropper class (simplified inline version)
-        class ImageCropper {
-            constructor(documentRef = null, windowRef = null) {
-                this.doc = documentRef || document;
-                this.win = windowRef || window;
+        /**
+         * Capture the previously selected area again
+         */
+        async repeatLastArea() {
+            if (this.isCapturing) {
+                return { success: false, error: 'Already capturing' };
+            }
+
+            const { screenshotArea } = await chrome.storage.local.get('screenshotArea');
+            if (!screenshotArea) {
+                this.showNotification('No previous area to repeat - select an area first', 'error');
+                return { success: false, error: 'No previous area' };
             }
 
-            async cropImage(imageDataUrl, area) {
-                if (!imageDataUrl) throw new Error('Image data URL is required');
-                if (!area || typeof area !== 'object') throw new Error('Area object is required');
-                if (!this.isValidArea(area)) throw new Error('Invalid area dimensions');
+            this.isCapturing = true;
 
-                try {
-                    const img = await this.loadImage(imageDataUrl);
-                    return this.performCrop(img, area);
-                } catch (error) {
-                    throw new Error(`Image cropping failed: ${error.message}`);
-                }
+            // The area is kept in CSS pixels, so take the scale of this tab
+            await this.handleAreaSelected({
+                ...screenshotArea,
+                ...this.areaCapture.getViewportMetrics()
+            });
+            return { success: true };
+        }
+
+        /**
+         * Hand the screenshot to the background script, which reports back with
+         * ocrProgress, ocrPartial, ocrResult and ocrError messages
+         * The areas of a multi-area capture are sent one by one instead of the stacked image
+         * @param {Object} capture - Stored capture {imageData, historyId, regions}
+         * @param {Object} model - Model to use instead of the saved one {value, providerId} (optional)
+         */
+        async requestOCR(capture, model = null) {
+            const images = [];
+            for (const region of capture.regions || [capture]) {
+                const image = await this.prepareForOCR(region.imageData);
+                images.push({imageData: image.imageData, historyId: region.historyId, info: image.info});
             }
 
-            isValidArea(area) {
-                const required = ['x', 'y', 'width', 'height'];
-                for (const prop of required) {
-                    if (!(prop in area) || typeof area[prop] !== 'number') return false;
-                }
-                return area.width > 0 && area.height > 0 && area.x >= 0 && area.y >= 0;
-            }
-
-            loadImage(dataUrl) {
-                return new Promise((resolve, reject) => {
-                    const img = new this.win.Image();
-                    const timeout = setTimeout(() => reject(new Error('Image loading timed out')), 10000);
-                    img.onload = () => {
-                        clearTimeout(timeout);
-                        resolve(img);
-                    };
-                    img.onerror = () => {
-                        clearTimeout(timeout);
-                        reject(new Error('Failed to load image'));
-                    };
-                    img.src = dataUrl;
+            this.ocrImageInfo = images.length > 1 ? `${images.length} areas` : images[0].info;
+
+            return new Promise((resolve, reject) => {
+                chrome.runtime.sendMessage({
+                    action: 'runOCR',
+                    images,
+                    model: model ? model.value : null,
+                    providerId: model ? model.providerId : null
+                }, (response) => {
+                    if (chrome.runtime.lastError) {
+                        reject(new Error(chrome.runtime.lastError.message));
+                        return;
+                    }
+
+                    if (!response || !response.success) {
+                        reject(new Error(response?.error || 'Failed to start OCR'));
+                        return;
+                    }
+                    resolve();
                 });
+            });
+        }
+
+        /**
+         * Apply the preprocessing steps and size budget chosen in the popup to the image sent to OCR
+         * The capture itself stays untouched in the clipboard and history
+         * @param {string} imageData - Captured image
+         * @returns {Promise<Object>} Image {imageData, info}, the original if preparing fails
+         */
+        async prepareForOCR(imageData) {
+            try {
+                const { preprocessing, sizeBudget } = await chrome.storage.sync.get(['preprocessing', 'sizeBudget']);
+                const image = await this.ocrPipeline.prepareImage(imageData, {
+                    preprocessing,
+                    sizeBudget,
+                    onPreprocess: () => this.ocrPanel.setProgress('🧪 Preparing image for OCR...')
+                });
+
+                if (image.changed) {
+                    this.ocrPanel.setProgress(`📐 Sending ${image.info}...`);
+                }
+                return image;
+            } catch (error) {
+                console.error('Preparing image for OCR failed, sending it as is:', error);
+                return {imageData, info: null};
             }
+        }
 
-            performCrop(img, area) {
-                if (area.x + area.width > img.width || area.y + area.height > img.height) {
-                    throw new Error('Crop area extends beyond image boundaries');
+        /**
+         * Run OCR on the panel's capture again with another model
+         * @param {Object} model - Model chosen in the panel {value, label, providerId}
+         */
+        async rerunOCR(model) {
+            if (!this.ocrCapture) {
+                return;
+            }
+
+            try {
+                // Back to the combined view, the new text replaces every area's
+                if (this.ocrCapture.regions) {
+                    this.ocrPanel.setViews([]);
+                    this.ocrPanel.setCapture(this.ocrCapture.imageData, this.ocrPanel.source);
                 }
 
-                const canvas = this.doc.createElement('canvas');
-                const ctx = canvas.getContext('2d');
-                if (!ctx) throw new Error('Failed to get 2D canvas context');
+                this.ocrPanel.setProgress(`🔄 Re-running with ${model.label}...`);
+                await this.requestOCR(this.ocrCapture, model);
+            } catch (error) {
+                console.error('Failed to re-run OCR:', error);
+                this.ocrPanel.showError('❌ OCR failed: ' + error.message);
+            }
+        }
 
-                canvas.width = area.width;
-                canvas.height = area.height;
+        /**
+         * Handle a choice offered in the OCR panel
+         * @param {string} choice - 'pageText' to use the picked element's text, 'ocr' to run OCR on the capture
+         */
+        async handlePanelChoice(choice) {
+            if (choice === 'pageText') {
+                await this.usePageText();
+                return;
+            }
 
+            if (choice === 'ocr' && this.ocrCapture) {
                 try {
-                    ctx.drawImage(img, area.x, area.y, area.width, area.height, 0, 0, area.width, area.height);
-                    return canvas.toDataURL('image/png');
+                    this.ocrPanel.setProgress('🔍 Starting OCR...');
+                    await this.requestOCR(this.ocrCapture);
                 } catch (error) {
-                    throw new Error(`Canvas drawing failed: ${error.message}`);
+                    console.error('Failed to start OCR:', error);
+                    this.ocrPanel.showError('❌ OCR failed: ' + error.message);
                 }
             }
         }
 
-        // Make modules available globally
-        window.AreaCapture = AreaCapture;
-        window.ImageCropper = ImageCropper;
-        console.log('Content modules loaded inline');
-    }
+        /**
+         * Show and copy the picked element's text, keeping OCR one click away
+         */
+        async usePageText() {
+            const text = this.pageText || '';
 
-    // Content script controller
-    class ContentScriptController {
-        constructor() {
-            this.areaCapture = null;
-            this.imageCropper = null;
-            this.isCapturing = false;
-            this.currentArea = null;
-            
-            // Initialize modules immediately since they're loaded inline
-            this.initializeModules();
+            // The history entry gets the text as if OCR had produced it
+            if (this.ocrCapture && this.ocrCapture.historyId) {
+                chrome.runtime.sendMessage({
+                    action: 'updateHistoryEntry',
+                    id: this.ocrCapture.historyId,
+                    changes: { text, model: 'page text' }
+                }, () => {
+                    void chrome.runtime.lastError;
+                });
+            }
+
+            try {
+                await navigator.clipboard.writeText(text);
+                this.ocrPanel.showResult(text, '✅ Copied the page text to clipboard');
+            } catch (error) {
+                console.error('Failed to copy text to clipboard:', error);
+                this.ocrPanel.showResult(text, `Read the page text, but copying failed: ${error.message}`);
+            }
+
+            this.ocrPanel.offerChoices(null, [{ id: 'ocr', label: 'Run OCR instead' }]);
         }
 
-        initializeModules() {
+        /**
+         * Ask the background script to stop the OCR running for this tab
+         */
+        cancelOCR() {
+            chrome.runtime.sendMessage({ action: 'cancelOCR' }, (response) => {
+                if (chrome.runtime.lastError || !response || !response.success) {
+                    // The job finished before the cancel arrived
+                    console.log('No OCR job to cancel');
+                }
+            });
+        }
+
+        /**
+         * Copy text from the OCR panel
+         * @param {string} text - Text to copy
+         * @param {string} message - Status shown once copied
+         */
+        async copyPanelText(text, message) {
             try {
-                // Initialize modules (they're already loaded inline above)
-                this.areaCapture = new AreaCapture();
-                this.imageCropper = new ImageCropper();
-                
-                console.log('Content script modules initialized');
-                return true;
+                await navigator.clipboard.writeText(text);
+                this.ocrPanel.setStatus(message, 'success');
             } catch (error) {
-                console.error('Module initialization failed:', error);
-                return false;
+                console.error('Failed to copy text to clipboard:', error);
+                this.ocrPanel.setStatus('Failed to copy: ' + error.message, 'error');
             }
         }
 
         /**
-         * Start area capture process
+         * Show the OCR result and copy the text to the clipboard
+         * @param {Object} result - OCR result {text, model, models, formats, warnings, language, translation, failures}
+         */
+        async handleOCRResult(result) {
+            this.ocrPanel.setModels(result.models, result.model);
+
+            const formats = result.formats || [];
+            const translation = result.translation && !result.translation.error ? result.translation : null;
+
+            // Say which model of the fallback chain produced the text
+            const failed = (result.failures || []).map(failure => failure.model);
+            const details = [
+                failed.length > 0 ? `${result.model}, after ${failed.join(', ')} failed` : result.model,
+                result.language,
+                this.ocrImageInfo,
+                ...(result.warnings || []),
+                result.translation && result.translation.error
+            ].filter(Boolean).join(' · ');
+
+            try {
+                await navigator.clipboard.writeText(result.text);
+                this.ocrPanel.showResult(result.text, `✅ Copied to clipboard (${details})`, formats);
+            } catch (error) {
+                // Writing needs the page to have focus, the text is still shown
+                console.error('Failed to copy text to clipboard:', error);
+                this.ocrPanel.showResult(result.text, `Extracted with ${details}, but copying failed: ${error.message}`, formats);
+            }
+
+            if (translation) {
+                this.ocrPanel.showTranslation(translation);
+            }
+
+            // Multi-area captures can also be read area by area
+            const regions = this.ocrCapture && this.ocrCapture.regions;
+            if (result.regions && regions) {
+                this.ocrPanel.setViews([
+                    { label: 'All', title: 'All areas in selection order', imageData: this.ocrCapture.imageData, text: result.text, translation },
+                    ...result.regions.map((region, index) => ({
+                        label: String(index + 1),
+                        title: `Area ${index + 1}`,
+                        imageData: regions[index].imageData,
+                        text: region.text,
+                        translation: region.translation && !region.translation.error ? region.translation : null
+                    }))
+                ]);
+            } else {
+                this.ocrPanel.setViews([]);
+            }
+        }
+
+        /**
+         * Capture the whole page by scrolling and stitching viewport slices
          */
-        startAreaCapture() {
+        async captureFullPage() {
             if (this.isCapturing) {
-                console.log('Already capturing');
                 return { success: false, error: 'Already capturing' };
             }
 
-            if (!this.areaCapture) {
-                console.error('AreaCapture module not available');
-                return { success: false, error: 'Module not available' };
-            }
+            this.isCapturing = true;
 
             try {
-                console.log('Starting area capture...');
-                this.isCapturing = true;
-
-                // Start area selection
-                this.areaCapture.start(
-                    (area) => this.handleAreaSelected(area),
-                    () => this.handleAreaCancelled()
-                );
+                const page = await this.fullPageCapture.capture(() => this.captureSlice());
 
-                return { success: true };
+                const imageData = await this.imageCropper.stitchSlices(page.slices, page.width, page.height);
+                console.log('Full page captured:', page.slices.length, 'slices');
+                return { success: true, imageData };
             } catch (error) {
-                console.error('Failed to start area capture:', error);
-                this.isCapturing = false;
+                console.error('Full page capture failed:', error);
                 return { success: false, error: error.message };
+            } finally {
+                this.isCapturing = false;
             }
         }
 
         /**
-         * Handle area selection completion
+         * Capture a selection, scrolling and stitching slices when it extends past the viewport
+         * or shows a scrolling element
+         * @param {Object} area - Selection relative to the viewport, it may start above or end below it
+         * @param {Element} scrollTarget - Scrolling element whose contents to capture in full (optional)
+         * @returns {Promise<Object>} Response {success, imageData, cropArea} with cropArea the selection within imageData
          */
-        async handleAreaSelected(area) {
-            console.log('Area selected:', area);
-            this.currentArea = area;
+        async captureSelection(area, scrollTarget = null) {
+            if (scrollTarget) {
+                return this.captureScrolled(area, scrollTarget);
+            }
 
-            try {
-                // Capture screenshot via background script
+            if (area.y >= 0 && area.y + area.height <= window.innerHeight) {
                 const response = await this.captureScreenshot(area);
-                
-                if (response.success) {
-                    // Copy to clipboard and store
-                    await this.processScreenshot(response.imageData);
-                    this.showNotification('✅ Screenshot captured and copied to clipboard! Click the extension icon to extract text with OCR.', 'success', 8000);
-                } else {
-                    this.showNotification('Failed to capture screenshot: ' + response.error, 'error');
-                }
-            } catch (error) {
-                console.error('Screenshot processing failed:', error);
-                this.showNotification('Failed to process screenshot');
+                return { ...response, cropArea: area };
             }
 
-            this.cleanup();
+            // The panel would be in the slices wherever it overlaps the selection
+            const top = area.y + window.scrollY;
+            const page = await this.ocrPanel.hideDuring(() =>
+                this.fullPageCapture.capture(() => this.captureSlice(), { top, bottom: top + area.height })
+            );
+
+            if (this.captureOptions.ocr) {
+                this.ocrPanel.setProgress(`🧵 Stitching ${page.slices.length} slices...`);
+            }
+
+            const imageData = await this.imageCropper.stitchArea(page.slices, { ...area, y: top }, page.width);
+            console.log('Tall area captured:', page.slices.length, 'slices');
+
+            // The stitched image starts at the selection, at its own scale
+            const { width } = await this.imageCropper.getImageDimensions(imageData);
+            const toStitched = (region) => ({ ...region, x: region.x - area.x, y: region.y - area.y });
+            const cropArea = {
+                ...toStitched(area),
+                devicePixelRatio: width / area.width,
+                pageZoom: 1,
+                viewportOffsetX: 0,
+                viewportOffsetY: 0
+            };
+            if (area.regions) {
+                cropArea.regions = area.regions.map(toStitched);
+            }
+
+            return { success: true, imageData, cropArea };
         }
 
+        /**
+         * Capture all contents of a scrolling element by scrolling it and stitching the slices
+         * @param {Object} area - Where the element shows its contents, relative to the viewport
+         * @param {Element} scroller - Element to scroll, or a stand-in for one in a cross-origin frame
+         * @returns {Promise<Object>} Response {success, imageData, cropArea: null}, the image being exactly the contents
+         */
+        async captureScrolled(area, scroller) {
+            // Only floating elements inside the scroller are hidden, so the panel is kept out separately
+            const contents = await this.ocrPanel.hideDuring(() =>
+                this.fullPageCapture.captureElement(scroller, () => this.captureSlice())
+            );
+
+            if (this.captureOptions.ocr) {
+                this.ocrPanel.setProgress(`🧵 Stitching ${contents.slices.length} slices...`);
+            }
+            const imageData = await this.imageCropper.stitchScrolled(contents.slices, area, contents.height);
+            console.log('Scrolling element captured:', contents.slices.length, 'slices');
+
+            return { success: true, imageData, cropArea: null };
+        }
+
+        /**
+         * Capture the visible tab as one slice of a scrolled capture
+         * @returns {Promise<string>} Screenshot as data URL
+         */
+        async captureSlice() {
+            const response = await this.captureScreenshot(null);
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            return response.imageData;
+        }
 
         /**
          * Handle area selection cancellation
@@ -415,25 +656,64 @@ if (!window.screenshotOCRLoaded) {
 
         /**
          * Process screenshot - crop and copy to clipboard
+         * @param {string} fullImageData - Screenshot
+         * @param {Object} cropArea - Area of the screenshot to keep, the whole screenshot when null
+         * @returns {Promise<Object>} Stored capture {imageData, historyId}
          */
-        async processScreenshot(fullImageData) {
+        async processScreenshot(fullImageData, cropArea = this.currentArea) {
             try {
-                // Crop image to selected area
-                const croppedImageData = await this.imageCropper.cropImage(fullImageData, this.currentArea);
+                // Crop image to selected area, visible captures are kept whole
+                const croppedImageData = cropArea
+                    ? await this.imageCropper.cropImage(fullImageData, cropArea)
+                    : fullImageData;
                 
                 // Copy to clipboard
                 await this.copyToClipboard(croppedImageData);
                 
-                // Store in local storage
-                await this.storeScreenshot(croppedImageData);
+                // Keep it in the history library, then store it for the popup
+                const historyId = await this.saveToHistory(croppedImageData);
+                await this.storeScreenshot(croppedImageData, historyId);
                 
                 console.log('Screenshot processed successfully');
+                return { imageData: croppedImageData, historyId };
             } catch (error) {
                 console.error('Failed to process screenshot:', error);
                 throw error;
             }
         }
 
+        /**
+         * Crop the areas of a multi-area selection from one screenshot
+         * Each area gets its own history entry, the clipboard gets them stacked in selection order
+         * @param {string} fullImageData - Screenshot of the visible tab, or the stitched selection
+         * @param {Object} area - Selection with its areas {regions, devicePixelRatio, pageZoom, ...}
+         * @param {Object} cropArea - The selection within the screenshot when it differs from area (optional)
+         * @returns {Promise<Object>} Stored capture {imageData, historyId, regions: [{imageData, historyId}]}
+         */
+        async processRegions(fullImageData, area, cropArea = area) {
+            try {
+                // The areas share the viewport metrics of the selection
+                const toAreas = ({ regions, ...selection }) => regions.map(region => ({ ...selection, ...region }));
+                const areas = toAreas(area);
+                const images = await this.imageCropper.batchCrop(fullImageData, toAreas(cropArea));
+                const imageData = await this.imageCropper.stackImages(images);
+
+                await this.copyToClipboard(imageData);
+
+                const stored = [];
+                for (const [index, image] of images.entries()) {
+                    stored.push({ imageData: image, historyId: await this.saveToHistory(image, areas[index]) });
+                }
+                await this.storeScreenshot(imageData);
+
+                console.log('Areas processed successfully:', images.length);
+                return { imageData, historyId: null, regions: stored };
+            } catch (error) {
+                console.error('Failed to process areas:', error);
+                throw error;
+            }
+        }
+
         /**
          * Copy image to clipboard
          */
@@ -465,16 +745,52 @@ if (!window.screenshotOCRLoaded) {
             }
         }
 
+        /**
+         * Save screenshot to the history library via background script
+         * @param {string} imageData - Captured image
+         * @param {Object} area - Area the image shows (optional)
+         * @returns {Promise<number|null>} History entry id, null if saving failed
+         */
+        saveToHistory(imageData, area = this.currentArea) {
+            return new Promise((resolve) => {
+                chrome.runtime.sendMessage({
+                    action: 'saveHistoryEntry',
+                    entry: {
+                        imageData,
+                        url: location.href,
+                        title: document.title,
+                        area,
+                        timestamp: Date.now()
+                    }
+                }, (response) => {
+                    // History is optional - the capture itself still succeeded
+                    if (chrome.runtime.lastError || !response || response.error) {
+                        console.error('Failed to save history entry:', chrome.runtime.lastError?.message || response?.error);
+                        resolve(null);
+                        return;
+                    }
+                    resolve(response.id);
+                });
+            });
+        }
+
         /**
          * Store screenshot in local storage
          */
-        async storeScreenshot(imageData) {
+        async storeScreenshot(imageData, historyId = null) {
             try {
-                await chrome.storage.local.set({
+                const data = {
                     latestScreenshot: imageData,
                     screenshotTimestamp: Date.now(),
-                    screenshotArea: this.currentArea
-                });
+                    latestHistoryId: historyId
+                };
+                
+                // Keep the last selected area for "repeat last area"
+                if (this.currentArea) {
+                    data.screenshotArea = this.currentArea;
+                }
+                
+                await chrome.storage.local.set(data);
                 
                 console.log('Screenshot stored successfully');
             } catch (error) {
@@ -527,6 +843,7 @@ if (!window.screenshotOCRLoaded) {
         cleanup() {
             this.isCapturing = false;
             this.currentArea = null;
+            this.captureOptions = {};
             
             // Stop area capture if active
             if (this.areaCapture && this.areaCapture.isActive) {
@@ -548,7 +865,7 @@ if (!window.screenshotOCRLoaded) {
             
             if (request.action === 'startCapture') {
                 try {
-                    const response = this.startAreaCapture();
+                    const response = this.startAreaCapture({ ocr: !!request.ocr, mode: request.mode });
                     sendResponse(response);
                 } catch (error) {
                     console.error('Start capture failed:', error);
@@ -558,6 +875,52 @@ if (!window.screenshotOCRLoaded) {
                 // Return false since we're sending response synchronously
                 return false;
             }
+
+            if (request.action === 'captureFullPage') {
+                this.captureFullPage().then(sendResponse);
+
+                // Return true since the response is sent asynchronously
+                return true;
+            }
+
+            if (request.action === 'captureVisible') {
+                this.captureVisible().then(sendResponse);
+                return true;
+            }
+
+            if (request.action === 'repeatLastArea') {
+                this.repeatLastArea().then(sendResponse);
+                return true;
+            }
+
+            if (request.action === 'ocrElement') {
+                this.ocrElement(request).then(sendResponse);
+                return true;
+            }
+
+            // Progress of OCR runs orchestrated by the background script
+            if (request.action === 'ocrProgress') {
+                this.ocrPanel.setProgress(request.message, true);
+                return false;
+            }
+
+            if (request.action === 'ocrPartial') {
+                this.ocrPanel.showPartial(request.text);
+                return false;
+            }
+
+            if (request.action === 'ocrResult') {
+                this.handleOCRResult(request);
+                return false;
+            }
+
+            if (request.action === 'ocrError') {
+                if (request.models && request.models.length > 0) {
+                    this.ocrPanel.setModels(request.models);
+                }
+                this.ocrPanel.showError(request.cancelled ? '⏹ OCR cancelled' : '❌ OCR failed: ' + request.error);
+                return false;
+            }
             
             return false;
         }
@@ -0,0 +1,367 @@
+/**
+ * Editor Page Controller
+ * Annotates a capture and sends the result to the clipboard, the history and OCR
+ */
+
+class EditorPage {
+    constructor() {
+        this.modules = {};
+        this.elements = {};
+        this.editor = null;
+        this.source = null;
+        this.saved = null;
+        this.textPoint = null;
+        this.lastPointer = {clientX: 0, clientY: 0};
+        this.toolKeys = {a: 'arrow', r: 'rect', h: 'highlight', t: 'text', n: 'step', b: 'blur', c: 'crop'};
+    }
+
+    /**
+     * Initialize the editor page
+     */
+    async initialize() {
+        console.log('EditorPage: Initializing');
+
+        try {
+            const providers = new ProviderRegistry();
+
+            this.modules = {
+                storage: new StorageManager(),
+                clipboard: new ClipboardManager(),
+                providers: providers,
+                ocr: new OCRService(null, providers),
+                formatter: new OutputFormatter(),
+                templates: new PromptTemplates(),
+                preprocessor: new ImagePreprocessor(),
+                cropper: new ImageCropper(),
+                history: new HistoryStore(),
+                usage: new UsageStore()
+            };
+            this.modules.pipeline = new OCRPipeline(this.modules.ocr, {
+                formatter: this.modules.formatter,
+                templates: this.modules.templates,
+                usage: this.modules.usage,
+                history: this.modules.history,
+                preprocessor: this.modules.preprocessor,
+                cropper: this.modules.cropper
+            });
+
+            this.elements = {
+                canvas: document.getElementById('canvas'),
+                toolButtons: Array.from(document.querySelectorAll('[data-tool]')),
+                colorInput: document.getElementById('colorInput'),
+                undoBtn: document.getElementById('undoBtn'),
+                redoBtn: document.getElementById('redoBtn'),
+                copyBtn: document.getElementById('copyBtn'),
+                saveBtn: document.getElementById('saveBtn'),
+                ocrBtn: document.getElementById('ocrBtn'),
+                textInput: document.getElementById('textInput'),
+                ocrResult: document.getElementById('ocrResult'),
+                status: document.getElementById('status')
+            };
+
+            this.editor = new AnnotationEditor(this.elements.canvas);
+            this.editor.on('change', () => this.updateHistoryButtons());
+            this.editor.on('textRequest', (point) => this.showTextInput(point));
+
+            this.setupToolbar();
+            this.setupCanvas();
+            this.setupKeyboard();
+            this.selectTool(this.editor.tool);
+
+            this.modules.providers.setCustomProviders(await this.modules.storage.getCustomProviders());
+            await new ModelCatalog(this.modules.storage).applyCached(this.modules.providers);
+
+            this.source = await this.loadSource();
+            this.editor.load(await this.modules.cropper.loadImage(this.source.imageData));
+        } catch (error) {
+            console.error('EditorPage: Initialization failed:', error);
+            this.showStatus(`Failed to open the capture: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Get the capture to annotate: the history entry in the URL, or the latest screenshot
+     * @returns {Promise<Object>} Capture {imageData, historyId, url, title, area}
+     */
+    async loadSource() {
+        const id = Number(new URLSearchParams(location.search).get('id')) || null;
+        const latest = id ? null : await this.modules.storage.getLatestScreenshot();
+
+        // Stacked multi-area captures have no entry of their own, the page details are then left empty
+        const historyId = id || (latest && latest.historyId);
+        const entry = historyId ? await this.modules.history.getEntry(historyId) : null;
+        if (id && !entry) {
+            throw new Error('History entry not found');
+        }
+
+        const imageData = id ? entry.imageData : latest && latest.imageData;
+        if (!imageData) {
+            throw new Error('No screenshot to annotate - capture one first');
+        }
+
+        return {
+            imageData,
+            historyId,
+            url: entry ? entry.url : '',
+            title: entry ? entry.title : '',
+            area: entry ? entry.area : null
+        };
+    }
+
+    /**
+     * Wire the toolbar buttons
+     */
+    setupToolbar() {
+        this.elements.toolButtons.forEach(button => {
+            button.addEventListener('click', () => this.selectTool(button.dataset.tool));
+        });
+        this.elements.colorInput.addEventListener('input', () => this.editor.setColor(this.elements.colorInput.value));
+        this.elements.undoBtn.addEventListener('click', () => this.editor.undo());
+        this.elements.redoBtn.addEventListener('click', () => this.editor.redo());
+        this.elements.copyBtn.addEventListener('click', () => this.copyImage());
+        this.elements.saveBtn.addEventListener('click', () => this.saveImage());
+        this.elements.ocrBtn.addEventListener('click', () => this.runOCR());
+
+        this.elements.textInput.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.key === 'Enter') {
+                this.commitTextInput();
+            } else if (event.key === 'Escape') {
+                this.hideTextInput();
+            }
+        });
+        this.elements.textInput.addEventListener('blur', () => this.commitTextInput());
+    }
+
+    /**
+     * Pass pointer gestures on the canvas to the editor
+     */
+    setupCanvas() {
+        const canvas = this.elements.canvas;
+        const toPoint = (event) => this.editor.toImagePoint(event.clientX, event.clientY);
+
+        canvas.addEventListener('pointerdown', (event) => {
+            if (event.button !== 0 || !this.editor.image) {
+                return;
+            }
+
+            event.preventDefault();
+            canvas.setPointerCapture(event.pointerId);
+            this.lastPointer = {clientX: event.clientX, clientY: event.clientY};
+            this.editor.pointerDown(toPoint(event));
+        });
+        canvas.addEventListener('pointermove', (event) => this.editor.pointerMove(toPoint(event)));
+        canvas.addEventListener('pointerup', (event) => this.editor.pointerUp(toPoint(event)));
+        canvas.addEventListener('pointercancel', () => this.editor.cancelDraft());
+    }
+
+    /**
+     * Handle undo/redo and tool shortcuts
+     */
+    setupKeyboard() {
+        document.addEventListener('keydown', (event) => {
+            const key = event.key.toLowerCase();
+
+            if (event.ctrlKey || event.metaKey) {
+                if (key === 'z' && !event.shiftKey) {
+                    event.preventDefault();
+                    this.editor.undo();
+                } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                    event.preventDefault();
+                    this.editor.redo();
+                }
+                return;
+            }
+
+            if (key === 'escape') {
+                this.editor.cancelDraft();
+            } else if (this.toolKeys[key] && !event.altKey) {
+                this.selectTool(this.toolKeys[key]);
+            }
+        });
+    }
+
+    /**
+     * Switch the drawing tool
+     * @param {string} tool - Tool name
+     */
+    selectTool(tool) {
+        this.editor.setTool(tool);
+        this.elements.toolButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+    }
+
+    /**
+     * Enable the undo and redo buttons when there is something to undo or redo
+     */
+    updateHistoryButtons() {
+        this.elements.undoBtn.disabled = !this.editor.canUndo();
+        this.elements.redoBtn.disabled = !this.editor.canRedo();
+    }
+
+    /**
+     * Show the text field where the label was clicked
+     * @param {Object} point - Label position in image coordinates
+     */
+    showTextInput(point) {
+        const input = this.elements.textInput;
+
+        this.textPoint = point;
+        input.value = '';
+        input.style.left = `${this.lastPointer.clientX}px`;
+        input.style.top = `${this.lastPointer.clientY}px`;
+        input.classList.remove('hidden');
+
+        // Focus once the pointer gesture is over, or the canvas takes it back
+        setTimeout(() => input.focus(), 0);
+    }
+
+    /**
+     * Add the typed label and hide the text field
+     */
+    commitTextInput() {
+        if (this.textPoint) {
+            this.editor.addText(this.textPoint, this.elements.textInput.value);
+        }
+        this.hideTextInput();
+    }
+
+    /**
+     * Hide the text field without adding a label
+     */
+    hideTextInput() {
+        this.textPoint = null;
+        this.elements.textInput.classList.add('hidden');
+    }
+
+    /**
+     * Copy the annotated image
+     */
+    async copyImage() {
+        try {
+            await this.modules.clipboard.copyImageToClipboard(this.editor.export());
+            this.showStatus('Annotated image copied to clipboard', 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Save the annotated image
+     */
+    async saveImage() {
+        try {
+            await this.save();
+            this.showStatus('Annotated image saved to the history and shown in the popup', 'success');
+        } catch (error) {
+            console.error('EditorPage: Saving failed:', error);
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Store the annotated image as a history entry next to the original and as the latest screenshot.
+     * Saving again updates that entry
+     * @returns {Promise<Object>} Saved image {imageData, id}
+     */
+    async save() {
+        const imageData = this.editor.export();
+        if (this.saved && this.saved.imageData === imageData) {
+            return this.saved;
+        }
+
+        let id;
+        if (this.saved) {
+            id = this.saved.id;
+            await this.modules.history.updateEntry(id, {imageData});
+        } else {
+            id = await this.modules.history.addEntry({
+                imageData,
+                url: this.source.url,
+                title: this.source.title,
+                area: this.source.area,
+                timestamp: Date.now()
+            });
+        }
+
+        await this.modules.storage.saveScreenshot(imageData, id);
+        this.saved = {imageData, id};
+        return this.saved;
+    }
+
+    /**
+     * Save the annotated image, then extract its text with the provider and model selected in the popup
+     */
+    async runOCR() {
+        const button = this.elements.ocrBtn;
+        button.disabled = true;
+        button.textContent = 'Running...';
+
+        try {
+            const {imageData, id} = await this.save();
+
+            const settings = await this.modules.storage.getOCRSettings(this.modules.providers);
+            this.modules.templates.setTemplates(await this.modules.storage.getPromptTemplates());
+
+            // Preprocessing only changes what OCR sees, the saved image stays as it was
+            const image = await this.modules.pipeline.prepareImage(imageData, {
+                preprocessing: await this.modules.storage.getPreprocessingSettings(),
+                sizeBudget: await this.modules.storage.getSizeBudget()
+            });
+            const result = await this.modules.pipeline.run(image.imageData, settings, {
+                page: {url: this.source.url, title: this.source.title},
+                historyId: id,
+                imageInfo: image.info
+            });
+            this.showResult(result);
+
+            let copied = 'copied to clipboard';
+            try {
+                await this.modules.clipboard.copyTextToClipboard(result.text);
+            } catch (error) {
+                copied = `copying failed: ${error.message}`;
+            }
+
+            const warning = [result.translation && result.translation.error, ...result.warnings].filter(Boolean).join('. ');
+            this.showStatus(`Text extracted with ${result.source}, ${copied}${warning ? `. ${warning}` : ''}`, warning ? 'error' : 'success');
+        } catch (error) {
+            console.error('EditorPage: OCR failed:', error);
+            this.showStatus(error.message, 'error');
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Extract text (OCR)';
+        }
+    }
+
+    /**
+     * Show the extracted text below the image
+     * @param {Object} result - Result {text, translation}
+     */
+    showResult(result) {
+        const translated = result.translation && result.translation.text;
+        this.elements.ocrResult.textContent = translated
+            ? `${result.text}\n\n${result.translation.targetLanguage}: ${translated}`
+            : result.text;
+        this.elements.ocrResult.classList.remove('hidden');
+    }
+
+    /**
+     * Show a status message
+     * @param {string} message - Message text
+     * @param {string} type - 'success' or 'error'
+     */
+    showStatus(message, type) {
+        this.elements.status.textContent = message;
+        this.elements.status.className = type;
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const page = new EditorPage();
+    page.initialize();
+
+    // Make available for debugging
+    window.editorPage = page;
+});
\ No newline at end of file
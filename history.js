@@ -0,0 +1,388 @@
+/**
+ * History Page Controller
+ * Lists and searches past captures and lets the user re-copy, re-run OCR on and delete them
+ */
+
+class HistoryPage {
+    constructor() {
+        this.modules = {};
+        this.elements = {};
+        this.pageSize = 20;
+        this.loadedCount = 0;
+        this.searchTerms = null;
+        this.searchTimer = null;
+        this.searchDelay = 250;
+    }
+
+    /**
+     * Initialize the history page
+     */
+    async initialize() {
+        console.log('HistoryPage: Initializing');
+
+        try {
+            const providers = new ProviderRegistry();
+
+            this.modules = {
+                storage: new StorageManager(),
+                clipboard: new ClipboardManager(),
+                providers: providers,
+                ocr: new OCRService(null, providers),
+                formatter: new OutputFormatter(),
+                templates: new PromptTemplates(),
+                preprocessor: new ImagePreprocessor(),
+                cropper: new ImageCropper(),
+                history: new HistoryStore(),
+                usage: new UsageStore()
+            };
+            this.modules.pipeline = new OCRPipeline(this.modules.ocr, {
+                formatter: this.modules.formatter,
+                templates: this.modules.templates,
+                usage: this.modules.usage,
+                history: this.modules.history,
+                preprocessor: this.modules.preprocessor,
+                cropper: this.modules.cropper
+            });
+
+            this.elements = {
+                entries: document.getElementById('entries'),
+                entryCount: document.getElementById('entryCount'),
+                emptyState: document.getElementById('emptyState'),
+                loadMoreBtn: document.getElementById('loadMoreBtn'),
+                searchInput: document.getElementById('searchInput'),
+                status: document.getElementById('status')
+            };
+
+            this.elements.loadMoreBtn.addEventListener('click', () => this.loadEntries());
+            this.elements.searchInput.addEventListener('input', () => {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.handleSearch(this.elements.searchInput.value), this.searchDelay);
+            });
+
+            this.modules.providers.setCustomProviders(await this.modules.storage.getCustomProviders());
+            await new ModelCatalog(this.modules.storage).applyCached(this.modules.providers);
+            await this.loadEntries();
+        } catch (error) {
+            console.error('HistoryPage: Initialization failed:', error);
+            this.showStatus(`Failed to load history: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Load the next page of entries
+     */
+    async loadEntries() {
+        const [entries, total] = await Promise.all([
+            this.modules.history.getEntries({offset: this.loadedCount, limit: this.pageSize}),
+            this.modules.history.count()
+        ]);
+
+        entries.forEach(entry => this.elements.entries.appendChild(this.renderEntry(entry)));
+        this.loadedCount += entries.length;
+        this.updateCounts(total);
+    }
+
+    /**
+     * Show search results, or the full list again for an empty query
+     * @param {string} query - Search query
+     */
+    async handleSearch(query) {
+        try {
+            const terms = this.modules.history.tokenize(query);
+
+            this.elements.entries.textContent = '';
+            this.loadedCount = 0;
+
+            if (terms.length === 0) {
+                this.searchTerms = null;
+                this.elements.emptyState.textContent = 'No captures yet. Screenshots you take appear here.';
+                await this.loadEntries();
+                return;
+            }
+
+            this.searchTerms = terms;
+            const results = await this.modules.history.search(query);
+
+            // Ignore results of a query the user has already changed
+            if (terms !== this.searchTerms) {
+                return;
+            }
+
+            results.forEach(entry => this.elements.entries.appendChild(this.renderEntry(entry)));
+            this.loadedCount = results.length;
+            this.elements.emptyState.textContent = `No captures match "${query.trim()}".`;
+            this.updateCounts(results.length);
+        } catch (error) {
+            console.error('HistoryPage: Search failed:', error);
+            this.showStatus(`Search failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Update the entry counter, empty state and load more button
+     * @param {number} total - Number of stored entries, or of search results
+     */
+    updateCounts(total) {
+        const noun = this.searchTerms ? 'match' : 'capture';
+        const plural = this.searchTerms ? 'es' : 's';
+
+        this.elements.entryCount.textContent = `${total} ${noun}${total === 1 ? '' : plural}`;
+        this.elements.emptyState.classList.toggle('hidden', total > 0);
+        this.elements.loadMoreBtn.classList.toggle('hidden', this.loadedCount >= total);
+    }
+
+    /**
+     * Create the element for one entry
+     * @param {Object} entry - History entry
+     * @returns {HTMLElement} Entry element
+     */
+    renderEntry(entry) {
+        const container = document.createElement('div');
+        container.className = 'entry';
+        container.dataset.id = entry.id;
+
+        const image = document.createElement('img');
+        // Entries saved before thumbnails existed show the full capture
+        image.src = entry.thumbnail || entry.imageData;
+        image.alt = 'Captured screenshot';
+
+        const body = document.createElement('div');
+        body.className = 'entry-body';
+
+        const title = document.createElement(entry.url ? 'a' : 'div');
+        title.className = 'entry-title';
+        title.textContent = entry.title || entry.url || 'Untitled capture';
+        if (entry.url) {
+            title.href = entry.url;
+            title.target = '_blank';
+        }
+
+        const meta = document.createElement('div');
+        meta.className = 'entry-meta';
+
+        const text = document.createElement('div');
+        text.className = 'entry-text';
+
+        const translation = document.createElement('div');
+        translation.className = 'entry-translation';
+
+        const actions = document.createElement('div');
+        actions.appendChild(this.createButton('Copy text', 'secondary', () => this.copyText(container)));
+        actions.appendChild(this.createButton('Copy translation', 'secondary copy-translation', () => this.copyTranslation(container)));
+        actions.appendChild(this.createButton('Copy image', 'secondary', () => this.copyImage(entry)));
+        actions.appendChild(this.createButton('Annotate', 'secondary', () => this.annotate(entry)));
+        actions.appendChild(this.createButton('Re-run OCR', 'primary', (button) => this.rerunOCR(container, button)));
+        actions.appendChild(this.createButton('Delete', 'danger', () => this.deleteEntry(container)));
+
+        body.append(title, meta, text, translation, actions);
+        container.append(image, body);
+
+        this.updateEntryText(container, entry);
+
+        if (entry.snippet !== undefined) {
+            this.showSnippet(container, entry);
+        }
+
+        return container;
+    }
+
+    /**
+     * Replace the entry text with the search snippet, matches highlighted
+     * @param {HTMLElement} container - Entry element
+     * @param {Object} entry - Search result
+     */
+    showSnippet(container, entry) {
+        const text = container.querySelector('.entry-text');
+        if (!entry.snippet) {
+            return; // Matched by page title only
+        }
+
+        const escaped = this.searchTerms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+
+        text.textContent = '';
+        entry.snippet.split(pattern).forEach((part, index) => {
+            // split() with a capture group puts the matches at odd indexes
+            if (index % 2 === 1) {
+                const mark = document.createElement('mark');
+                mark.textContent = part;
+                text.appendChild(mark);
+            } else {
+                text.appendChild(document.createTextNode(part));
+            }
+        });
+    }
+
+    /**
+     * Show the text and metadata of an entry
+     * @param {HTMLElement} container - Entry element
+     * @param {Object} entry - History entry
+     */
+    updateEntryText(container, entry) {
+        const meta = container.querySelector('.entry-meta');
+        const text = container.querySelector('.entry-text');
+        const details = [new Date(entry.timestamp).toLocaleString()];
+
+        if (entry.model) {
+            details.push(entry.model);
+        }
+        if (entry.area) {
+            details.push(`${Math.round(entry.area.width)}×${Math.round(entry.area.height)}`);
+        }
+
+        meta.textContent = details.join(' · ');
+        text.classList.toggle('empty', !entry.text);
+        text.textContent = entry.text || 'No text extracted yet';
+        container.dataset.text = entry.text || '';
+
+        const translation = container.querySelector('.entry-translation');
+        const translated = entry.translation && entry.translation.text;
+        translation.classList.toggle('hidden', !translated);
+        translation.textContent = translated
+            ? `${entry.translation.targetLanguage}${entry.translation.sourceLanguage ? ` (from ${entry.translation.sourceLanguage})` : ''}: ${translated}`
+            : '';
+        container.dataset.translation = translated || '';
+        container.querySelector('.copy-translation').classList.toggle('hidden', !translated);
+    }
+
+    /**
+     * Create an action button
+     * @param {string} label - Button label
+     * @param {string} style - Button style class
+     * @param {Function} onClick - Click handler, receives the button
+     * @returns {HTMLButtonElement} Button
+     */
+    createButton(label, style, onClick) {
+        const button = document.createElement('button');
+        button.className = `button ${style}`;
+        button.textContent = label;
+        button.addEventListener('click', () => onClick(button));
+        return button;
+    }
+
+    /**
+     * Copy the extracted text of an entry
+     * @param {HTMLElement} container - Entry element
+     */
+    async copyText(container) {
+        try {
+            if (!container.dataset.text) {
+                throw new Error('No text extracted yet - run OCR first');
+            }
+            await this.modules.clipboard.copyTextToClipboard(container.dataset.text);
+            this.showStatus('Text copied to clipboard', 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Copy the translated text of an entry
+     * @param {HTMLElement} container - Entry element
+     */
+    async copyTranslation(container) {
+        try {
+            await this.modules.clipboard.copyTextToClipboard(container.dataset.translation);
+            this.showStatus('Translation copied to clipboard', 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Copy the image of an entry
+     * @param {Object} entry - History entry
+     */
+    async copyImage(entry) {
+        try {
+            await this.modules.clipboard.copyImageToClipboard(entry.imageData);
+            this.showStatus('Image copied to clipboard', 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Open the annotation editor on an entry
+     * @param {Object} entry - History entry
+     */
+    annotate(entry) {
+        chrome.tabs.create({url: chrome.runtime.getURL(`editor.html?id=${entry.id}`)});
+    }
+
+    /**
+     * Run OCR again with the provider and model selected in the popup
+     * @param {HTMLElement} container - Entry element
+     * @param {HTMLButtonElement} button - Clicked button
+     */
+    async rerunOCR(container, button) {
+        button.disabled = true;
+        button.textContent = 'Running...';
+
+        try {
+            const id = Number(container.dataset.id);
+            const entry = await this.modules.history.getEntry(id);
+            if (!entry) {
+                throw new Error('History entry not found');
+            }
+
+            const settings = await this.modules.storage.getOCRSettings(this.modules.providers);
+            this.modules.templates.setTemplates(await this.modules.storage.getPromptTemplates());
+
+            // Preprocessing only changes what OCR sees, the stored capture stays as it was
+            const image = await this.modules.pipeline.prepareImage(entry.imageData, {
+                preprocessing: await this.modules.storage.getPreprocessingSettings(),
+                sizeBudget: await this.modules.storage.getSizeBudget()
+            });
+            const result = await this.modules.pipeline.run(image.imageData, settings, {
+                page: {url: entry.url, title: entry.title},
+                historyId: id,
+                imageInfo: image.info
+            });
+
+            this.updateEntryText(container, await this.modules.history.getEntry(id));
+            const warning = [result.translation && result.translation.error, ...result.warnings].filter(Boolean).join('. ');
+            this.showStatus(`Text extracted with ${result.source}${warning ? `. ${warning}` : ''}`, warning ? 'error' : 'success');
+        } catch (error) {
+            console.error('HistoryPage: OCR failed:', error);
+            this.showStatus(error.message, 'error');
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Re-run OCR';
+        }
+    }
+
+    /**
+     * Delete an entry
+     * @param {HTMLElement} container - Entry element
+     */
+    async deleteEntry(container) {
+        try {
+            await this.modules.history.deleteEntry(Number(container.dataset.id));
+            container.remove();
+            this.loadedCount--;
+            this.updateCounts(this.searchTerms ? this.loadedCount : await this.modules.history.count());
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Show a status message
+     * @param {string} message - Message text
+     * @param {string} type - 'success' or 'error'
+     */
+    showStatus(message, type) {
+        this.elements.status.textContent = message;
+        this.elements.status.className = type;
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const page = new HistoryPage();
+    page.initialize();
+
+    // Make available for debugging
+    window.historyPage = page;
+});
\ No newline at end of file
@@ -0,0 +1,581 @@
+/**
+ * Annotation Editor Module
+ * Draws arrows, rectangles, highlights, text labels, numbered steps, pixelated areas
+ * and a crop over a captured image, with undo and redo
+ */
+
+class AnnotationEditor {
+    constructor(canvas, documentRef = null) {
+        if (!canvas) {
+            throw new Error('Canvas is required');
+        }
+
+        // Allow dependency injection for testing
+        this.canvas = canvas;
+        this.doc = documentRef || document;
+        this.callbacks = {};
+
+        this.tools = ['arrow', 'rect', 'highlight', 'text', 'step', 'blur', 'crop'];
+        this.tool = 'arrow';
+        this.color = '#e53935';
+        this.highlightColor = 'rgba(255, 235, 59, 0.45)';
+        this.pixelSize = 12; // Size of a pixelation block at scale 1
+        this.minDragSize = 4; // Shorter drags are taken as stray clicks
+        this.maxUndo = 100;
+
+        this.image = null;
+        this.scale = 1;
+        this.shapes = [];
+        this.crop = null;
+        this.draft = null;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Start editing an image, dropping the annotations of the previous one
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Loaded image
+     */
+    load(image) {
+        if (!image || !image.width || !image.height) {
+            throw new Error('Image has no size');
+        }
+
+        this.image = image;
+        this.shapes = [];
+        this.crop = {x: 0, y: 0, width: image.width, height: image.height};
+        this.draft = null;
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Retina captures have twice the pixels, marks are drawn to look the same on screen
+        this.scale = Math.max(1, Math.max(image.width, image.height) / 1000);
+
+        this.render();
+        this.emit('change');
+    }
+
+    /**
+     * Choose the tool used by the next pointer gesture
+     * @param {string} tool - One of this.tools
+     */
+    setTool(tool) {
+        if (!this.tools.includes(tool)) {
+            throw new Error(`Unknown annotation tool: ${tool}`);
+        }
+
+        this.tool = tool;
+        this.cancelDraft();
+    }
+
+    /**
+     * Choose the color of arrows, rectangles, text labels and step markers
+     * @param {string} color - CSS color
+     */
+    setColor(color) {
+        this.color = color;
+    }
+
+    /**
+     * Convert a pointer position to image coordinates
+     * @param {number} clientX - x in the page viewport
+     * @param {number} clientY - y in the page viewport
+     * @returns {Object} Point {x, y} in image pixels
+     */
+    toImagePoint(clientX, clientY) {
+        // The canvas may be shown smaller than it is
+        const rect = this.canvas.getBoundingClientRect();
+        const ratioX = rect.width ? this.canvas.width / rect.width : 1;
+        const ratioY = rect.height ? this.canvas.height / rect.height : 1;
+
+        return {
+            x: this.crop.x + (clientX - rect.left) * ratioX,
+            y: this.crop.y + (clientY - rect.top) * ratioY
+        };
+    }
+
+    /**
+     * Start a gesture of the current tool
+     * @param {Object} point - Point {x, y} in image coordinates
+     */
+    pointerDown(point) {
+        if (!this.image) {
+            return;
+        }
+
+        if (this.tool === 'step') {
+            this.addShape({type: 'step', x: point.x, y: point.y, number: this.getNextStep(), color: this.color});
+            return;
+        }
+
+        // Text is typed in by the page, which calls addText()
+        if (this.tool === 'text') {
+            this.emit('textRequest', point);
+            return;
+        }
+
+        this.draft = this.tool === 'highlight'
+            ? {type: 'highlight', points: [point], color: this.highlightColor}
+            : {type: this.tool, start: point, end: point, color: this.color};
+    }
+
+    /**
+     * Follow the pointer while a gesture is drawn
+     * @param {Object} point - Point {x, y} in image coordinates
+     */
+    pointerMove(point) {
+        if (!this.draft) {
+            return;
+        }
+
+        if (this.draft.type === 'highlight') {
+            this.draft.points.push(point);
+        } else {
+            this.draft.end = point;
+        }
+        this.render();
+    }
+
+    /**
+     * Finish a gesture, adding its shape or applying the crop
+     * @param {Object} point - Point {x, y} in image coordinates
+     */
+    pointerUp(point) {
+        if (!this.draft) {
+            return;
+        }
+
+        this.pointerMove(point);
+        const draft = this.draft;
+        this.draft = null;
+
+        const box = draft.type === 'highlight'
+            ? this.getPointsBox(draft.points)
+            : this.normalizeBox(draft.start, draft.end);
+        if (Math.max(box.width, box.height) < this.minDragSize) {
+            this.render();
+            return;
+        }
+
+        if (draft.type === 'crop') {
+            this.applyCrop(box);
+        } else if (draft.type === 'arrow' || draft.type === 'highlight') {
+            this.addShape(draft);
+        } else {
+            this.addShape({type: draft.type, ...box, color: draft.color});
+        }
+    }
+
+    /**
+     * Drop the gesture being drawn
+     */
+    cancelDraft() {
+        if (this.draft) {
+            this.draft = null;
+            this.render();
+        }
+    }
+
+    /**
+     * Add a text label
+     * @param {Object} point - Top left corner {x, y} in image coordinates
+     * @param {string} text - Label text, nothing is added when empty
+     */
+    addText(point, text) {
+        const label = (text || '').trim();
+        if (!label) {
+            return;
+        }
+
+        this.addShape({type: 'text', x: point.x, y: point.y, text: label, color: this.color});
+    }
+
+    /**
+     * Add a finished shape
+     * @param {Object} shape - Shape {type, ...}
+     */
+    addShape(shape) {
+        this.commit(() => {
+            this.shapes = [...this.shapes, shape];
+        });
+    }
+
+    /**
+     * Crop the image to a box, within the current crop
+     * @param {Object} box - Box {x, y, width, height} in image coordinates
+     */
+    applyCrop(box) {
+        const left = Math.max(box.x, this.crop.x);
+        const top = Math.max(box.y, this.crop.y);
+        const right = Math.min(box.x + box.width, this.crop.x + this.crop.width);
+        const bottom = Math.min(box.y + box.height, this.crop.y + this.crop.height);
+
+        if (right - left < 1 || bottom - top < 1) {
+            this.render();
+            return;
+        }
+
+        this.commit(() => {
+            this.crop = {
+                x: Math.round(left),
+                y: Math.round(top),
+                width: Math.round(right - left),
+                height: Math.round(bottom - top)
+            };
+        });
+    }
+
+    /**
+     * Get the number of the next step marker
+     * @returns {number} Step number
+     */
+    getNextStep() {
+        return this.shapes.filter(shape => shape.type === 'step').length + 1;
+    }
+
+    /**
+     * Make an undoable change
+     * @param {Function} change - Changes shapes or crop, replacing rather than mutating them
+     */
+    commit(change) {
+        this.undoStack.push(this.getState());
+        if (this.undoStack.length > this.maxUndo) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        change();
+        this.render();
+        this.emit('change');
+    }
+
+    /**
+     * Get the annotations and crop, shapes are never changed once added
+     * @returns {Object} State {shapes, crop}
+     */
+    getState() {
+        return {shapes: this.shapes, crop: this.crop};
+    }
+
+    /**
+     * Go back to a saved state
+     * @param {Object} state - State {shapes, crop}
+     */
+    restoreState(state) {
+        this.shapes = state.shapes;
+        this.crop = state.crop;
+        this.draft = null;
+        this.render();
+        this.emit('change');
+    }
+
+    /**
+     * Undo the last change
+     * @returns {boolean} Whether there was something to undo
+     */
+    undo() {
+        if (this.undoStack.length === 0) {
+            return false;
+        }
+
+        this.redoStack.push(this.getState());
+        this.restoreState(this.undoStack.pop());
+        return true;
+    }
+
+    /**
+     * Redo the last undone change
+     * @returns {boolean} Whether there was something to redo
+     */
+    redo() {
+        if (this.redoStack.length === 0) {
+            return false;
+        }
+
+        this.undoStack.push(this.getState());
+        this.restoreState(this.redoStack.pop());
+        return true;
+    }
+
+    /**
+     * Check whether there are changes to undo
+     * @returns {boolean} Whether undo() would change anything
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether there are undone changes to redo
+     * @returns {boolean} Whether redo() would change anything
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Draw the cropped image with its annotations, and the gesture being drawn
+     * @param {boolean} includeDraft - Whether to draw the gesture being drawn
+     */
+    render(includeDraft = true) {
+        if (!this.image) {
+            return;
+        }
+
+        const ctx = this.canvas.getContext('2d');
+        if (!ctx) {
+            throw new Error('Failed to get 2D canvas context');
+        }
+
+        // A crop being drawn shows the whole image with the rest dimmed
+        const cropping = includeDraft && this.draft && this.draft.type === 'crop';
+        const view = cropping ? {x: 0, y: 0, width: this.image.width, height: this.image.height} : this.crop;
+
+        this.canvas.width = view.width;
+        this.canvas.height = view.height;
+
+        ctx.save();
+        ctx.translate(-view.x, -view.y);
+        ctx.drawImage(this.image, 0, 0);
+
+        const shapes = includeDraft && this.draft && !cropping ? [...this.shapes, this.draft] : this.shapes;
+        shapes.forEach(shape => this.drawShape(ctx, shape, view));
+
+        if (cropping) {
+            this.drawCropDraft(ctx);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Draw one shape
+     * @param {CanvasRenderingContext2D} ctx - Context translated to image coordinates
+     * @param {Object} shape - Shape {type, ...}
+     * @param {Object} view - Part of the image the canvas shows {x, y, width, height}
+     */
+    drawShape(ctx, shape, view) {
+        const scale = this.scale;
+
+        ctx.save();
+        ctx.strokeStyle = shape.color;
+        ctx.fillStyle = shape.color;
+        ctx.lineWidth = 4 * scale;
+        ctx.lineJoin = 'round';
+        ctx.lineCap = 'round';
+
+        if (shape.type === 'arrow') {
+            this.drawArrow(ctx, shape.start, shape.end);
+        } else if (shape.type === 'rect') {
+            const box = shape.start ? this.normalizeBox(shape.start, shape.end) : shape;
+            ctx.strokeRect(box.x, box.y, box.width, box.height);
+        } else if (shape.type === 'highlight') {
+            // Multiply keeps the text under the marker dark
+            ctx.globalCompositeOperation = 'multiply';
+            ctx.lineWidth = 18 * scale;
+            ctx.lineCap = 'butt';
+            ctx.beginPath();
+            shape.points.forEach((point, index) => index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+            ctx.stroke();
+        } else if (shape.type === 'text') {
+            this.drawLabel(ctx, shape);
+        } else if (shape.type === 'step') {
+            this.drawStep(ctx, shape);
+        } else if (shape.type === 'blur') {
+            const box = shape.start ? this.normalizeBox(shape.start, shape.end) : shape;
+            this.pixelate(ctx, box, view);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw an arrow with a filled head at its end
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} start - Tail {x, y}
+     * @param {Object} end - Tip {x, y}
+     */
+    drawArrow(ctx, start, end) {
+        const angle = Math.atan2(end.y - start.y, end.x - start.x);
+        const head = 18 * this.scale;
+        const spread = Math.PI / 7;
+
+        // The shaft stops inside the head so its round cap does not show past the tip
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x - Math.cos(angle) * head * 0.8, end.y - Math.sin(angle) * head * 0.8);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(end.x, end.y);
+        ctx.lineTo(end.x - Math.cos(angle - spread) * head, end.y - Math.sin(angle - spread) * head);
+        ctx.lineTo(end.x - Math.cos(angle + spread) * head, end.y - Math.sin(angle + spread) * head);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Draw a text label, white on the label color so it reads on any background
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} shape - Label {x, y, text, color}
+     */
+    drawLabel(ctx, shape) {
+        const fontSize = 16 * this.scale;
+        const padding = 5 * this.scale;
+        const lines = shape.text.split('\n');
+
+        ctx.font = `bold ${fontSize}px Arial, sans-serif`;
+        ctx.textBaseline = 'top';
+
+        const width = Math.max(...lines.map(line => ctx.measureText(line).width));
+        const lineHeight = fontSize * 1.25;
+        ctx.fillRect(shape.x, shape.y, width + padding * 2, lines.length * lineHeight + padding * 2);
+
+        ctx.fillStyle = '#ffffff';
+        lines.forEach((line, index) => ctx.fillText(line, shape.x + padding, shape.y + padding + index * lineHeight));
+    }
+
+    /**
+     * Draw a numbered step marker centered on its point
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} shape - Marker {x, y, number, color}
+     */
+    drawStep(ctx, shape) {
+        const radius = 14 * this.scale;
+
+        ctx.beginPath();
+        ctx.arc(shape.x, shape.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.lineWidth = 2 * this.scale;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${16 * this.scale}px Arial, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(shape.number), shape.x, shape.y + this.scale);
+    }
+
+    /**
+     * Pixelate what has been drawn so far inside a box
+     * @param {CanvasRenderingContext2D} ctx - Context translated to image coordinates
+     * @param {Object} box - Box {x, y, width, height} in image coordinates
+     * @param {Object} view - Part of the image the canvas shows {x, y, width, height}
+     */
+    pixelate(ctx, box, view) {
+        // Reading the canvas back ignores the translation, so the box is moved into the view
+        const left = Math.max(0, Math.round(box.x - view.x));
+        const top = Math.max(0, Math.round(box.y - view.y));
+        const width = Math.min(view.width, Math.round(box.x - view.x + box.width)) - left;
+        const height = Math.min(view.height, Math.round(box.y - view.y + box.height)) - top;
+        if (width <= 0 || height <= 0) {
+            return;
+        }
+
+        const block = this.pixelSize * this.scale;
+        const small = this.doc.createElement('canvas');
+        small.width = Math.max(1, Math.ceil(width / block));
+        small.height = Math.max(1, Math.ceil(height / block));
+
+        const smallCtx = small.getContext('2d');
+        smallCtx.drawImage(this.canvas, left, top, width, height, 0, 0, small.width, small.height);
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(small, 0, 0, small.width, small.height, view.x + left, view.y + top, width, height);
+    }
+
+    /**
+     * Dim the image outside the crop being drawn
+     * @param {CanvasRenderingContext2D} ctx - Context translated to image coordinates
+     */
+    drawCropDraft(ctx) {
+        const box = this.normalizeBox(this.draft.start, this.draft.end);
+        const {width, height} = this.image;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(0, 0, width, box.y);
+        ctx.fillRect(0, box.y + box.height, width, height - box.y - box.height);
+        ctx.fillRect(0, box.y, box.x, box.height);
+        ctx.fillRect(box.x + box.width, box.y, width - box.x - box.width, box.height);
+
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2 * this.scale;
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+    }
+
+    /**
+     * Get the box spanned by two corners
+     * @param {Object} start - First corner {x, y}
+     * @param {Object} end - Opposite corner {x, y}
+     * @returns {Object} Box {x, y, width, height}
+     */
+    normalizeBox(start, end) {
+        return {
+            x: Math.min(start.x, end.x),
+            y: Math.min(start.y, end.y),
+            width: Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y)
+        };
+    }
+
+    /**
+     * Get the box around a freehand stroke
+     * @param {Array<Object>} points - Points {x, y}
+     * @returns {Object} Box {x, y, width, height}
+     */
+    getPointsBox(points) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        return this.normalizeBox(
+            {x: Math.min(...xs), y: Math.min(...ys)},
+            {x: Math.max(...xs), y: Math.max(...ys)}
+        );
+    }
+
+    /**
+     * Export the cropped image with its annotations
+     * @returns {string} PNG as data URL
+     */
+    export() {
+        if (!this.image) {
+            throw new Error('No image loaded');
+        }
+
+        this.render(false);
+        const imageData = this.canvas.toDataURL('image/png');
+        this.render();
+        return imageData;
+    }
+
+    /**
+     * Register event callback
+     * @param {string} event - Event name ('change' or 'textRequest')
+     * @param {Function} callback - Callback function
+     */
+    on(event, callback) {
+        if (!this.callbacks[event]) {
+            this.callbacks[event] = [];
+        }
+        this.callbacks[event].push(callback);
+    }
+
+    /**
+     * Emit event to registered callbacks
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     */
+    emit(event, data) {
+        if (this.callbacks[event]) {
+            this.callbacks[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`AnnotationEditor: Error in callback for event '${event}':`, error);
+                }
+            });
+        }
+    }
+}
+
+// Export for use in other modules
+window.AnnotationEditor = AnnotationEditor;
\ No newline at end of file
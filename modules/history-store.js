@@ -0,0 +1,348 @@
+/**
+ * History Store Module
+ * Keeps captured screenshots and their OCR results in IndexedDB
+ */
+
+class HistoryStore {
+    constructor(indexedDBRef = null) {
+        // Allow dependency injection for testing
+        this.idb = indexedDBRef || indexedDB;
+
+        this.dbName = 'screenshot-ocr-history';
+        this.dbVersion = 2;
+        this.storeName = 'captures';
+        this.dbPromise = null;
+        this.thumbnailSize = 400; // Longest side, twice the size the History page shows
+    }
+
+    /**
+     * Open the database, creating the object store on first use
+     * @returns {Promise<IDBDatabase>} Database connection
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.idb.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    let store;
+
+                    if (db.objectStoreNames.contains(this.storeName)) {
+                        store = request.transaction.objectStore(this.storeName);
+                    } else {
+                        store = db.createObjectStore(this.storeName, {keyPath: 'id', autoIncrement: true});
+                        store.createIndex('timestamp', 'timestamp');
+                    }
+
+                    if (!store.indexNames.contains('terms')) {
+                        store.createIndex('terms', 'terms', {multiEntry: true});
+                        this.indexExistingEntries(store);
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    // Allow a retry after a failed open
+                    this.dbPromise = null;
+                    reject(new Error(`Failed to open history database: ${request.error?.message}`));
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Add search terms to entries saved before the search index existed
+     * @param {IDBObjectStore} store - Store inside the upgrade transaction
+     */
+    indexExistingEntries(store) {
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.update(this.withTerms(cursor.value));
+                cursor.continue();
+            }
+        };
+    }
+
+    /**
+     * Run a request against the object store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} createRequest - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} Request result once the transaction completes
+     */
+    async run(mode, createRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = createRequest(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(new Error(`History operation failed: ${transaction.error?.message}`));
+            transaction.onabort = () => reject(new Error(`History operation failed: ${transaction.error?.message}`));
+        });
+    }
+
+    /**
+     * Add a capture to the history
+     * @param {Object} entry - Capture {imageData, text, url, title, area, model, timestamp}
+     * @returns {Promise<number>} Id of the new entry
+     */
+    async addEntry(entry) {
+        if (!entry || !entry.imageData) {
+            throw new Error('History entry requires image data');
+        }
+
+        const record = {
+            text: '',
+            url: '',
+            title: '',
+            area: null,
+            model: null,
+            timestamp: Date.now(),
+            thumbnail: await this.createThumbnail(entry.imageData),
+            ...entry
+        };
+        delete record.id;
+
+        const id = await this.run('readwrite', store => store.add(this.withTerms(record)));
+        console.log('HistoryStore: Entry added:', id);
+        return id;
+    }
+
+    /**
+     * Update fields of an existing entry
+     * @param {number} id - Entry id
+     * @param {Object} changes - Fields to change (e.g. {text, model})
+     * @returns {Promise<Object>} Updated entry
+     */
+    async updateEntry(id, changes) {
+        const entry = await this.getEntry(id);
+        if (!entry) {
+            throw new Error('History entry not found');
+        }
+
+        // A new image gets a new thumbnail
+        const thumbnail = changes.imageData ? {thumbnail: await this.createThumbnail(changes.imageData)} : {};
+        const updated = this.withTerms({...entry, ...thumbnail, ...changes, id: entry.id});
+        await this.run('readwrite', store => store.put(updated));
+        console.log('HistoryStore: Entry updated:', id);
+        return updated;
+    }
+
+    /**
+     * Create the small image the History page lists an entry with
+     * Works in pages and the service worker, which has no DOM canvas
+     * @param {string} imageData - Captured image as data URL
+     * @returns {Promise<string|null>} JPEG thumbnail as data URL, null when it cannot be made
+     */
+    async createThumbnail(imageData) {
+        if (typeof createImageBitmap !== 'function' || typeof OffscreenCanvas !== 'function') {
+            return null;
+        }
+
+        try {
+            const bitmap = await createImageBitmap(await (await fetch(imageData)).blob());
+            const scale = Math.min(1, this.thumbnailSize / Math.max(bitmap.width, bitmap.height));
+            const canvas = new OffscreenCanvas(
+                Math.max(1, Math.round(bitmap.width * scale)),
+                Math.max(1, Math.round(bitmap.height * scale))
+            );
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            bitmap.close();
+
+            const blob = await canvas.convertToBlob({type: 'image/jpeg', quality: 0.8});
+            return await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+        } catch (error) {
+            // The entry is still worth keeping, the page falls back to the full image
+            console.warn('HistoryStore: Failed to create thumbnail:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get a single entry
+     * @param {number} id - Entry id
+     * @returns {Promise<Object|null>} Entry
+     */
+    async getEntry(id) {
+        const entry = await this.run('readonly', store => store.get(id));
+        return entry || null;
+    }
+
+    /**
+     * Get entries, newest first
+     * @param {Object} options - Paging {offset, limit}
+     * @returns {Promise<Array<Object>>} Entries
+     */
+    async getEntries({offset = 0, limit = 50} = {}) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const transaction = db.transaction(this.storeName, 'readonly');
+            const request = transaction.objectStore(this.storeName).index('timestamp').openCursor(null, 'prev');
+            let skipped = offset === 0;
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || entries.length >= limit) {
+                    return;
+                }
+
+                if (!skipped) {
+                    skipped = true;
+                    cursor.advance(offset);
+                    return;
+                }
+
+                entries.push(cursor.value);
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve(entries);
+            transaction.onerror = () => reject(new Error(`Failed to read history: ${transaction.error?.message}`));
+        });
+    }
+
+    /**
+     * Find entries whose OCR text, translation or page title contains every word of the query
+     * @param {string} query - Search query, words match by prefix
+     * @param {Object} options - Options {limit}
+     * @returns {Promise<Array<Object>>} Matching entries with a snippet, newest first
+     */
+    async search(query, {limit = 50} = {}) {
+        const terms = this.tokenize(query);
+        if (terms.length === 0) {
+            return [];
+        }
+
+        const db = await this.open();
+
+        const entries = await new Promise((resolve, reject) => {
+            const results = [];
+            const keySets = [];
+            const transaction = db.transaction(this.storeName, 'readonly');
+            const store = transaction.objectStore(this.storeName);
+
+            // Only keys are read per word, entries with their images are loaded once they made the cut
+            const loadMatches = () => {
+                const [first, ...others] = keySets;
+                const ids = [...first]
+                    .filter(id => others.every(keys => keys.has(id)))
+                    .sort((a, b) => b - a) // Ids grow with every capture, the highest are the newest
+                    .slice(0, limit);
+
+                ids.forEach(id => {
+                    const request = store.get(id);
+                    request.onsuccess = () => results.push(request.result);
+                });
+            };
+
+            terms.forEach(term => {
+                const keys = new Set();
+                const request = store.index('terms').openKeyCursor(IDBKeyRange.bound(term, `${term}\uffff`));
+
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        // An entry appears once per indexed word starting with the term
+                        keys.add(cursor.primaryKey);
+                        cursor.continue();
+                        return;
+                    }
+
+                    keySets.push(keys);
+                    if (keySets.length === terms.length) {
+                        loadMatches();
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => resolve(results);
+            transaction.onerror = () => reject(new Error(`Failed to search history: ${transaction.error?.message}`));
+        });
+
+        return entries
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .map(entry => ({...entry, snippet: this.createSnippet(entry.text, terms)}));
+    }
+
+    /**
+     * Split text into unique lowercase words for the search index
+     * @param {string} text - Text to split
+     * @returns {Array<string>} Words
+     */
+    tokenize(text) {
+        const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        return [...new Set(words)];
+    }
+
+    /**
+     * Attach the search index words of an entry
+     * @param {Object} entry - History entry
+     * @returns {Object} Entry with terms
+     */
+    withTerms(entry) {
+        const translation = (entry.translation && entry.translation.text) || '';
+        return {...entry, terms: this.tokenize(`${entry.text || ''} ${translation} ${entry.title || ''}`)};
+    }
+
+    /**
+     * Cut the part of the text around the first matching word
+     * @param {string} text - OCR text
+     * @param {Array<string>} terms - Search words
+     * @param {number} radius - Characters to keep on each side of the match
+     * @returns {string} Snippet, with ellipses where text was cut
+     */
+    createSnippet(text, terms, radius = 60) {
+        const source = text || '';
+        const lower = source.toLowerCase();
+        const positions = terms.map(term => lower.indexOf(term)).filter(index => index >= 0);
+
+        // Matches only in the title fall back to the start of the text
+        const position = positions.length > 0 ? Math.min(...positions) : 0;
+        const start = Math.max(0, position - radius);
+        const end = Math.min(source.length, position + radius * 2);
+
+        return (start > 0 ? '…' : '') +
+            source.slice(start, end).replace(/\s+/g, ' ').trim() +
+            (end < source.length ? '…' : '');
+    }
+
+    /**
+     * Delete an entry
+     * @param {number} id - Entry id
+     * @returns {Promise<void>}
+     */
+    async deleteEntry(id) {
+        await this.run('readwrite', store => store.delete(id));
+        console.log('HistoryStore: Entry deleted:', id);
+    }
+
+    /**
+     * Count stored entries
+     * @returns {Promise<number>} Number of entries
+     */
+    count() {
+        return this.run('readonly', store => store.count());
+    }
+
+    /**
+     * Delete all entries
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.run('readwrite', store => store.clear());
+        console.log('HistoryStore: History cleared');
+    }
+}
+
+// Export for use in other modules
+window.HistoryStore = HistoryStore;
\ No newline at end of file
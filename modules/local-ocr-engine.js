@@ -0,0 +1,125 @@
+/**
+ * Local OCR Engine Module
+ * Runs Tesseract (WASM) bundled with the extension so OCR works offline
+ */
+
+class LocalOCREngine {
+    constructor(documentRef = null) {
+        // Allow dependency injection for testing
+        this.doc = documentRef || document;
+
+        this.libraryPath = 'lib/tesseract/';
+        this.language = 'eng';
+        this.worker = null;
+        this.workerPromise = null;
+    }
+
+    /**
+     * Recognize text in an image
+     * @param {string} imageData - Base64 image data
+     * @returns {Promise<string>} Extracted text
+     */
+    async recognize(imageData) {
+        if (!imageData) {
+            throw new Error('No image data provided');
+        }
+
+        console.log('LocalOCREngine: Recognizing text locally');
+        const worker = await this.getWorker();
+        const result = await worker.recognize(imageData);
+
+        if (!result || !result.data || typeof result.data.text !== 'string') {
+            throw new Error('Local OCR engine returned no text');
+        }
+
+        return result.data.text.trim();
+    }
+
+    /**
+     * Get the Tesseract worker, creating it on first use
+     * @returns {Promise<Object>} Tesseract worker
+     */
+    getWorker() {
+        if (!this.workerPromise) {
+            this.workerPromise = this.createWorker().catch(error => {
+                // Allow a retry after a failed start
+                this.workerPromise = null;
+                throw error;
+            });
+        }
+
+        return this.workerPromise;
+    }
+
+    /**
+     * Load the library and start a worker using only bundled files
+     * @returns {Promise<Object>} Tesseract worker
+     */
+    async createWorker() {
+        const Tesseract = await this.loadLibrary();
+
+        console.log('LocalOCREngine: Starting worker for language:', this.language);
+        this.worker = await Tesseract.createWorker(this.language, 1, {
+            workerPath: this.getAssetURL('worker.min.js'),
+            corePath: this.getAssetURL('core'),
+            langPath: this.getAssetURL('lang'),
+            workerBlobURL: false,
+            gzip: true
+        });
+
+        return this.worker;
+    }
+
+    /**
+     * Load the bundled tesseract.js script
+     * @returns {Promise<Object>} Tesseract global
+     */
+    loadLibrary() {
+        if (window.Tesseract) {
+            return Promise.resolve(window.Tesseract);
+        }
+
+        return new Promise((resolve, reject) => {
+            const script = this.doc.createElement('script');
+            script.src = this.getAssetURL('tesseract.min.js');
+            script.onload = () => {
+                if (window.Tesseract) {
+                    resolve(window.Tesseract);
+                } else {
+                    reject(new Error('Local OCR engine failed to initialize'));
+                }
+            };
+            script.onerror = () => {
+                reject(new Error(`Local OCR engine is not installed (see ${this.libraryPath}README.md)`));
+            };
+            this.doc.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Resolve a file inside the bundled library folder
+     * @param {string} file - File name relative to the library folder
+     * @returns {string} Absolute extension URL
+     */
+    getAssetURL(file) {
+        const path = this.libraryPath + file;
+        return window.chrome && chrome.runtime && chrome.runtime.getURL
+            ? chrome.runtime.getURL(path)
+            : path;
+    }
+
+    /**
+     * Stop the worker and free its memory
+     * @returns {Promise<void>}
+     */
+    async terminate() {
+        if (this.worker) {
+            await this.worker.terminate();
+        }
+        this.worker = null;
+        this.workerPromise = null;
+    }
+}
+
+// Export for use in other modules
+window.LocalOCREngine = LocalOCREngine;
\ No newline at end of file
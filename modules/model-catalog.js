@@ -0,0 +1,168 @@
+/**
+ * Model Catalog Module
+ * Fetches the vision models a provider offers, with their pricing and context size, and caches them
+ */
+
+class ModelCatalog {
+    constructor(storageManager = null, fetchRef = null) {
+        // Allow dependency injection for testing
+        this.storage = storageManager || new StorageManager();
+        this.fetch = fetchRef || ((...args) => fetch(...args));
+
+        this.ttl = 24 * 60 * 60 * 1000; // Catalogs change a few times a week at most
+        this.timeout = 10000;
+        this.recommendedModel = 'openai/gpt-4o';
+    }
+
+    /**
+     * Check whether a provider publishes a model catalog
+     * @param {Object} provider - Provider
+     * @returns {boolean} Whether the catalog can be fetched
+     */
+    hasCatalog(provider) {
+        return !!provider && !!provider.modelCatalog;
+    }
+
+    /**
+     * Get the vision models of a provider, from the cache while it is fresh
+     * A failed fetch falls back to an expired cache
+     * @param {Object} provider - Provider with a model catalog
+     * @param {Object} options - Options {refresh} to skip the cache (optional)
+     * @returns {Promise<Array<Object>|null>} Models {value, label, pricing, contextLength}, null when unavailable
+     */
+    async getModels(provider, {refresh = false} = {}) {
+        if (!this.hasCatalog(provider)) {
+            return null;
+        }
+
+        const cached = await this.storage.getModelCatalog(provider.id);
+        if (cached && !refresh && Date.now() - cached.timestamp < this.ttl) {
+            return cached.models;
+        }
+
+        try {
+            const models = await this.fetchModels(provider);
+            await this.storage.saveModelCatalog(provider.id, models);
+            console.log('ModelCatalog: Fetched', models.length, 'vision models from', provider.name);
+            return models;
+        } catch (error) {
+            console.warn('ModelCatalog: Failed to fetch models from', provider.name, error);
+            return cached ? cached.models : null;
+        }
+    }
+
+    /**
+     * Replace the static model lists of a registry with the cached catalogs, without fetching
+     * Lets the service worker and History page resolve models picked from the catalog
+     * @param {ProviderRegistry} providers - Provider registry
+     * @returns {Promise<void>}
+     */
+    async applyCached(providers) {
+        for (const provider of providers.getProviders().filter(entry => this.hasCatalog(entry))) {
+            const cached = await this.storage.getModelCatalog(provider.id);
+            if (cached) {
+                providers.setModels(provider.id, cached.models);
+            }
+        }
+    }
+
+    /**
+     * Fetch a provider's model catalog
+     * @param {Object} provider - Provider
+     * @returns {Promise<Array<Object>>} Vision models
+     */
+    async fetchModels(provider) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await this.fetch(`${provider.baseURL.replace(/\/+$/, '')}/models`, {
+                headers: {...provider.headers},
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Model list request failed: ${response.status}`);
+            }
+
+            const models = this.parseModels(await response.json());
+            if (models.length === 0) {
+                throw new Error('Model list contains no vision models');
+            }
+            return models;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Turn a catalog response into the vision models that answer with text
+     * @param {Object} data - Response {data: [{id, name, context_length, pricing, architecture}]}
+     * @returns {Array<Object>} Models {value, label, pricing, contextLength}, recommended first, then by name
+     */
+    parseModels(data) {
+        const entries = data && Array.isArray(data.data) ? data.data : [];
+
+        return entries
+            .filter(entry => entry.id && this.isVisionModel(entry))
+            .map(entry => ({
+                value: entry.id,
+                label: entry.name || entry.id,
+                recommended: entry.id === this.recommendedModel,
+                pricing: entry.pricing ? {
+                    prompt: Number(entry.pricing.prompt) || 0,
+                    completion: Number(entry.pricing.completion) || 0,
+                    image: Number(entry.pricing.image) || 0
+                } : null,
+                contextLength: entry.context_length || null
+            }))
+            .sort((a, b) => (b.recommended - a.recommended) || a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Check whether a catalog entry takes images and answers with text
+     * @param {Object} entry - Catalog entry
+     * @returns {boolean} Whether the model can do OCR
+     */
+    isVisionModel(entry) {
+        const architecture = entry.architecture || {};
+
+        if (Array.isArray(architecture.input_modalities)) {
+            const output = architecture.output_modalities || ['text'];
+            return architecture.input_modalities.includes('image') && output.includes('text');
+        }
+
+        // Older catalogs only give a summary such as "text+image->text"
+        const [input = '', output = ''] = (architecture.modality || '').split('->');
+        return input.includes('image') && output.includes('text');
+    }
+
+    /**
+     * Describe a model's pricing and context size
+     * @param {Object} model - Model {pricing, contextLength}
+     * @returns {string} Description (e.g. "$2.50/$10.00 per 1M tokens · 128K context"), empty when unknown
+     */
+    describeModel(model) {
+        const parts = [];
+
+        if (model.pricing) {
+            const {prompt, completion} = model.pricing;
+            const perMillion = (price) => `$${(price * 1000000).toFixed(2)}`;
+            parts.push(prompt === 0 && completion === 0
+                ? 'free'
+                : `${perMillion(prompt)}/${perMillion(completion)} per 1M tokens`);
+        }
+
+        if (model.contextLength) {
+            const size = model.contextLength >= 1000000
+                ? `${parseFloat((model.contextLength / 1000000).toFixed(1))}M`
+                : `${Math.round(model.contextLength / 1000)}K`;
+            parts.push(`${size} context`);
+        }
+
+        return parts.join(' · ');
+    }
+}
+
+// Export for use in other modules
+window.ModelCatalog = ModelCatalog;
\ No newline at end of file
@@ -0,0 +1,160 @@
+/**
+ * OCR Pipeline Module
+ * Runs the steps shared by every place OCR starts from: preparing the image,
+ * the budget check, the prompt, extraction with fallback, formatting, translation and saving to the history
+ */
+
+class OCRPipeline {
+    constructor(ocrService = null, modules = {}) {
+        // Pages that only prepare images (content script) have no OCR service
+        this.ocr = ocrService;
+        this.formatter = modules.formatter || (window.OutputFormatter ? new OutputFormatter() : null);
+        this.templates = modules.templates || null;
+        this.usage = modules.usage || null;
+        this.history = modules.history || null;
+
+        // Image steps need a DOM canvas, the service worker runs without them
+        this.preprocessor = modules.preprocessor || null;
+        this.cropper = modules.cropper || null;
+    }
+
+    /**
+     * Preprocess the image and shrink it to the size budget
+     * Either step falls back to its input when it fails, OCR on the original is better than no OCR at all
+     * @param {string} imageData - Captured image
+     * @param {Object} options - Settings {preprocessing, sizeBudget, onPreprocess} (optional)
+     * @returns {Promise<Object>} Image {imageData, info, changed}, info describes the size sent
+     */
+    async prepareImage(imageData, options = {}) {
+        let prepared = imageData;
+
+        if (this.preprocessor && this.preprocessor.hasSteps(options.preprocessing)) {
+            try {
+                if (options.onPreprocess) {
+                    options.onPreprocess();
+                }
+                prepared = (await this.preprocessor.process(imageData, options.preprocessing)).imageData;
+            } catch (error) {
+                console.error('OCRPipeline: Preprocessing failed, using the original:', error);
+            }
+        }
+
+        if (!this.cropper) {
+            return {imageData: prepared, info: null, changed: false};
+        }
+
+        try {
+            const result = await this.cropper.fitToBudget(prepared, options.sizeBudget);
+            return {imageData: result.imageData, info: this.cropper.describeBudgetResult(result), changed: result.changed};
+        } catch (error) {
+            // A large image may still go through, so it is sent as is
+            console.error('OCRPipeline: Fitting image to size budget failed:', error);
+            return {imageData: prepared, info: null, changed: false};
+        }
+    }
+
+    /**
+     * Extract, format and translate the text of a prepared image
+     * @param {string} imageData - Image to read, already prepared
+     * @param {Object} settings - OCR settings {outputMode, templateId, chain, translation, budget, retry}
+     * @param {Object} options - {page, historyId, imageInfo, signal, onPartial, onRetry, onFallback, onTranslate, onUsage} (optional)
+     * @returns {Promise<Object>} Result {text, mode, model, translation, warnings, source, formats, language, failures}
+     *                            translation is {error} when translating failed
+     */
+    async run(imageData, settings, options = {}) {
+        if (!this.ocr) {
+            throw new Error('OCR pipeline has no OCR service');
+        }
+
+        const recordUsage = (usage, kind) => {
+            if (options.onUsage) {
+                return options.onUsage(usage, kind);
+            }
+            return this.usage && this.usage.addRecord({...usage, kind});
+        };
+
+        if (settings.retry) {
+            this.ocr.setRetryOptions(settings.retry);
+        }
+
+        // Drops paid models once the monthly budget is used up and set to block, throws when only paid ones were left
+        const budget = this.usage
+            ? await this.usage.enforceBudget(settings.budget, settings.chain)
+            : {candidates: settings.chain, warning: null};
+
+        // A template replaces the output mode's prompt, its answer is still post-processed
+        const prompt = (this.templates && this.templates.getPrompt(settings.templateId, options.page || {})) ||
+            this.formatter.getPrompt(settings.outputMode);
+
+        const extraction = await this.ocr.extractTextWithFallback(imageData, budget.candidates, prompt, {
+            signal: options.signal,
+            onPartial: options.onPartial,
+            onRetry: options.onRetry,
+            onFallback: options.onFallback,
+            onUsage: (usage) => recordUsage(usage, 'ocr')
+        });
+        const {provider, model, apiKey, failures} = extraction;
+        const {text, mode, formats, language, ...formatted} = this.formatter.format(settings.outputMode, extraction.text);
+        const warnings = budget.warning ? [...formatted.warnings, budget.warning] : formatted.warnings;
+
+        // Code is kept as written, everything else can be translated
+        let translation = null;
+        const translationSettings = settings.translation || {};
+        if (translationSettings.enabled && mode !== 'code') {
+            if (options.onTranslate) {
+                options.onTranslate(translationSettings.targetLanguage);
+            }
+
+            try {
+                // The model that produced the text also translates it
+                translation = await this.ocr.translateText(text, apiKey, model, {
+                    ...translationSettings,
+                    signal: options.signal,
+                    onUsage: (usage) => recordUsage(usage, 'translation')
+                }, provider);
+            } catch (error) {
+                if (options.signal && options.signal.aborted) {
+                    throw error;
+                }
+
+                // The extracted text is still worth keeping
+                console.error('OCRPipeline: Translation failed:', error);
+                translation = {error: error.message};
+            }
+        }
+
+        if (options.historyId && this.history) {
+            const saved = translation && !translation.error ? translation : null;
+            await this.history.updateEntry(options.historyId, {text, model, translation: saved}).catch(error => {
+                console.error('OCRPipeline: Failed to save OCR result to history:', error);
+            });
+        }
+
+        return {
+            text,
+            mode,
+            model,
+            translation,
+            warnings,
+            source: this.describeSource(model, failures, options.imageInfo),
+            formats,
+            language,
+            failures
+        };
+    }
+
+    /**
+     * Describe which model produced the text and what it was sent
+     * @param {string} model - Model that produced the text
+     * @param {Array<Object>} failures - Models that failed before it {model, error}
+     * @param {string|null} imageInfo - Size of the image sent (optional)
+     * @returns {string} Description (e.g. "gpt-4o after claude-3 failed (800×600 px, 90 KB PNG)")
+     */
+    describeSource(model, failures = [], imageInfo = null) {
+        const fallback = failures.length > 0 ? ` after ${failures.map(failure => failure.model).join(', ')} failed` : '';
+        return `${model}${fallback}${imageInfo ? ` (${imageInfo})` : ''}`;
+    }
+}
+
+// Export for use in other modules
+window.OCRPipeline = OCRPipeline;
\ No newline at end of file
@@ -1,30 +1,109 @@
 /**
  * OCR Service Module
- * Handles communication with OpenRouter API for text extraction
+ * Handles text extraction through OpenAI-compatible providers or a local OCR engine
  */
 
 class OCRService {
-    constructor() {
-        this.baseURL = 'https://openrouter.ai/api/v1/chat/completions';
+    constructor(localEngine = null, providerRegistry = null) {
+        this.providers = providerRegistry || new ProviderRegistry();
+        this.baseURL = this.providers.getEndpoint(this.providers.getDefaultProvider());
         this.defaultModel = 'openai/gpt-4o';
         this.maxTokens = 4000;
         this.timeout = 30000; // 30 seconds
+
+        // Rate limits, server errors and timeouts are retried with exponential backoff
+        this.retryOptions = {maxRetries: 2, baseDelay: 1000, maxDelay: 30000};
+        this.retryableStatuses = [408, 429, 500, 502, 503, 504];
+
+        // Offered as translation targets, models understand the English names best
+        this.translationLanguages = [
+            'English', 'German', 'Japanese', 'Chinese (Simplified)', 'Chinese (Traditional)', 'Korean',
+            'French', 'Spanish', 'Italian', 'Portuguese', 'Dutch', 'Polish', 'Russian', 'Turkish', 'Arabic', 'Hindi'
+        ];
+
+        // Engines handling non OpenAI-compatible provider types
+        this.engines = {};
+        const engine = localEngine || (window.LocalOCREngine ? new LocalOCREngine() : null);
+        if (engine) {
+            this.registerEngine('local', engine);
+        }
+    }
+
+    /**
+     * Register an OCR engine for a provider type
+     * @param {string} type - Provider type (e.g. 'local')
+     * @param {Object} engine - Engine exposing recognize(imageData, prompt)
+     */
+    registerEngine(type, engine) {
+        this.engines[type] = engine;
+    }
+
+    /**
+     * Get the engine serving a model
+     * @param {string} model - Model name
+     * @returns {Object|null} Engine, or null when the model is served over HTTP
+     */
+    getEngine(model) {
+        const provider = this.providers.findProviderForModel(model);
+        return provider ? this.engines[provider.type] || null : null;
+    }
+
+    /**
+     * Check whether a model runs on the local engine
+     * @param {string} model - Model name
+     * @returns {boolean} Whether the model runs offline
+     */
+    isLocalModel(model) {
+        const provider = this.providers.findProviderForModel(model);
+        return !!provider && provider.type === 'local';
+    }
+
+    /**
+     * Change how failed requests are retried
+     * @param {Object} options - Retry options {maxRetries, baseDelay, maxDelay}
+     */
+    setRetryOptions(options = {}) {
+        this.retryOptions = {...this.retryOptions, ...options};
+    }
+
+    /**
+     * Resolve the provider to use for a request
+     * @param {string} model - Model name
+     * @param {Object} provider - Explicit provider (optional)
+     * @returns {Object} Provider
+     */
+    resolveProvider(model, provider = null) {
+        return provider || this.providers.findProviderForModel(model) || this.providers.getDefaultProvider();
     }
 
     /**
      * Extract text from image using OCR
      * @param {string} imageData - Base64 image data
-     * @param {string} apiKey - OpenRouter API key
+     * @param {string} apiKey - Provider API key
      * @param {string} model - Model to use for OCR
      * @param {string} prompt - Custom prompt (optional)
+     * @param {Object} provider - Provider to send the request to (optional, resolved from model)
+     * @param {Object} options - Streaming, cancellation, retry progress and accounting {onPartial, signal, onRetry, onUsage} (optional)
+     *                           onPartial(text) receives the text so far and turns on streaming,
+     *                           onUsage(usage) receives the tokens and cost reported for the request
      * @returns {Promise<string>} Extracted text
      */
-    async extractText(imageData, apiKey, model = this.defaultModel, prompt = null) {
+    async extractText(imageData, apiKey, model = this.defaultModel, prompt = null, provider = null, options = {}) {
         if (!imageData) {
             throw new Error('No image data provided');
         }
 
-        if (!apiKey || !apiKey.trim()) {
+        const targetProvider = this.resolveProvider(model, provider);
+
+        if (targetProvider.type !== 'openai') {
+            const engine = this.engines[targetProvider.type];
+            if (!engine) {
+                throw new Error(`${targetProvider.name} engine is not available`);
+            }
+            return this.extractTextWithEngine(engine, imageData, model, prompt);
+        }
+
+        if (this.providers.requiresAPIKey(targetProvider) && (!apiKey || !apiKey.trim())) {
             throw new Error('API key is required');
         }
 
@@ -53,63 +132,233 @@ class OCRService {
         };
 
         try {
-            console.log('OCRService: Sending request to OpenRouter API');
-            const response = await this.makeRequest(apiKey, requestBody);
+            console.log('OCRService: Sending request to provider:', targetProvider.name);
+
+            if (options.onPartial) {
+                let usageData = null;
+                const streamedText = await this.withRetry(() => this.makeStreamingRequest(
+                    apiKey, this.withUsageRequest({...requestBody, stream: true}, targetProvider), targetProvider,
+                    options.onPartial, options.signal, (data) => { usageData = data; }
+                ), options);
+                await this.reportUsage(usageData, model, targetProvider, apiKey, options.onUsage);
+                console.log('OCRService: Text extraction completed successfully');
+                return streamedText;
+            }
+
+            const response = await this.withRetry(
+                () => this.makeRequest(apiKey, this.withUsageRequest(requestBody, targetProvider), targetProvider, options.signal), options
+            );
             
             console.log('OCRService: Received response from API');
             const extractedText = this.parseResponse(response);
+            await this.reportUsage(response, model, targetProvider, apiKey, options.onUsage);
             
             console.log('OCRService: Text extraction completed successfully');
             return extractedText;
             
         } catch (error) {
+            if (options.signal && options.signal.aborted) {
+                console.log('OCRService: Text extraction cancelled');
+                throw new Error('OCR cancelled');
+            }
+
             console.error('OCRService: Text extraction failed:', error);
             throw new Error(`OCR failed: ${error.message}`);
         }
     }
 
     /**
-     * Make HTTP request to OpenRouter API
+     * Extract text with the first model of a fallback chain that succeeds
+     * Each model gets its own retries before the next one is tried
+     * @param {string} imageData - Base64 image data
+     * @param {Array<Object>} candidates - Models in order of preference {model, provider, apiKey}
+     * @param {string} prompt - Custom prompt (optional)
+     * @param {Object} options - Passed to extractText, plus onFallback({model, error, next}) (optional)
+     * @returns {Promise<Object>} Result {text, model, provider, apiKey, failures: [{model, error}]}
+     */
+    async extractTextWithFallback(imageData, candidates, prompt = null, options = {}) {
+        if (!candidates || candidates.length === 0) {
+            throw new Error('No model selected');
+        }
+
+        const failures = [];
+
+        for (let index = 0; index < candidates.length; index++) {
+            const candidate = candidates[index];
+
+            try {
+                const text = await this.extractText(
+                    imageData, candidate.apiKey, candidate.model, prompt, candidate.provider, options
+                );
+                return {...candidate, text, failures};
+            } catch (error) {
+                if (options.signal && options.signal.aborted) {
+                    throw error;
+                }
+
+                // A single model keeps its own error message
+                if (candidates.length === 1) {
+                    throw error;
+                }
+
+                failures.push({model: candidate.model, error: error.message.replace(/^OCR failed: /, '')});
+
+                const next = candidates[index + 1];
+                if (next) {
+                    console.warn('OCRService: Model', candidate.model, 'failed, falling back to', next.model);
+                    if (options.onFallback) {
+                        options.onFallback({model: candidate.model, error: error.message, next: next.model});
+                    }
+                }
+            }
+        }
+
+        throw new Error(`All models failed: ${failures.map(failure => `${failure.model} (${failure.error})`).join(', ')}`);
+    }
+
+    /**
+     * Translate extracted text with an OpenAI-compatible provider
+     * @param {string} text - Text to translate
+     * @param {string} apiKey - Provider API key
+     * @param {string} model - Model to use for the translation
+     * @param {Object} options - Languages {targetLanguage, sourceLanguage}, source 'auto' detects it,
+     *                           an optional AbortSignal {signal} to cancel the request and onUsage(usage) for accounting
+     * @param {Object} provider - Provider to send the request to (optional, resolved from model)
+     * @returns {Promise<Object>} Translation {text, sourceLanguage, targetLanguage}
+     */
+    async translateText(text, apiKey, model = this.defaultModel, options = {}, provider = null) {
+        const targetLanguage = options.targetLanguage;
+        const sourceLanguage = options.sourceLanguage && options.sourceLanguage !== 'auto' ? options.sourceLanguage : null;
+
+        if (!targetLanguage) {
+            throw new Error('Target language is required');
+        }
+
+        if (!text || !text.trim()) {
+            return {text: '', sourceLanguage, targetLanguage};
+        }
+
+        const targetProvider = this.resolveProvider(model, provider);
+
+        // Plain OCR engines only read text, they cannot translate it
+        if (targetProvider.type !== 'openai') {
+            throw new Error(`${targetProvider.name} cannot translate, pick an AI model`);
+        }
+
+        if (this.providers.requiresAPIKey(targetProvider) && (!apiKey || !apiKey.trim())) {
+            throw new Error('API key is required');
+        }
+
+        console.log('OCRService: Translating text to', targetLanguage, 'with model:', model);
+
+        const from = sourceLanguage ? ` from ${sourceLanguage}` : '';
+        const requestBody = {
+            model: model,
+            messages: [
+                {
+                    role: 'user',
+                    content: `Translate the text below${from} to ${targetLanguage}. Keep line breaks, Markdown and table structure unchanged. ` +
+                        'Reply with JSON only, no code block: {"sourceLanguage": "<English name of the original language>", "translation": "<translated text>"}\n\n' +
+                        `Text:\n${text}`
+                }
+            ],
+            max_tokens: this.maxTokens
+        };
+
+        try {
+            const response = await this.withRetry(
+                () => this.makeRequest(apiKey, this.withUsageRequest(requestBody, targetProvider), targetProvider, options.signal), options
+            );
+            const result = this.parseTranslation(this.parseResponse(response));
+            await this.reportUsage(response, model, targetProvider, apiKey, options.onUsage);
+
+            console.log('OCRService: Translation completed successfully');
+            return {
+                text: result.translation,
+                sourceLanguage: sourceLanguage || result.sourceLanguage,
+                targetLanguage
+            };
+        } catch (error) {
+            if (options.signal && options.signal.aborted) {
+                throw new Error('OCR cancelled');
+            }
+
+            console.error('OCRService: Translation failed:', error);
+            throw new Error(`Translation failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read the JSON answer of a translation request
+     * Models that ignore the format still return usable text, just without the detected language
+     * @param {string} content - Message content
+     * @returns {Object} Result {translation, sourceLanguage}
+     */
+    parseTranslation(content) {
+        const start = content.indexOf('{');
+        const end = content.lastIndexOf('}');
+
+        if (start !== -1 && end > start) {
+            try {
+                const data = JSON.parse(content.slice(start, end + 1));
+                if (typeof data.translation === 'string') {
+                    return {translation: data.translation, sourceLanguage: data.sourceLanguage || null};
+                }
+            } catch (error) {
+                // Not JSON after all, use the text as is
+            }
+        }
+
+        return {translation: content, sourceLanguage: null};
+    }
+
+    /**
+     * Extract text with a registered engine instead of an HTTP provider
+     * @param {Object} engine - OCR engine
+     * @param {string} imageData - Base64 image data
+     * @param {string} model - Model name
+     * @param {string} prompt - Custom prompt (optional, ignored by plain OCR engines)
+     * @returns {Promise<string>} Extracted text
+     */
+    async extractTextWithEngine(engine, imageData, model, prompt) {
+        console.log('OCRService: Starting text extraction with engine for model:', model);
+
+        try {
+            const extractedText = await engine.recognize(imageData, prompt);
+            console.log('OCRService: Text extraction completed successfully');
+            return extractedText;
+        } catch (error) {
+            console.error('OCRService: Text extraction failed:', error);
+            throw new Error(`OCR failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Make HTTP request to an OpenAI-compatible provider
      * @param {string} apiKey - API key
      * @param {Object} requestBody - Request payload
+     * @param {Object} provider - Provider (defaults to OpenRouter)
+     * @param {AbortSignal} signal - Cancels the request (optional)
      * @returns {Promise<Object>} API response
      */
-    async makeRequest(apiKey, requestBody) {
+    async makeRequest(apiKey, requestBody, provider = this.providers.getDefaultProvider(), signal = null) {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const cancel = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', cancel);
+            if (signal.aborted) {
+                cancel();
+            }
+        }
 
         try {
-            const response = await fetch(this.baseURL, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${apiKey}`,
-                    'Content-Type': 'application/json',
-                    'HTTP-Referer': 'https://github.com/screenshot-ocr-extension',
-                    'X-Title': 'Screenshot Plus OCR Extension'
-                },
-                body: JSON.stringify(requestBody),
-                signal: controller.signal
-            });
+            const response = await this.sendRequest(apiKey, requestBody, provider, controller.signal);
 
             clearTimeout(timeoutId);
 
             if (!response.ok) {
-                const errorText = await response.text();
-                console.error('OCRService: API error response:', response.status, errorText);
-                
-                // Parse error for better user feedback
-                let errorMessage = `API Error ${response.status}`;
-                try {
-                    const errorData = JSON.parse(errorText);
-                    if (errorData.error && errorData.error.message) {
-                        errorMessage = errorData.error.message;
-                    }
-                } catch (e) {
-                    // Use status text if can't parse error
-                    errorMessage = `${errorMessage}: ${response.statusText}`;
-                }
-                
-                throw new Error(errorMessage);
+                throw await this.readErrorResponse(response);
             }
 
             const data = await response.json();
@@ -118,11 +367,431 @@ class OCRService {
         } catch (error) {
             clearTimeout(timeoutId);
             
-            if (error.name === 'AbortError') {
-                throw new Error('Request timed out. Please try again.');
+            if (error.name === 'AbortError' && !(signal && signal.aborted)) {
+                throw this.createTimeoutError();
             }
             
             throw error;
+        } finally {
+            if (signal) {
+                signal.removeEventListener('abort', cancel);
+            }
+        }
+    }
+
+    /**
+     * Make a streaming (SSE) request to an OpenAI-compatible provider
+     * The timeout applies to the gaps between chunks, so long answers are not cut off
+     * @param {string} apiKey - API key
+     * @param {Object} requestBody - Request payload with stream: true
+     * @param {Object} provider - Provider
+     * @param {Function} onPartial - Receives the text received so far
+     * @param {AbortSignal} signal - Cancels the request (optional)
+     * @param {Function} onUsage - Receives the payload carrying the usage block {id, usage} (optional)
+     * @returns {Promise<string>} Complete text
+     */
+    async makeStreamingRequest(apiKey, requestBody, provider, onPartial, signal = null, onUsage = null) {
+        const controller = new AbortController();
+        let timedOut = false;
+        let timeoutId = null;
+        const resetTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, this.timeout);
+        };
+        const cancel = () => controller.abort();
+        if (signal) {
+            signal.addEventListener('abort', cancel);
+            if (signal.aborted) {
+                cancel();
+            }
+        }
+
+        try {
+            resetTimeout();
+            const response = await this.sendRequest(apiKey, requestBody, provider, controller.signal);
+
+            if (!response.ok) {
+                throw await this.readErrorResponse(response);
+            }
+
+            // Some endpoints ignore stream: true and answer with plain JSON
+            const contentType = response.headers.get('content-type') || '';
+            if (!contentType.includes('text/event-stream') || !response.body) {
+                const data = await response.json();
+                const content = this.parseResponse(data);
+                if (onUsage && data.usage) {
+                    onUsage(data);
+                }
+                return content;
+            }
+
+            let text = '';
+            await this.readEventStream(response.body, (data) => {
+                resetTimeout();
+
+                if (data.error) {
+                    throw new Error(data.error.message || 'API returned an error');
+                }
+
+                // The usage block comes with the last chunk, usually without any content
+                if (onUsage && data.usage) {
+                    onUsage(data);
+                }
+
+                const delta = data.choices && data.choices[0] && data.choices[0].delta;
+                if (delta && delta.content) {
+                    text += delta.content;
+                    onPartial(text);
+                }
+            });
+
+            if (!text.trim()) {
+                throw new Error('Invalid API response format: missing message content');
+            }
+
+            return text.trim();
+
+        } catch (error) {
+            if (error.name === 'AbortError' && timedOut) {
+                throw this.createTimeoutError();
+            }
+
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) {
+                signal.removeEventListener('abort', cancel);
+            }
+        }
+    }
+
+    /**
+     * Read server-sent events and pass each JSON data payload on
+     * @param {ReadableStream} body - Response body
+     * @param {Function} onData - Receives each parsed payload
+     * @returns {Promise<void>} Resolves at [DONE] or the end of the stream
+     */
+    async readEventStream(body, onData) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        try {
+            while (true) {
+                const {done, value} = await reader.read();
+                buffer += decoder.decode(value || new Uint8Array(), {stream: !done});
+
+                // Events can be split across chunks, keep the unfinished line
+                const lines = buffer.split('\n');
+                buffer = done ? '' : lines.pop();
+
+                for (const line of lines) {
+                    // Lines starting with ':' are comments (e.g. keep-alives)
+                    if (!line.startsWith('data:')) {
+                        continue;
+                    }
+
+                    const payload = line.slice(5).trim();
+                    if (payload === '[DONE]') {
+                        return;
+                    }
+
+                    try {
+                        onData(JSON.parse(payload));
+                    } catch (error) {
+                        if (error instanceof SyntaxError) {
+                            console.warn('OCRService: Skipping malformed stream event:', payload);
+                            continue;
+                        }
+                        throw error;
+                    }
+                }
+
+                if (done) {
+                    return;
+                }
+            }
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+    }
+
+    /**
+     * Run a request, retrying rate limits, server errors, timeouts and network failures
+     * @param {Function} request - Starts the request, called again for each attempt
+     * @param {Object} options - Cancellation and progress {signal, onRetry({attempt, delay, error})} (optional)
+     * @returns {Promise<*>} Result of the request
+     */
+    async withRetry(request, options = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await request();
+            } catch (error) {
+                if (options.signal && options.signal.aborted) {
+                    throw error;
+                }
+
+                const delay = attempt < this.retryOptions.maxRetries ? this.getRetryDelay(attempt, error) : null;
+                if (delay === null) {
+                    throw error;
+                }
+
+                console.warn(`OCRService: Request failed (${error.message}), retry ${attempt + 1} in ${delay}ms`);
+                if (options.onRetry) {
+                    options.onRetry({attempt: attempt + 1, delay, error: error.message});
+                }
+                await this.sleep(delay, options.signal);
+            }
+        }
+    }
+
+    /**
+     * Get how long to wait before retrying a failed request
+     * @param {number} attempt - Attempts retried so far
+     * @param {Error} error - Error of the failed attempt
+     * @returns {number|null} Delay in ms, null when the error should not be retried
+     */
+    getRetryDelay(attempt, error) {
+        if (!this.isRetryable(error)) {
+            return null;
+        }
+
+        // Waiting longer than allowed would stall the fallback chain, so give up instead
+        if (typeof error.retryAfter === 'number') {
+            return error.retryAfter <= this.retryOptions.maxDelay ? error.retryAfter : null;
+        }
+
+        // Exponential backoff with jitter, so clients hitting the same limit spread out
+        const backoff = Math.min(this.retryOptions.maxDelay, this.retryOptions.baseDelay * Math.pow(2, attempt));
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * Check whether a failed request is worth retrying
+     * @param {Error} error - Request error
+     * @returns {boolean} Whether to retry
+     */
+    isRetryable(error) {
+        if (error.retryable) {
+            return true;
+        }
+
+        return this.retryableStatuses.includes(error.status);
+    }
+
+    /**
+     * Read a Retry-After header
+     * @param {string|null} value - Seconds or an HTTP date
+     * @returns {number|null} Delay in ms
+     */
+    parseRetryAfter(value) {
+        if (!value) {
+            return null;
+        }
+
+        if (/^\d+(\.\d+)?$/.test(value.trim())) {
+            return Math.round(parseFloat(value) * 1000);
+        }
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Wait before the next attempt
+     * @param {number} ms - Delay in ms
+     * @param {AbortSignal} signal - Stops waiting when aborted (optional)
+     * @returns {Promise<void>}
+     */
+    sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timeoutId);
+                reject(new Error('OCR cancelled'));
+            };
+            const timeoutId = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', abort);
+                }
+                resolve();
+            }, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', abort, {once: true});
+            }
+        });
+    }
+
+    /**
+     * Post a request to a provider's chat completions endpoint
+     * @param {string} apiKey - API key
+     * @param {Object} requestBody - Request payload
+     * @param {Object} provider - Provider
+     * @param {AbortSignal} signal - Aborts the request
+     * @returns {Promise<Response>} Response
+     * @throws {Error} Retryable error when the network fails
+     */
+    async sendRequest(apiKey, requestBody, provider, signal) {
+        try {
+            return await fetch(this.providers.getEndpoint(provider), {
+                method: 'POST',
+                headers: this.providers.buildHeaders(provider, apiKey),
+                body: JSON.stringify(requestBody),
+                signal
+            });
+        } catch (error) {
+            // fetch rejects with a TypeError when the network fails, other TypeErrors are bugs and not retried
+            if (error.name === 'TypeError') {
+                error.retryable = true;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Create the error for a request that took too long
+     * @returns {Error} Retryable timeout error
+     */
+    createTimeoutError() {
+        const error = new Error('Request timed out. Please try again.');
+        error.retryable = true;
+        return error;
+    }
+
+    /**
+     * Turn an error response into an Error with the provider's message
+     * Rate limits and server errors keep their status and Retry-After for retrying
+     * @param {Response} response - Failed response
+     * @returns {Promise<Error>} Error to throw
+     */
+    async readErrorResponse(response) {
+        const errorText = await response.text();
+        console.error('OCRService: API error response:', response.status, errorText);
+
+        // Parse error for better user feedback
+        let errorMessage = `API Error ${response.status}`;
+        try {
+            const errorData = JSON.parse(errorText);
+            if (errorData.error && errorData.error.message) {
+                errorMessage = errorData.error.message;
+            }
+        } catch (e) {
+            // Use status text if can't parse error
+            errorMessage = `${errorMessage}: ${response.statusText}`;
+        }
+
+        const error = new Error(errorMessage);
+        error.status = response.status;
+        error.retryAfter = this.parseRetryAfter(response.headers && response.headers.get('retry-after'));
+        return error;
+    }
+
+    /**
+     * Ask the provider to report the tokens and cost of a request
+     * @param {Object} requestBody - Request payload
+     * @param {Object} provider - Provider
+     * @returns {Object} Request payload with usage reporting turned on
+     */
+    withUsageRequest(requestBody, provider) {
+        const body = {...requestBody};
+
+        // OpenRouter adds the cost in credits (USD) to the usage block
+        if (provider.id === 'openrouter') {
+            body.usage = {include: true};
+        }
+
+        // Streams only end with a usage block when asked to; strict servers reject the
+        // unknown field, so it is only sent to providers known to accept it
+        if (body.stream && provider.streamUsage) {
+            body.stream_options = {include_usage: true};
+        }
+
+        return body;
+    }
+
+    /**
+     * Read the usage block of a response
+     * @param {Object|null} data - Response (or last stream chunk) with a usage block
+     * @param {string} model - Model the request was sent to
+     * @param {Object} provider - Provider
+     * @returns {Object|null} Usage {model, providerId, promptTokens, completionTokens, totalTokens, cost, generationId},
+     *                        cost is null when the provider does not report it
+     */
+    readUsage(data, model, provider) {
+        if (!data || !data.usage) {
+            return null;
+        }
+
+        const usage = data.usage;
+        const promptTokens = usage.prompt_tokens || 0;
+        const completionTokens = usage.completion_tokens || 0;
+
+        return {
+            model,
+            providerId: provider.id,
+            promptTokens,
+            completionTokens,
+            totalTokens: usage.total_tokens || promptTokens + completionTokens,
+            cost: typeof usage.cost === 'number' ? usage.cost : null,
+            generationId: data.id || null
+        };
+    }
+
+    /**
+     * Pass the usage of a finished request on, looking up the OpenRouter cost when the response lacks it
+     * Accounting never fails the request, problems are only logged
+     * @param {Object|null} data - Response (or last stream chunk) with a usage block
+     * @param {string} model - Model the request was sent to
+     * @param {Object} provider - Provider
+     * @param {string} apiKey - API key
+     * @param {Function} onUsage - Receives the usage (optional)
+     * @returns {Promise<void>}
+     */
+    async reportUsage(data, model, provider, apiKey, onUsage) {
+        if (!onUsage) {
+            return;
+        }
+
+        try {
+            const usage = this.readUsage(data, model, provider);
+            if (!usage) {
+                console.log('OCRService: Provider did not report usage for model:', model);
+                return;
+            }
+
+            if (usage.cost === null && provider.id === 'openrouter' && usage.generationId) {
+                usage.cost = await this.getGenerationCost(apiKey, usage.generationId, provider);
+            }
+
+            await onUsage(usage);
+        } catch (error) {
+            console.warn('OCRService: Failed to record usage:', error);
+        }
+    }
+
+    /**
+     * Look up what an OpenRouter generation cost
+     * @param {string} apiKey - API key
+     * @param {string} generationId - Id of the response
+     * @param {Object} provider - OpenRouter provider
+     * @returns {Promise<number|null>} Cost in USD, null when it is not available (yet)
+     */
+    async getGenerationCost(apiKey, generationId, provider) {
+        try {
+            const url = `${provider.baseURL.replace(/\/+$/, '')}/generation?id=${encodeURIComponent(generationId)}`;
+            const response = await fetch(url, {headers: this.providers.buildHeaders(provider, apiKey)});
+            if (!response.ok) {
+                return null;
+            }
+
+            const result = await response.json();
+            return result.data && typeof result.data.total_cost === 'number' ? result.data.total_cost : null;
+        } catch (error) {
+            console.warn('OCRService: Failed to get generation cost:', error);
+            return null;
         }
     }
 
@@ -158,60 +827,15 @@ class OCRService {
      * @returns {boolean} Whether model is supported
      */
     isValidModel(model) {
-        const supportedModels = [
-            'openai/gpt-4o',
-            'openai/gpt-4o-mini',
-            'anthropic/claude-3-sonnet',
-            'anthropic/claude-3-haiku',
-            'google/gemini-pro-vision',
-            'google/gemini-flash-1.5'
-        ];
-        
-        return supportedModels.includes(model);
+        return this.getSupportedModels().some(entry => entry.value === model);
     }
 
     /**
-     * Get list of supported models
+     * Get list of supported models across all providers
      * @returns {Array} Array of model objects
      */
     getSupportedModels() {
-        return [
-            { value: 'openai/gpt-4o', label: 'OpenAI GPT-4o (Vision)', recommended: true },
-            { value: 'openai/gpt-4o-mini', label: 'OpenAI GPT-4o Mini' },
-            { value: 'anthropic/claude-3-sonnet', label: 'Claude 3 Sonnet' },
-            { value: 'anthropic/claude-3-haiku', label: 'Claude 3 Haiku' },
-            { value: 'google/gemini-pro-vision', label: 'Gemini Pro Vision' },
-            { value: 'google/gemini-flash-1.5', label: 'Gemini Flash 1.5' }
-        ];
-    }
-
-    /**
-     * Estimate cost for OCR operation
-     * @param {string} model - Model name
-     * @param {string} imageData - Base64 image data
-     * @returns {Object} Cost estimation
-     */
-    estimateCost(model, imageData) {
-        // Rough cost estimation based on model and image size
-        const imageSizeKB = imageData.length * 0.75 / 1024; // Base64 to bytes
-        
-        const costPerMB = {
-            'openai/gpt-4o': 0.01,
-            'openai/gpt-4o-mini': 0.002,
-            'anthropic/claude-3-sonnet': 0.008,
-            'anthropic/claude-3-haiku': 0.003,
-            'google/gemini-pro-vision': 0.005,
-            'google/gemini-flash-1.5': 0.001
-        };
-
-        const baseCost = costPerMB[model] || 0.005;
-        const estimatedCost = (imageSizeKB / 1024) * baseCost;
-
-        return {
-            model,
-            imageSizeKB: Math.round(imageSizeKB),
-            estimatedCostUSD: Math.max(0.001, estimatedCost).toFixed(4)
-        };
+        return this.providers.getProviders().flatMap(provider => provider.models);
     }
 }
 
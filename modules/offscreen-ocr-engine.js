@@ -0,0 +1,81 @@
+/**
+ * Offscreen OCR Engine Module
+ * Lets the service worker use the local engine, which needs a DOM and Web Workers,
+ * by running it in an offscreen document
+ */
+
+class OffscreenOCREngine {
+    constructor(chromeRef = null) {
+        // Allow dependency injection for testing
+        this.chrome = chromeRef || chrome;
+
+        this.documentPath = 'offscreen.html';
+        this.creating = null;
+    }
+
+    /**
+     * Recognize text in an image using the offscreen document
+     * @param {string} imageData - Base64 image data
+     * @returns {Promise<string>} Extracted text
+     */
+    async recognize(imageData) {
+        if (!imageData) {
+            throw new Error('No image data provided');
+        }
+
+        await this.ensureDocument();
+
+        console.log('OffscreenOCREngine: Sending image to offscreen document');
+        const response = await this.chrome.runtime.sendMessage({
+            target: 'offscreen',
+            action: 'recognize',
+            imageData
+        });
+
+        if (!response) {
+            throw new Error('Local OCR engine did not respond');
+        }
+
+        if (response.error) {
+            throw new Error(response.error);
+        }
+
+        return response.text;
+    }
+
+    /**
+     * Create the offscreen document unless it already exists
+     * @returns {Promise<void>}
+     */
+    async ensureDocument() {
+        if (await this.chrome.offscreen.hasDocument()) {
+            return;
+        }
+
+        // Concurrent requests must not try to create a second document
+        if (!this.creating) {
+            this.creating = this.chrome.offscreen.createDocument({
+                url: this.documentPath,
+                reasons: ['WORKERS'],
+                justification: 'Run the bundled Tesseract OCR engine'
+            }).finally(() => {
+                this.creating = null;
+            });
+        }
+
+        await this.creating;
+    }
+
+    /**
+     * Close the offscreen document and free the engine's memory
+     * @returns {Promise<void>}
+     */
+    async terminate() {
+        if (await this.chrome.offscreen.hasDocument()) {
+            await this.chrome.offscreen.closeDocument();
+        }
+    }
+}
+
+// Export for use in other modules
+window.OffscreenOCREngine = OffscreenOCREngine;
\ No newline at end of file
@@ -0,0 +1,446 @@
+/**
+ * Output Formatter Module
+ * Defines the OCR output modes with their prompts and post-processing
+ */
+
+class OutputFormatter {
+    constructor() {
+        this.defaultMode = 'plain';
+
+        this.modes = {
+            plain: {
+                label: 'Plain text',
+                prompt: 'Please extract all text from this image. Return only the text content, no additional formatting or explanation.'
+            },
+            markdown: {
+                label: 'Markdown',
+                prompt: 'Please transcribe the text in this image as Markdown. Keep headings as # headings, bulleted and numbered lists as Markdown lists, and preserve emphasis, links and tables. Return only the Markdown, without wrapping it in a code block or adding any explanation.'
+            },
+            table: {
+                label: 'Table (CSV/TSV)',
+                prompt: 'Please extract the table in this image as tab-separated values: one line per row, header row first, cells separated by a single tab character. Keep empty cells empty so every row has the same number of cells. Return only the table, no additional formatting or explanation.'
+            },
+            code: {
+                label: 'Code',
+                prompt: 'Please transcribe the source code in this image exactly, preserving indentation, blank lines and symbols. Return it as a single Markdown code block tagged with the programming language, with no explanation.'
+            }
+        };
+
+        // Fence tags models commonly use, mapped to the names detectLanguage() returns
+        this.languageAliases = {
+            js: 'javascript',
+            jsx: 'javascript',
+            ts: 'typescript',
+            tsx: 'typescript',
+            py: 'python',
+            rb: 'ruby',
+            sh: 'bash',
+            shell: 'bash',
+            zsh: 'bash',
+            'c++': 'cpp',
+            cs: 'csharp',
+            'c#': 'csharp',
+            golang: 'go',
+            rs: 'rust',
+            yml: 'yaml',
+            htm: 'html'
+        };
+
+        // Patterns scored by detectLanguage(); the highest total wins
+        this.languagePatterns = {
+            python: [/^\s*def \w+\(.*\)\s*(->\s*[\w[\], ]+)?:\s*$/m, /^\s*(from [\w.]+ )?import \w+/m, /\bself\./, /^\s*elif\b/m, /\bprint\(/, /^\s*class \w+(\(.*\))?:\s*$/m],
+            javascript: [/\b(const|let|var) \w+\s*=/, /=>/, /\bfunction\s*\w*\s*\(/, /console\.log\(/, /\brequire\(['"]/, /^\s*import .+ from ['"]/m],
+            typescript: [/:\s*(string|number|boolean|any|void)\b/, /^\s*(export )?interface \w+/m, /^\s*(export )?type \w+\s*=/m],
+            java: [/\bpublic\s+(static\s+)?(final\s+)?(class|void|int|String)\b/, /System\.out\.print/, /^\s*package [\w.]+;/m, /\bnew \w+<.*>\(/],
+            csharp: [/^\s*using System/m, /Console\.Write/, /^\s*namespace [\w.]+/m, /\{\s*get;\s*set;\s*\}/],
+            cpp: [/^\s*#include\s*[<"]/m, /\bstd::/, /\bcout\s*<</, /\bint main\s*\(/],
+            go: [/^\s*package \w+\s*$/m, /^\s*func (\(.*\) )?\w+\(/m, /:=/, /\bfmt\.\w+\(/],
+            rust: [/^\s*(pub )?fn \w+/m, /\blet mut\b/, /\w+!\(/, /\bimpl\b/, /->\s*[\w<>]+\s*\{/],
+            ruby: [/^\s*def \w+[?!]?(\(.*\))?\s*$/m, /^\s*end\s*$/m, /\bputs\b/, /\.each do\b/],
+            php: [/<\?php/, /\$\w+\s*=/, /\becho\b/, /->\w+\(/],
+            html: [/<!DOCTYPE html>/i, /<\/?(html|head|body|div|span|p|a|ul|li)\b[^>]*>/i],
+            css: [/^\s*[.#]?[\w-]+(\s*[,>]?\s*[.#]?[\w-]+)*\s*\{\s*$/m, /^\s*[\w-]+\s*:\s*[^;]+;\s*$/m],
+            sql: [/\bSELECT\b[\s\S]+\bFROM\b/i, /\b(INSERT INTO|UPDATE \w+ SET|DELETE FROM|CREATE TABLE)\b/i, /\bWHERE\b/i],
+            bash: [/^#!\/(usr\/)?bin\/(env )?(ba)?sh/m, /^\s*(sudo|apt(-get)?|npm|cd|export|mkdir|git)\s/m, /\$\{?\w+\}?/, /^\s*fi\s*$/m]
+        };
+    }
+
+    /**
+     * Get the available output modes
+     * @returns {Array<Object>} Modes {value, label}
+     */
+    getModes() {
+        return Object.entries(this.modes).map(([value, mode]) => ({value, label: mode.label}));
+    }
+
+    /**
+     * Check whether a mode exists
+     * @param {string} mode - Mode name
+     * @returns {boolean} Whether the mode is known
+     */
+    isValidMode(mode) {
+        return Object.prototype.hasOwnProperty.call(this.modes, mode);
+    }
+
+    /**
+     * Get the prompt sent to the model for a mode
+     * @param {string} mode - Mode name
+     * @returns {string} Prompt
+     */
+    getPrompt(mode) {
+        return this.modes[this.isValidMode(mode) ? mode : this.defaultMode].prompt;
+    }
+
+    /**
+     * Post-process raw OCR output for a mode
+     * @param {string} mode - Mode name
+     * @param {string} rawText - Text returned by the model or engine
+     * @returns {Object} Result {mode, text, formats, warnings, language?, rows?}
+     *                   formats lists what can be copied: [{id, label, text}], the first is the default
+     */
+    format(mode, rawText) {
+        const text = (rawText || '').replace(/\r\n?/g, '\n');
+
+        switch (this.isValidMode(mode) ? mode : this.defaultMode) {
+            case 'markdown':
+                return this.formatMarkdown(text);
+            case 'table':
+                return this.formatTable(text);
+            case 'code':
+                return this.formatCode(text);
+            default:
+                return this.formatPlain(text);
+        }
+    }
+
+    /**
+     * Combine the OCR results of several areas into one text in selection order
+     * The extra copy formats belong to a single area, so only the text is kept
+     * @param {Array<Object>} results - Area results {text, model, mode, warnings, language, translation, failures}
+     * @returns {Object} Result {text, model, mode, formats, warnings, language, translation, failures}
+     */
+    combineRegions(results) {
+        const join = (texts) => texts.filter(Boolean).join('\n\n');
+        const text = join(results.map(result => result.text));
+        const unique = (values) => [...new Set(values.filter(Boolean))];
+
+        // Areas left untranslated (e.g. code) keep their text in the combined translation
+        const translations = results.map(result => result.translation).filter(Boolean);
+        const failed = translations.find(translation => translation.error);
+        let translation = null;
+        if (failed) {
+            translation = {error: failed.error};
+        } else if (translations.length > 0) {
+            translation = {
+                ...translations[0],
+                text: join(results.map(result => result.translation ? result.translation.text : result.text))
+            };
+        }
+
+        return {
+            text,
+            model: unique(results.map(result => result.model)).join(', '),
+            mode: results[0].mode,
+            formats: [{id: 'text', label: 'Copy text', text}],
+            warnings: unique(results.flatMap(result => result.warnings || [])),
+            language: results.map(result => result.language).find(Boolean) || null,
+            translation,
+            failures: results.flatMap(result => result.failures || [])
+        };
+    }
+
+    /**
+     * Format plain text output
+     * @param {string} text - Raw text
+     * @returns {Object} Result
+     */
+    formatPlain(text) {
+        const plain = this.unwrapFence(text).code.trim();
+
+        return {
+            mode: 'plain',
+            text: plain,
+            formats: [{id: 'text', label: 'Copy text', text: plain}],
+            warnings: []
+        };
+    }
+
+    /**
+     * Format Markdown output
+     * @param {string} text - Raw text
+     * @returns {Object} Result
+     */
+    formatMarkdown(text) {
+        const fence = this.unwrapFence(text);
+
+        // Only unwrap fences the model put around the whole answer
+        const markdown = (['', 'markdown', 'md'].includes(fence.language) ? fence.code : text).trim();
+
+        return {
+            mode: 'markdown',
+            text: markdown,
+            formats: [
+                {id: 'markdown', label: 'Copy Markdown', text: markdown},
+                {id: 'text', label: 'Copy plain text', text: this.stripMarkdown(markdown)}
+            ],
+            warnings: []
+        };
+    }
+
+    /**
+     * Format table output as a validated grid
+     * @param {string} text - Raw text
+     * @returns {Object} Result
+     */
+    formatTable(text) {
+        const {rows, warnings} = this.validateGrid(this.parseTable(this.unwrapFence(text).code));
+        const csv = this.toCSV(rows);
+
+        return {
+            mode: 'table',
+            text: csv,
+            rows,
+            formats: [
+                {id: 'csv', label: 'Copy CSV', text: csv},
+                {id: 'tsv', label: 'Copy TSV', text: this.toTSV(rows)},
+                {id: 'markdown', label: 'Copy Markdown table', text: this.toMarkdownTable(rows)}
+            ],
+            warnings
+        };
+    }
+
+    /**
+     * Format code output with its language
+     * @param {string} text - Raw text
+     * @returns {Object} Result
+     */
+    formatCode(text) {
+        const fence = this.unwrapFence(text);
+
+        // Only strip blank lines around the code, leading spaces are indentation
+        const code = fence.code.replace(/^\s*\n/, '').replace(/\s+$/, '');
+        const language = this.normalizeLanguage(fence.language) || this.detectLanguage(code);
+
+        return {
+            mode: 'code',
+            text: code,
+            language,
+            formats: [
+                {id: 'code', label: 'Copy code', text: code},
+                {id: 'markdown', label: 'Copy as code block', text: `\`\`\`${language}\n${code}\n\`\`\``}
+            ],
+            warnings: []
+        };
+    }
+
+    /**
+     * Take the content out of a Markdown code fence wrapping the whole text
+     * @param {string} text - Text that may be fenced
+     * @returns {Object} Fence {code, language}, language is '' when unfenced or untagged
+     */
+    unwrapFence(text) {
+        const match = text.match(/^\s*(`{3,}|~{3,})[ \t]*([^\s`]*)[^\n]*\n([\s\S]*?)\n?[ \t]*\1[ \t]*\s*$/);
+        if (!match) {
+            return {code: text, language: ''};
+        }
+        return {code: match[3], language: match[2].toLowerCase()};
+    }
+
+    /**
+     * Remove Markdown syntax, keeping the words and line structure
+     * @param {string} markdown - Markdown text
+     * @returns {string} Plain text
+     */
+    stripMarkdown(markdown) {
+        return markdown
+            .replace(/^#{1,6}\s+/gm, '')
+            .replace(/^(\s*)[-*+]\s+\[[ xX]\]\s+/gm, '$1')
+            .replace(/^(\s*)[-*+]\s+/gm, '$1')
+            .replace(/^>\s?/gm, '')
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/(\*\*|__)(.+?)\1/g, '$2')
+            .replace(/(\*|_)(\S.*?)\1/g, '$2')
+            .replace(/`([^`]+)`/g, '$1');
+    }
+
+    /**
+     * Split tabular text into rows of cells
+     * Accepts TSV, Markdown pipe tables, CSV and space-aligned columns
+     * @param {string} text - Table text
+     * @returns {Array<Array<string>>} Rows
+     */
+    parseTable(text) {
+        const lines = text.split('\n').filter(line => line.trim());
+
+        if (lines.some(line => line.includes('\t'))) {
+            return lines.map(line => line.split('\t').map(cell => cell.trim()));
+        }
+
+        if (lines.every(line => line.trim().startsWith('|'))) {
+            return lines
+                .filter(line => !/^[\s|:-]+$/.test(line) || !line.includes('-'))
+                .map(line => line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/)
+                    .map(cell => cell.trim().replace(/\\\|/g, '|')));
+        }
+
+        if (lines.some(line => line.includes(','))) {
+            return this.parseCSV(lines.join('\n'));
+        }
+
+        // Plain OCR engines keep columns apart with runs of spaces
+        return lines.map(line => line.trim().split(/\s{2,}/));
+    }
+
+    /**
+     * Parse CSV text, honouring quoted cells
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && !cell.trim()) {
+                quoted = true;
+                cell = '';
+            } else if (char === ',') {
+                row.push(cell.trim());
+                cell = '';
+            } else if (char === '\n') {
+                row.push(cell.trim());
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        row.push(cell.trim());
+        rows.push(row);
+        return rows;
+    }
+
+    /**
+     * Make every row as wide as the widest one
+     * @param {Array<Array<string>>} rows - Parsed rows
+     * @returns {Object} Grid {rows, warnings}
+     */
+    validateGrid(rows) {
+        const grid = rows.filter(row => row.some(cell => cell !== ''));
+        if (grid.length === 0) {
+            throw new Error('No table found in the OCR result');
+        }
+
+        const width = Math.max(...grid.map(row => row.length));
+        const warnings = [];
+
+        const padded = grid.map((row, index) => {
+            if (row.length < width) {
+                warnings.push(`Row ${index + 1} has ${row.length} of ${width} cells, padded with empty cells`);
+                return row.concat(new Array(width - row.length).fill(''));
+            }
+            return row;
+        });
+
+        return {rows: padded, warnings};
+    }
+
+    /**
+     * Serialize rows as CSV (RFC 4180 quoting)
+     * @param {Array<Array<string>>} rows - Rows
+     * @returns {string} CSV
+     */
+    toCSV(rows) {
+        return rows.map(row => row.map(cell => {
+            return /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+        }).join(',')).join('\n');
+    }
+
+    /**
+     * Serialize rows as TSV, which pastes into spreadsheets as cells
+     * @param {Array<Array<string>>} rows - Rows
+     * @returns {string} TSV
+     */
+    toTSV(rows) {
+        return rows.map(row => row.map(cell => cell.replace(/[\t\n]+/g, ' ')).join('\t')).join('\n');
+    }
+
+    /**
+     * Serialize rows as a Markdown table with the first row as header
+     * @param {Array<Array<string>>} rows - Rows
+     * @returns {string} Markdown table
+     */
+    toMarkdownTable(rows) {
+        const line = (row) => `| ${row.map(cell => cell.replace(/\|/g, '\\|').replace(/\n/g, ' ')).join(' | ')} |`;
+        const [header, ...body] = rows;
+
+        return [line(header), line(header.map(() => '---')), ...body.map(line)].join('\n');
+    }
+
+    /**
+     * Map a code fence tag to a language name
+     * @param {string} tag - Fence tag
+     * @returns {string} Language, '' when not tagged
+     */
+    normalizeLanguage(tag) {
+        const language = (tag || '').toLowerCase();
+        return this.languageAliases[language] || language;
+    }
+
+    /**
+     * Guess the programming language of a code snippet
+     * @param {string} code - Source code
+     * @returns {string} Language, '' when nothing matches
+     */
+    detectLanguage(code) {
+        const trimmed = code.trim();
+        if (!trimmed) {
+            return '';
+        }
+
+        if (/^[[{]/.test(trimmed)) {
+            try {
+                JSON.parse(trimmed);
+                return 'json';
+            } catch (error) {
+                // Not JSON, score it like any other code
+            }
+        }
+
+        let best = '';
+        let bestScore = 0;
+
+        Object.entries(this.languagePatterns).forEach(([language, patterns]) => {
+            const score = patterns.filter(pattern => pattern.test(code)).length;
+            if (score > bestScore) {
+                best = language;
+                bestScore = score;
+            }
+        });
+
+        // TypeScript is JavaScript with types, prefer it when types are present
+        if (best === 'javascript' && this.languagePatterns.typescript.some(pattern => pattern.test(code))) {
+            return 'typescript';
+        }
+
+        return best;
+    }
+}
+
+// Export for use in other modules
+window.OutputFormatter = OutputFormatter;
\ No newline at end of file
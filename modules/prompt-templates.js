@@ -0,0 +1,258 @@
+/**
+ * Prompt Templates Module
+ * Keeps the user's named, ordered OCR prompt templates and fills in their variables
+ */
+
+class PromptTemplates {
+    constructor(language = null) {
+        // Allow injecting the language for testing
+        this.language = language || (typeof navigator !== 'undefined' && navigator.language) || 'en';
+
+        this.variables = ['pageUrl', 'pageTitle', 'language', 'date'];
+        // chrome.storage.sync.QUOTA_BYTES_PER_ITEM, less room for the item key
+        this.maxTemplateBytes = 8192 - 128;
+        this.defaultTemplates = [
+            {
+                id: 'translate-to-english',
+                name: 'Translate to English',
+                prompt: 'Please extract all text from this image and translate it to English. Return only the translation, no additional formatting or explanation.'
+            },
+            {
+                id: 'summarize',
+                name: 'Summarize',
+                prompt: 'Please read all text in this image and summarize it in {{language}} in a few bullet points. Return only the summary.'
+            },
+            {
+                id: 'email-addresses',
+                name: 'Extract email addresses',
+                prompt: 'Please extract only the email addresses shown in this image, one per line. Return nothing else.'
+            }
+        ];
+        this.templates = this.defaultTemplates.map(template => ({...template}));
+    }
+
+    /**
+     * Get all templates in the user's order
+     * @returns {Array<Object>} Templates {id, name, prompt}
+     */
+    getTemplates() {
+        return this.templates.map(template => ({...template}));
+    }
+
+    /**
+     * Get a template by id
+     * @param {string} id - Template id
+     * @returns {Object|null} Template
+     */
+    getTemplate(id) {
+        const template = this.templates.find(entry => entry.id === id);
+        return template ? {...template} : null;
+    }
+
+    /**
+     * Replace the templates (e.g. after loading them from storage)
+     * @param {Array<Object>|null} templates - Templates, null when never saved
+     */
+    setTemplates(templates) {
+        if (!templates) {
+            this.templates = this.defaultTemplates.map(template => ({...template}));
+            return;
+        }
+
+        this.templates = templates
+            .filter(template => template && template.id && this.validateTemplate(template).length === 0)
+            .map(template => this.normalizeTemplate(template));
+    }
+
+    /**
+     * Add a new template or update an existing one
+     * @param {Object} template - Template {id?, name, prompt}
+     * @returns {Object} Saved template
+     */
+    saveTemplate(template) {
+        const errors = this.validateTemplate(template);
+        if (errors.length > 0) {
+            throw new Error(errors.join('. '));
+        }
+
+        const existing = template.id ? this.getTemplate(template.id) : null;
+        const saved = this.normalizeTemplate({
+            ...template,
+            id: existing ? existing.id : this.createId(template.name)
+        });
+
+        if (existing) {
+            this.templates = this.templates.map(entry => entry.id === saved.id ? saved : entry);
+        } else {
+            this.templates.push(saved);
+        }
+
+        return {...saved};
+    }
+
+    /**
+     * Remove a template
+     * @param {string} id - Template id
+     */
+    removeTemplate(id) {
+        if (!this.getTemplate(id)) {
+            throw new Error('Template not found');
+        }
+
+        this.templates = this.templates.filter(entry => entry.id !== id);
+    }
+
+    /**
+     * Move a template up or down the list
+     * @param {string} id - Template id
+     * @param {number} offset - Positions to move, negative moves up
+     * @returns {number} New position
+     */
+    moveTemplate(id, offset) {
+        const index = this.templates.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            throw new Error('Template not found');
+        }
+
+        const target = Math.min(Math.max(0, index + offset), this.templates.length - 1);
+        const [template] = this.templates.splice(index, 1);
+        this.templates.splice(target, 0, template);
+
+        return target;
+    }
+
+    /**
+     * Validate a template
+     * @param {Object} template - Template
+     * @returns {Array<string>} Validation errors, empty when valid
+     */
+    validateTemplate(template) {
+        const errors = [];
+
+        if (!template || typeof template !== 'object') {
+            return ['Template is required'];
+        }
+
+        if (!template.name || !template.name.trim()) {
+            errors.push('Template name is required');
+        }
+
+        if (!template.prompt || !template.prompt.trim()) {
+            errors.push('Template prompt is required');
+        }
+
+        const unknown = this.findVariables(template.prompt || '').filter(name => !this.variables.includes(name));
+        if (unknown.length > 0) {
+            errors.push(`Unknown variable ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+        }
+
+        const size = this.getStoredSize(template);
+        if (size > this.maxTemplateBytes) {
+            errors.push(`Template is too long to sync (${size} of ${this.maxTemplateBytes} bytes), shorten the prompt`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Get the size a template takes in sync storage, which counts its JSON in UTF-8
+     * @param {Object} template - Template
+     * @returns {number} Size in bytes
+     */
+    getStoredSize(template) {
+        const {id = '', name = '', prompt = ''} = template;
+        return new TextEncoder().encode(JSON.stringify({id, name: name.trim(), prompt: prompt.trim()})).length;
+    }
+
+    /**
+     * Trim a template's fields
+     * @param {Object} template - Template
+     * @returns {Object} Normalized template
+     */
+    normalizeTemplate(template) {
+        return {
+            id: template.id,
+            name: template.name.trim(),
+            prompt: template.prompt.trim()
+        };
+    }
+
+    /**
+     * Create a unique template id from its name
+     * @param {string} name - Template name
+     * @returns {string} Template id
+     */
+    createId(name) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template';
+        let id = base;
+        let suffix = 2;
+
+        while (this.getTemplate(id)) {
+            id = `${base}-${suffix++}`;
+        }
+
+        return id;
+    }
+
+    /**
+     * List the variable names used in a prompt
+     * @param {string} prompt - Prompt text
+     * @returns {Array<string>} Variable names
+     */
+    findVariables(prompt) {
+        return Array.from(prompt.matchAll(/\{\{\s*(\w+)\s*\}\}/g), match => match[1]);
+    }
+
+    /**
+     * Get the values for the template variables
+     * @param {Object} page - Page the image came from {url, title} (optional)
+     * @returns {Object} Variable values
+     */
+    getVariables(page = {}) {
+        return {
+            pageUrl: page.url || '',
+            pageTitle: page.title || '',
+            language: this.getLanguageName(this.language),
+            date: new Date().toISOString().slice(0, 10)
+        };
+    }
+
+    /**
+     * Get the English name of a language code, which models follow more reliably
+     * @param {string} code - Language code (e.g. 'de-CH')
+     * @returns {string} Language name, the code itself when unknown
+     */
+    getLanguageName(code) {
+        try {
+            return new Intl.DisplayNames(['en'], {type: 'language'}).of(code) || code;
+        } catch (error) {
+            return code;
+        }
+    }
+
+    /**
+     * Fill in a template's variables
+     * @param {Object} template - Template
+     * @param {Object} variables - Variable values
+     * @returns {string} Prompt
+     */
+    render(template, variables) {
+        return template.prompt.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+            return Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match;
+        });
+    }
+
+    /**
+     * Get the rendered prompt of a template
+     * @param {string} id - Template id
+     * @param {Object} page - Page the image came from {url, title} (optional)
+     * @returns {string|null} Prompt, null when the template does not exist
+     */
+    getPrompt(id, page = {}) {
+        const template = id ? this.getTemplate(id) : null;
+        return template ? this.render(template, this.getVariables(page)) : null;
+    }
+}
+
+// Export for use in other modules
+window.PromptTemplates = PromptTemplates;
\ No newline at end of file
@@ -0,0 +1,305 @@
+/**
+ * Provider Registry Module
+ * Keeps built-in and user-defined OCR providers with their endpoints, auth and models
+ */
+
+class ProviderRegistry {
+    constructor() {
+        this.defaultProviderId = 'openrouter';
+        this.authSchemes = ['bearer', 'header', 'none'];
+        this.builtInProviders = [
+            {
+                id: 'openrouter',
+                name: 'OpenRouter',
+                type: 'openai',
+                builtIn: true,
+                baseURL: 'https://openrouter.ai/api/v1',
+                authScheme: 'bearer',
+                modelCatalog: true,
+                streamUsage: true, // Accepts stream_options and ends streams with a usage chunk
+                headers: {
+                    'HTTP-Referer': 'https://github.com/screenshot-ocr-extension',
+                    'X-Title': 'Screenshot Plus OCR Extension'
+                },
+                // Offline fallback, replaced by the fetched catalog (see ModelCatalog)
+                models: [
+                    { value: 'openai/gpt-4o', label: 'OpenAI GPT-4o (Vision)', recommended: true },
+                    { value: 'openai/gpt-4o-mini', label: 'OpenAI GPT-4o Mini' },
+                    { value: 'anthropic/claude-3.5-sonnet', label: 'Claude 3.5 Sonnet' },
+                    { value: 'anthropic/claude-3-haiku', label: 'Claude 3 Haiku' },
+                    { value: 'google/gemini-pro-1.5', label: 'Gemini Pro 1.5' },
+                    { value: 'google/gemini-flash-1.5', label: 'Gemini Flash 1.5' }
+                ]
+            },
+            {
+                id: 'local',
+                name: 'Local (Offline)',
+                type: 'local',
+                builtIn: true,
+                authScheme: 'none',
+                headers: {},
+                models: [
+                    { value: 'local/tesseract', label: 'Local (Offline, Tesseract)' }
+                ]
+            }
+        ];
+        this.customProviders = [];
+    }
+
+    /**
+     * Get all providers, built-in first
+     * @returns {Array<Object>} Providers
+     */
+    getProviders() {
+        return [...this.builtInProviders, ...this.customProviders];
+    }
+
+    /**
+     * Get a provider by id
+     * @param {string} id - Provider id
+     * @returns {Object|null} Provider
+     */
+    getProvider(id) {
+        return this.getProviders().find(provider => provider.id === id) || null;
+    }
+
+    /**
+     * Get the default provider
+     * @returns {Object} OpenRouter provider
+     */
+    getDefaultProvider() {
+        return this.getProvider(this.defaultProviderId);
+    }
+
+    /**
+     * Find the provider offering a model
+     * @param {string} model - Model name
+     * @returns {Object|null} Provider
+     */
+    findProviderForModel(model) {
+        return this.getProviders().find(provider =>
+            provider.models.some(entry => entry.value === model)
+        ) || null;
+    }
+
+    /**
+     * List the models of all providers with the provider they belong to
+     * @returns {Array<Object>} Models {value, label, providerId, providerName}
+     */
+    listModels() {
+        return this.getProviders().flatMap(provider =>
+            provider.models.map(model => ({
+                value: model.value,
+                label: model.label,
+                providerId: provider.id,
+                providerName: provider.name
+            }))
+        );
+    }
+
+    /**
+     * Replace the models of a provider, e.g. with its fetched catalog
+     * @param {string} id - Provider id
+     * @param {Array<Object>} models - Models {value, label, ...}
+     */
+    setModels(id, models) {
+        const provider = this.getProvider(id);
+        if (!provider) {
+            throw new Error('Provider not found');
+        }
+
+        // An empty catalog would leave nothing to select, keep the current list instead
+        if (!Array.isArray(models) || models.length === 0) {
+            return;
+        }
+
+        provider.models = models.map(model => ({...model}));
+    }
+
+    /**
+     * Get user-defined providers for persistence
+     * @returns {Array<Object>} Custom providers
+     */
+    getCustomProviders() {
+        return this.customProviders.map(provider => ({...provider}));
+    }
+
+    /**
+     * Replace user-defined providers (e.g. after loading them from storage)
+     * @param {Array<Object>} providers - Custom providers
+     */
+    setCustomProviders(providers) {
+        this.customProviders = (providers || [])
+            .filter(provider => this.validateProvider(provider).length === 0)
+            .map(provider => this.normalizeProvider(provider));
+    }
+
+    /**
+     * Add a new custom provider or update an existing one
+     * @param {Object} provider - Provider settings
+     * @returns {Object} Saved provider
+     */
+    saveProvider(provider) {
+        const errors = this.validateProvider(provider);
+        if (errors.length > 0) {
+            throw new Error(errors.join('. '));
+        }
+
+        const existing = provider.id ? this.getProvider(provider.id) : null;
+        if (existing && existing.builtIn) {
+            throw new Error('Built-in providers cannot be modified');
+        }
+
+        const saved = this.normalizeProvider({
+            ...provider,
+            id: existing ? existing.id : this.createId(provider.name)
+        });
+
+        if (existing) {
+            this.customProviders = this.customProviders.map(entry => entry.id === saved.id ? saved : entry);
+        } else {
+            this.customProviders.push(saved);
+        }
+
+        return saved;
+    }
+
+    /**
+     * Remove a custom provider
+     * @param {string} id - Provider id
+     */
+    removeProvider(id) {
+        const provider = this.getProvider(id);
+        if (!provider) {
+            throw new Error('Provider not found');
+        }
+
+        if (provider.builtIn) {
+            throw new Error('Built-in providers cannot be removed');
+        }
+
+        this.customProviders = this.customProviders.filter(entry => entry.id !== id);
+    }
+
+    /**
+     * Validate provider settings
+     * @param {Object} provider - Provider settings
+     * @returns {Array<string>} Validation errors, empty when valid
+     */
+    validateProvider(provider) {
+        const errors = [];
+
+        if (!provider || typeof provider !== 'object') {
+            return ['Provider settings are required'];
+        }
+
+        if (!provider.name || !provider.name.trim()) {
+            errors.push('Provider name is required');
+        }
+
+        try {
+            const url = new URL(provider.baseURL);
+            if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+                errors.push('Base URL must use http or https');
+            }
+        } catch (error) {
+            errors.push('Base URL is invalid');
+        }
+
+        if (!this.authSchemes.includes(provider.authScheme)) {
+            errors.push('Unknown auth scheme');
+        }
+
+        if (provider.authScheme === 'header' && !(provider.authHeader || '').trim()) {
+            errors.push('Auth header name is required');
+        }
+
+        if (!Array.isArray(provider.models) || provider.models.length === 0) {
+            errors.push('At least one model is required');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Fill in defaults for a custom provider
+     * @param {Object} provider - Provider settings
+     * @returns {Object} Normalized provider
+     */
+    normalizeProvider(provider) {
+        return {
+            id: provider.id,
+            name: provider.name.trim(),
+            type: 'openai',
+            baseURL: provider.baseURL.trim().replace(/\/+$/, ''),
+            authScheme: provider.authScheme,
+            authHeader: provider.authScheme === 'header' ? provider.authHeader.trim() : '',
+            apiKey: provider.apiKey || '',
+            headers: {...(provider.headers || {})},
+            streamUsage: !!provider.streamUsage,
+            models: provider.models.map(model => ({
+                value: model.value,
+                label: model.label || model.value
+            }))
+        };
+    }
+
+    /**
+     * Create a unique provider id from its name
+     * @param {string} name - Provider name
+     * @returns {string} Provider id
+     */
+    createId(name) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'provider';
+        let id = base;
+        let suffix = 2;
+
+        while (this.getProvider(id)) {
+            id = `${base}-${suffix++}`;
+        }
+
+        return id;
+    }
+
+    /**
+     * Get the chat completions endpoint of an OpenAI-compatible provider
+     * @param {Object} provider - Provider
+     * @returns {string} Endpoint URL
+     */
+    getEndpoint(provider) {
+        return `${provider.baseURL.replace(/\/+$/, '')}/chat/completions`;
+    }
+
+    /**
+     * Build request headers for a provider
+     * @param {Object} provider - Provider
+     * @param {string} apiKey - API key
+     * @returns {Object} HTTP headers
+     */
+    buildHeaders(provider, apiKey) {
+        const headers = {
+            'Content-Type': 'application/json',
+            ...provider.headers
+        };
+
+        if (provider.authScheme === 'bearer') {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        } else if (provider.authScheme === 'header') {
+            headers[provider.authHeader] = apiKey;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Check whether a provider needs an API key
+     * @param {Object} provider - Provider
+     * @returns {boolean} Whether an API key is required
+     */
+    requiresAPIKey(provider) {
+        return provider.type !== 'local' && provider.authScheme !== 'none';
+    }
+}
+
+// Export for use in other modules
+window.ProviderRegistry = ProviderRegistry;
\ No newline at end of file
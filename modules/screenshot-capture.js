@@ -62,13 +62,10 @@ class ScreenshotCapture {
                     return;
                 }
 
-                // Try to inject content script if needed
-                chrome.scripting.executeScript({
-                    target: { tabId: tabs[0].id },
-                    files: ['content.js']
-                }, () => {
-                    if (chrome.runtime.lastError) {
-                        console.log('ScreenshotCapture: Content script already loaded or injection failed');
+                // Ask the background to inject the content scripts if needed
+                chrome.runtime.sendMessage({action: 'ensureContentScript', tabId: tabs[0].id}, (injection) => {
+                    if (chrome.runtime.lastError || (injection && injection.error)) {
+                        console.log('ScreenshotCapture: Content script injection failed');
                     }
                     
                     // Send message to start area selection
@@ -5,8 +5,16 @@
 
 class StorageManager {
     constructor() {
-        this.syncKeys = ['apiKey', 'selectedModel'];
-        this.localKeys = ['latestScreenshot', 'screenshotTimestamp'];
+        this.syncKeys = ['apiKey', 'selectedModel', 'selectedProvider', 'customProviders', 'outputMode', 'promptTemplates', 'selectedTemplate', 'translation', 'retrySettings', 'fallbackModels', 'preprocessing', 'sizeBudget', 'usageBudget'];
+        this.localKeys = ['latestScreenshot', 'screenshotTimestamp', 'latestHistoryId'];
+
+        // Sync storage caps each item at 8KB, so every template is an item of its own
+        this.templateOrderKey = 'promptTemplateOrder';
+        this.templateKeyPrefix = 'promptTemplate.';
+        // Providers are split the same way, their API keys stay on this device
+        this.providerOrderKey = 'customProviderOrder';
+        this.providerKeyPrefix = 'customProvider.';
+        this.providerAPIKeysKey = 'customProviderKeys';
         this.screenshotExpiryTime = 5 * 60 * 1000; // 5 minutes
     }
 
@@ -26,7 +34,10 @@ class StorageManager {
             console.log('StorageManager: Storage changed:', changes, namespace);
             
             if (namespace === 'local' && changes.latestScreenshot) {
-                this.handleScreenshotUpdate(changes.latestScreenshot.newValue);
+                this.handleScreenshotUpdate(
+                    changes.latestScreenshot.newValue,
+                    changes.latestHistoryId ? changes.latestHistoryId.newValue : null
+                );
             }
             
             if (namespace === 'sync') {
@@ -38,12 +49,13 @@ class StorageManager {
     /**
      * Handle screenshot storage update
      * @param {string} imageData - New screenshot data
+     * @param {number|null} historyId - History entry of the screenshot
      */
-    handleScreenshotUpdate(imageData) {
+    handleScreenshotUpdate(imageData, historyId = null) {
         console.log('StorageManager: Screenshot updated');
         // Emit event for other modules to handle
         window.dispatchEvent(new CustomEvent('screenshotUpdated', {
-            detail: {imageData}
+            detail: {imageData, historyId}
         }));
     }
 
@@ -117,17 +129,543 @@ class StorageManager {
         }
     }
 
+    /**
+     * Save selected provider
+     * @param {string} providerId - Provider id to save
+     * @returns {Promise<void>}
+     */
+    async saveSelectedProvider(providerId) {
+        try {
+            await chrome.storage.sync.set({selectedProvider: providerId});
+            console.log('StorageManager: Selected provider saved:', providerId);
+        } catch (error) {
+            console.error('StorageManager: Failed to save provider:', error);
+            throw new Error('Failed to save selected provider');
+        }
+    }
+
+    /**
+     * Get selected provider
+     * @returns {Promise<string|null>} Selected provider id, null if never chosen
+     */
+    async getSelectedProvider() {
+        try {
+            const result = await chrome.storage.sync.get(['selectedProvider']);
+            return result.selectedProvider || null;
+        } catch (error) {
+            console.error('StorageManager: Failed to get provider:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save user-defined providers, one sync item per provider plus their order
+     * API keys are kept in local storage so they are not copied to other devices
+     * @param {Array<Object>} providers - Custom providers
+     * @returns {Promise<void>}
+     */
+    async saveCustomProviders(providers) {
+        try {
+            const {[this.providerOrderKey]: previous = []} = await chrome.storage.sync.get([this.providerOrderKey]);
+            const {items, apiKeys, staleKeys} = this.createProviderItems(providers, previous);
+
+            await chrome.storage.local.set({[this.providerAPIKeysKey]: apiKeys});
+            await chrome.storage.sync.set(items);
+            await chrome.storage.sync.remove(staleKeys);
+            console.log('StorageManager: Custom providers saved:', providers.length);
+        } catch (error) {
+            console.error('StorageManager: Failed to save providers:', error);
+            throw new Error(`Failed to save providers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get user-defined providers with their API keys
+     * @returns {Promise<Array<Object>>} Custom providers
+     */
+    async getCustomProviders() {
+        try {
+            const result = await chrome.storage.sync.get([this.providerOrderKey, 'customProviders']);
+            const order = result[this.providerOrderKey];
+            if (!order) {
+                // Saved before providers had an item each, moved out so their API keys leave sync storage
+                if (result.customProviders) {
+                    await this.saveCustomProviders(result.customProviders);
+                }
+                return result.customProviders || [];
+            }
+
+            const items = await chrome.storage.sync.get(order.map(id => this.getProviderKey(id)));
+            const {[this.providerAPIKeysKey]: apiKeys = {}} = await chrome.storage.local.get([this.providerAPIKeysKey]);
+            return this.readProviderItems(order, items, apiKeys);
+        } catch (error) {
+            console.error('StorageManager: Failed to get providers:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the sync item key of a custom provider
+     * @param {string} id - Provider id
+     * @returns {string} Storage key
+     */
+    getProviderKey(id) {
+        return `${this.providerKeyPrefix}${id}`;
+    }
+
+    /**
+     * Split providers into sync items and their API keys
+     * @param {Array<Object>} providers - Custom providers in the user's order
+     * @param {Array<string>} previousOrder - Provider ids saved before
+     * @returns {Object} {items: sync items to set, apiKeys: API keys by provider id,
+     *                   staleKeys: items of deleted providers and the old single item}
+     */
+    createProviderItems(providers, previousOrder = []) {
+        const ids = providers.map(provider => provider.id);
+        const items = {[this.providerOrderKey]: ids};
+        const apiKeys = {};
+        providers.forEach(({apiKey, ...provider}) => {
+            items[this.getProviderKey(provider.id)] = provider;
+            if (apiKey) {
+                apiKeys[provider.id] = apiKey;
+            }
+        });
+
+        const staleKeys = previousOrder
+            .filter(id => !ids.includes(id))
+            .map(id => this.getProviderKey(id));
+
+        return {items, apiKeys, staleKeys: [...staleKeys, 'customProviders']};
+    }
+
+    /**
+     * Put provider items back in order with their API keys
+     * @param {Array<string>} order - Provider ids in the user's order
+     * @param {Object} items - Stored items by key
+     * @param {Object} apiKeys - API keys by provider id
+     * @returns {Array<Object>} Custom providers, missing ones skipped
+     */
+    readProviderItems(order, items, apiKeys = {}) {
+        return order
+            .map(id => items[this.getProviderKey(id)])
+            .filter(Boolean)
+            .map(provider => ({...provider, apiKey: apiKeys[provider.id] || ''}));
+    }
+
+    /**
+     * Check whether a sync storage change touches the custom providers
+     * @param {Object} changes - Changed keys
+     * @returns {boolean} Whether providers were added, changed, removed or reordered
+     */
+    hasProviderChanges(changes) {
+        return Object.keys(changes).some(key =>
+            key === this.providerOrderKey || key === 'customProviders' || key.startsWith(this.providerKeyPrefix));
+    }
+
+    /**
+     * Save OCR output mode
+     * @param {string} mode - Output mode ('plain', 'markdown', 'table', 'code')
+     * @returns {Promise<void>}
+     */
+    async saveOutputMode(mode) {
+        try {
+            await chrome.storage.sync.set({outputMode: mode});
+            console.log('StorageManager: Output mode saved:', mode);
+        } catch (error) {
+            console.error('StorageManager: Failed to save output mode:', error);
+            throw new Error('Failed to save output mode');
+        }
+    }
+
+    /**
+     * Get OCR output mode
+     * @returns {Promise<string>} Output mode
+     */
+    async getOutputMode() {
+        try {
+            const result = await chrome.storage.sync.get(['outputMode']);
+            return result.outputMode || 'plain';
+        } catch (error) {
+            console.error('StorageManager: Failed to get output mode:', error);
+            return 'plain';
+        }
+    }
+
+    /**
+     * Save prompt templates, one sync item per template plus their order
+     * @param {Array<Object>} templates - Templates in the user's order
+     * @returns {Promise<void>}
+     */
+    async savePromptTemplates(templates) {
+        try {
+            const {[this.templateOrderKey]: previous = []} = await chrome.storage.sync.get([this.templateOrderKey]);
+            const {items, staleKeys} = this.createTemplateItems(templates, previous);
+
+            await chrome.storage.sync.set(items);
+            await chrome.storage.sync.remove(staleKeys);
+            console.log('StorageManager: Prompt templates saved:', templates.length);
+        } catch (error) {
+            console.error('StorageManager: Failed to save prompt templates:', error);
+            // Quota errors say which limit was hit
+            throw new Error(`Failed to save prompt templates: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get prompt templates
+     * @returns {Promise<Array<Object>|null>} Templates, null if never saved
+     */
+    async getPromptTemplates() {
+        try {
+            const result = await chrome.storage.sync.get([this.templateOrderKey, 'promptTemplates']);
+            const order = result[this.templateOrderKey];
+            if (!order) {
+                // Saved before templates had an item each
+                return result.promptTemplates || null;
+            }
+
+            const items = await chrome.storage.sync.get(order.map(id => this.getTemplateKey(id)));
+            return this.readTemplateItems(order, items);
+        } catch (error) {
+            console.error('StorageManager: Failed to get prompt templates:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the sync item key of a prompt template
+     * @param {string} id - Template id
+     * @returns {string} Storage key
+     */
+    getTemplateKey(id) {
+        return `${this.templateKeyPrefix}${id}`;
+    }
+
+    /**
+     * Split templates into sync items
+     * @param {Array<Object>} templates - Templates in the user's order
+     * @param {Array<string>} previousOrder - Template ids saved before
+     * @returns {Object} {items: items to set, staleKeys: items of deleted templates and the old single item}
+     */
+    createTemplateItems(templates, previousOrder = []) {
+        const ids = templates.map(template => template.id);
+        const items = {[this.templateOrderKey]: ids};
+        templates.forEach(template => {
+            items[this.getTemplateKey(template.id)] = template;
+        });
+
+        const staleKeys = previousOrder
+            .filter(id => !ids.includes(id))
+            .map(id => this.getTemplateKey(id));
+
+        return {items, staleKeys: [...staleKeys, 'promptTemplates']};
+    }
+
+    /**
+     * Put template items back in order
+     * @param {Array<string>} order - Template ids in the user's order
+     * @param {Object} items - Stored items by key
+     * @returns {Array<Object>} Templates, missing ones skipped
+     */
+    readTemplateItems(order, items) {
+        return order.map(id => items[this.getTemplateKey(id)]).filter(Boolean);
+    }
+
+    /**
+     * Check whether a sync storage change touches the prompt templates
+     * @param {Object} changes - Changed keys
+     * @returns {boolean} Whether templates were added, changed, removed or reordered
+     */
+    hasTemplateChanges(changes) {
+        return Object.keys(changes).some(key =>
+            key === this.templateOrderKey || key === 'promptTemplates' || key.startsWith(this.templateKeyPrefix));
+    }
+
+    /**
+     * Save selected prompt template
+     * @param {string} templateId - Template id, empty for the output mode's prompt
+     * @returns {Promise<void>}
+     */
+    async saveSelectedTemplate(templateId) {
+        try {
+            await chrome.storage.sync.set({selectedTemplate: templateId || ''});
+            console.log('StorageManager: Selected template saved:', templateId);
+        } catch (error) {
+            console.error('StorageManager: Failed to save template:', error);
+            throw new Error('Failed to save selected template');
+        }
+    }
+
+    /**
+     * Get selected prompt template
+     * @returns {Promise<string>} Template id, empty for the output mode's prompt
+     */
+    async getSelectedTemplate() {
+        try {
+            const result = await chrome.storage.sync.get(['selectedTemplate']);
+            return result.selectedTemplate || '';
+        } catch (error) {
+            console.error('StorageManager: Failed to get template:', error);
+            return '';
+        }
+    }
+
+    /**
+     * Save translation settings
+     * @param {Object} settings - Settings {enabled, targetLanguage, sourceLanguage}
+     * @returns {Promise<void>}
+     */
+    async saveTranslationSettings(settings) {
+        try {
+            await chrome.storage.sync.set({translation: settings});
+            console.log('StorageManager: Translation settings saved:', settings);
+        } catch (error) {
+            console.error('StorageManager: Failed to save translation settings:', error);
+            throw new Error('Failed to save translation settings');
+        }
+    }
+
+    /**
+     * Get translation settings
+     * @returns {Promise<Object>} Settings {enabled, targetLanguage, sourceLanguage}, source 'auto' detects it
+     */
+    async getTranslationSettings() {
+        const defaults = {enabled: false, targetLanguage: 'English', sourceLanguage: 'auto'};
+
+        try {
+            const result = await chrome.storage.sync.get(['translation']);
+            return {...defaults, ...result.translation};
+        } catch (error) {
+            console.error('StorageManager: Failed to get translation settings:', error);
+            return defaults;
+        }
+    }
+
+    /**
+     * Save image preprocessing settings
+     * @param {Object} settings - Settings with a boolean per step (upscale, grayscale, invert, contrast, deskew, threshold)
+     * @returns {Promise<void>}
+     */
+    async savePreprocessingSettings(settings) {
+        try {
+            await chrome.storage.sync.set({preprocessing: settings});
+            console.log('StorageManager: Preprocessing settings saved:', settings);
+        } catch (error) {
+            console.error('StorageManager: Failed to save preprocessing settings:', error);
+            throw new Error('Failed to save preprocessing settings');
+        }
+    }
+
+    /**
+     * Get image preprocessing settings
+     * @returns {Promise<Object|null>} Settings, null when never saved (ImagePreprocessor fills in the defaults)
+     */
+    async getPreprocessingSettings() {
+        try {
+            const result = await chrome.storage.sync.get(['preprocessing']);
+            return result.preprocessing || null;
+        } catch (error) {
+            console.error('StorageManager: Failed to get preprocessing settings:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save the size budget for images sent to OCR
+     * @param {Object} budget - Limits {maxDimension, maxBytes}, 0 turns a limit off
+     * @returns {Promise<void>}
+     */
+    async saveSizeBudget(budget) {
+        try {
+            await chrome.storage.sync.set({sizeBudget: budget});
+            console.log('StorageManager: Size budget saved:', budget);
+        } catch (error) {
+            console.error('StorageManager: Failed to save size budget:', error);
+            throw new Error('Failed to save size budget');
+        }
+    }
+
+    /**
+     * Get the size budget for images sent to OCR
+     * @returns {Promise<Object|null>} Budget, null when never saved (ImageCropper fills in the defaults)
+     */
+    async getSizeBudget() {
+        try {
+            const result = await chrome.storage.sync.get(['sizeBudget']);
+            return result.sizeBudget || null;
+        } catch (error) {
+            console.error('StorageManager: Failed to get size budget:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save the monthly usage budget
+     * @param {Object} budget - Budget {monthlyLimit, action}, limit in USD (0 = no budget), action 'warn' or 'block'
+     * @returns {Promise<void>}
+     */
+    async saveUsageBudget(budget) {
+        try {
+            await chrome.storage.sync.set({usageBudget: budget});
+            console.log('StorageManager: Usage budget saved:', budget);
+        } catch (error) {
+            console.error('StorageManager: Failed to save usage budget:', error);
+            throw new Error('Failed to save usage budget');
+        }
+    }
+
+    /**
+     * Get the monthly usage budget
+     * @returns {Promise<Object>} Budget {monthlyLimit, action}
+     */
+    async getUsageBudget() {
+        const defaults = {monthlyLimit: 0, action: 'warn'};
+
+        try {
+            const result = await chrome.storage.sync.get(['usageBudget']);
+            return {...defaults, ...result.usageBudget};
+        } catch (error) {
+            console.error('StorageManager: Failed to get usage budget:', error);
+            return defaults;
+        }
+    }
+
+    /**
+     * Save retry settings
+     * @param {Object} settings - Settings {maxRetries, baseDelay}
+     * @returns {Promise<void>}
+     */
+    async saveRetrySettings(settings) {
+        try {
+            await chrome.storage.sync.set({retrySettings: settings});
+            console.log('StorageManager: Retry settings saved:', settings);
+        } catch (error) {
+            console.error('StorageManager: Failed to save retry settings:', error);
+            throw new Error('Failed to save retry settings');
+        }
+    }
+
+    /**
+     * Get retry settings
+     * @returns {Promise<Object>} Settings {maxRetries, baseDelay}, baseDelay in ms
+     */
+    async getRetrySettings() {
+        const defaults = {maxRetries: 2, baseDelay: 1000};
+
+        try {
+            const result = await chrome.storage.sync.get(['retrySettings']);
+            return {...defaults, ...result.retrySettings};
+        } catch (error) {
+            console.error('StorageManager: Failed to get retry settings:', error);
+            return defaults;
+        }
+    }
+
+    /**
+     * Save the models tried, in order, when the selected model fails
+     * @param {Array<Object>} models - Models {model, providerId}
+     * @returns {Promise<void>}
+     */
+    async saveFallbackModels(models) {
+        try {
+            await chrome.storage.sync.set({fallbackModels: models});
+            console.log('StorageManager: Fallback models saved:', models.length);
+        } catch (error) {
+            console.error('StorageManager: Failed to save fallback models:', error);
+            throw new Error('Failed to save fallback models');
+        }
+    }
+
+    /**
+     * Get the models tried, in order, when the selected model fails
+     * @returns {Promise<Array<Object>>} Models {model, providerId}
+     */
+    async getFallbackModels() {
+        try {
+            const result = await chrome.storage.sync.get(['fallbackModels']);
+            return result.fallbackModels || [];
+        } catch (error) {
+            console.error('StorageManager: Failed to get fallback models:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the API key for a provider; OpenRouter's is stored on its own, others keep theirs
+     * @param {Object} provider - Provider
+     * @returns {Promise<string>} API key
+     */
+    async getProviderAPIKey(provider) {
+        return provider.id === 'openrouter'
+            ? await this.getAPIKey()
+            : provider.apiKey || '';
+    }
+
+    /**
+     * Build the ordered list of models to try, the chosen one first
+     * @param {ProviderRegistry} providers - Registry with custom providers loaded
+     * @param {Object} primary - Chosen model {provider, model, apiKey}
+     * @returns {Promise<Array<Object>>} Candidates {provider, model, apiKey}
+     */
+    async getModelChain(providers, primary) {
+        const chain = [primary];
+
+        for (const entry of await this.getFallbackModels()) {
+            // Providers or models removed since the chain was saved are skipped
+            const provider = providers.getProvider(entry.providerId);
+            if (!provider || !provider.models.some(model => model.value === entry.model)) {
+                continue;
+            }
+            if (chain.some(candidate => candidate.model === entry.model && candidate.provider.id === provider.id)) {
+                continue;
+            }
+
+            chain.push({provider, model: entry.model, apiKey: await this.getProviderAPIKey(provider)});
+        }
+
+        return chain;
+    }
+
+    /**
+     * Resolve the provider, model, API key, output mode, prompt template, translation, retries and budget chosen in the popup
+     * @param {ProviderRegistry} providers - Registry with custom providers loaded
+     * @param {Object} selection - Overrides for the saved choice {providerId, model, outputMode} (optional)
+     * @returns {Promise<Object>} OCR settings {provider, model, apiKey, outputMode, templateId, translation, retry, chain, budget}
+     */
+    async getOCRSettings(providers, selection = {}) {
+        const [providerId, model, outputMode, templateId, translation, retry, budget] = await Promise.all([
+            selection.providerId || this.getSelectedProvider(),
+            selection.model || this.getSelectedModel(),
+            selection.outputMode || this.getOutputMode(),
+            this.getSelectedTemplate(),
+            this.getTranslationSettings(),
+            this.getRetrySettings(),
+            this.getUsageBudget()
+        ]);
+
+        // Settings saved before providers existed only know the model
+        const provider = providers.getProvider(providerId) ||
+            providers.findProviderForModel(model) ||
+            providers.getDefaultProvider();
+        const apiKey = await this.getProviderAPIKey(provider);
+        const chain = await this.getModelChain(providers, {provider, model, apiKey});
+
+        return {provider, model, apiKey, outputMode, templateId, translation, retry, chain, budget};
+    }
+
     /**
      * Save screenshot
      * @param {string} imageData - Base64 image data
+     * @param {number|null} historyId - History entry of the screenshot
      * @returns {Promise<void>}
      */
-    async saveScreenshot(imageData) {
+    async saveScreenshot(imageData, historyId = null) {
         try {
             const timestamp = Date.now();
             await chrome.storage.local.set({
                 latestScreenshot: imageData,
-                screenshotTimestamp: timestamp
+                screenshotTimestamp: timestamp,
+                latestHistoryId: historyId
             });
             console.log('StorageManager: Screenshot saved');
         } catch (error) {
@@ -142,7 +680,7 @@ class StorageManager {
      */
     async getLatestScreenshot() {
         try {
-            const result = await chrome.storage.local.get(['latestScreenshot', 'screenshotTimestamp']);
+            const result = await chrome.storage.local.get(this.localKeys);
             
             if (!result.latestScreenshot || !result.screenshotTimestamp) {
                 return null;
@@ -161,6 +699,7 @@ class StorageManager {
             return {
                 imageData: result.latestScreenshot,
                 timestamp: result.screenshotTimestamp,
+                historyId: result.latestHistoryId || null,
                 ageMs: age
             };
         } catch (error) {
@@ -175,7 +714,7 @@ class StorageManager {
      */
     async clearScreenshot() {
         try {
-            await chrome.storage.local.remove(['latestScreenshot', 'screenshotTimestamp']);
+            await chrome.storage.local.remove(this.localKeys);
             console.log('StorageManager: Screenshot cleared');
         } catch (error) {
             console.error('StorageManager: Failed to clear screenshot:', error);
@@ -183,6 +722,39 @@ class StorageManager {
         }
     }
 
+    /**
+     * Cache the model catalog of a provider
+     * Catalogs are large and device independent, so they live in local storage
+     * @param {string} providerId - Provider id
+     * @param {Array<Object>} models - Models
+     * @returns {Promise<void>}
+     */
+    async saveModelCatalog(providerId, models) {
+        try {
+            const {modelCatalog = {}} = await chrome.storage.local.get(['modelCatalog']);
+            modelCatalog[providerId] = {models, timestamp: Date.now()};
+            await chrome.storage.local.set({modelCatalog});
+        } catch (error) {
+            console.error('StorageManager: Failed to save model catalog:', error);
+            throw new Error('Failed to save model catalog');
+        }
+    }
+
+    /**
+     * Get the cached model catalog of a provider
+     * @param {string} providerId - Provider id
+     * @returns {Promise<Object|null>} Catalog {models, timestamp}, null when never fetched
+     */
+    async getModelCatalog(providerId) {
+        try {
+            const {modelCatalog = {}} = await chrome.storage.local.get(['modelCatalog']);
+            return modelCatalog[providerId] || null;
+        } catch (error) {
+            console.error('StorageManager: Failed to get model catalog:', error);
+            return null;
+        }
+    }
+
     /**
      * Get all settings
      * @returns {Promise<Object>} All settings
@@ -191,9 +763,13 @@ class StorageManager {
         try {
             const syncData = await chrome.storage.sync.get(this.syncKeys);
             const localData = await chrome.storage.local.get(this.localKeys);
+            const promptTemplates = await this.getPromptTemplates();
+            const customProviders = await this.getCustomProviders();
             
             return {
                 ...syncData,
+                ...(promptTemplates && {promptTemplates}),
+                ...(customProviders.length > 0 && {customProviders}),
                 ...localData
             };
         } catch (error) {
@@ -258,6 +834,7 @@ class StorageManager {
             // Remove screenshot data from export (too large)
             delete settings.latestScreenshot;
             delete settings.screenshotTimestamp;
+            delete settings.latestHistoryId;
             
             return {
                 exportDate: new Date().toISOString(),
@@ -291,6 +868,18 @@ class StorageManager {
                 }
             });
 
+            // Templates are split into their own items
+            if (filteredSettings.promptTemplates) {
+                await this.savePromptTemplates(filteredSettings.promptTemplates);
+                delete filteredSettings.promptTemplates;
+            }
+
+            // So are providers, whose API keys go to local storage
+            if (filteredSettings.customProviders) {
+                await this.saveCustomProviders(filteredSettings.customProviders);
+                delete filteredSettings.customProviders;
+            }
+
             if (Object.keys(filteredSettings).length > 0) {
                 await chrome.storage.sync.set(filteredSettings);
                 console.log('StorageManager: Settings imported:', filteredSettings);
@@ -12,6 +12,8 @@ class UIManager {
             isProcessing: false
         };
         this.callbacks = {};
+        this.editingProviderId = null;
+        this.editingTemplateId = null;
     }
 
     /**
@@ -31,11 +33,55 @@ class UIManager {
         this.elements = {
             captureBtn: document.getElementById('captureBtn'),
             captureFullBtn: document.getElementById('captureFullBtn'),
+            captureOcrBtn: document.getElementById('captureOcrBtn'),
             ocrBtn: document.getElementById('ocrBtn'),
+            annotateBtn: document.getElementById('annotateBtn'),
+            cancelOcrBtn: document.getElementById('cancelOcrBtn'),
+            historyBtn: document.getElementById('historyBtn'),
+            usageBtn: document.getElementById('usageBtn'),
             apiKeyInput: document.getElementById('apiKey'),
+            providerSelect: document.getElementById('providerSelect'),
             modelSelect: document.getElementById('modelSelect'),
+            outputModeSelect: document.getElementById('outputModeSelect'),
+            templateSelect: document.getElementById('templateSelect'),
+            translateToggle: document.getElementById('translateToggle'),
+            sourceLanguage: document.getElementById('sourceLanguage'),
+            targetLanguage: document.getElementById('targetLanguage'),
+            templateName: document.getElementById('templateName'),
+            templatePrompt: document.getElementById('templatePrompt'),
+            saveTemplateBtn: document.getElementById('saveTemplateBtn'),
+            newTemplateBtn: document.getElementById('newTemplateBtn'),
+            deleteTemplateBtn: document.getElementById('deleteTemplateBtn'),
+            moveTemplateUpBtn: document.getElementById('moveTemplateUpBtn'),
+            moveTemplateDownBtn: document.getElementById('moveTemplateDownBtn'),
+            maxRetries: document.getElementById('maxRetries'),
+            fallbackModels: document.getElementById('fallbackModels'),
+            saveRetryBtn: document.getElementById('saveRetryBtn'),
+            preprocessSteps: document.getElementById('preprocessSteps'),
+            previewPreprocessBtn: document.getElementById('previewPreprocessBtn'),
+            preprocessPreview: document.getElementById('preprocessPreview'),
+            previewBefore: document.getElementById('previewBefore'),
+            previewAfter: document.getElementById('previewAfter'),
+            previewInfo: document.getElementById('previewInfo'),
+            maxDimension: document.getElementById('maxDimension'),
+            maxKilobytes: document.getElementById('maxKilobytes'),
+            providerName: document.getElementById('providerName'),
+            providerBaseURL: document.getElementById('providerBaseURL'),
+            providerAuthScheme: document.getElementById('providerAuthScheme'),
+            providerAuthHeader: document.getElementById('providerAuthHeader'),
+            providerHeaders: document.getElementById('providerHeaders'),
+            providerModels: document.getElementById('providerModels'),
+            providerStreamUsage: document.getElementById('providerStreamUsage'),
+            saveProviderBtn: document.getElementById('saveProviderBtn'),
+            newProviderBtn: document.getElementById('newProviderBtn'),
+            deleteProviderBtn: document.getElementById('deleteProviderBtn'),
             resultDiv: document.getElementById('result'),
             resultText: document.getElementById('resultText'),
+            resultDetails: document.getElementById('resultDetails'),
+            copyFormats: document.getElementById('copyFormats'),
+            translationResult: document.getElementById('translationResult'),
+            translationLabel: document.getElementById('translationLabel'),
+            translationText: document.getElementById('translationText'),
             loading: document.getElementById('loading')
         };
 
@@ -60,6 +106,14 @@ class UIManager {
             });
         }
 
+        // One-shot area capture + OCR button
+        if (this.elements.captureOcrBtn) {
+            this.elements.captureOcrBtn.addEventListener('click', () => {
+                console.log('UIManager: Area capture + OCR button clicked');
+                this.emit('areaCaptureOCR');
+            });
+        }
+
         // Full page capture button
         if (this.elements.captureFullBtn) {
             this.elements.captureFullBtn.addEventListener('click', () => {
@@ -80,6 +134,38 @@ class UIManager {
             });
         }
 
+        // Cancel a running OCR request
+        if (this.elements.cancelOcrBtn) {
+            this.elements.cancelOcrBtn.addEventListener('click', () => {
+                console.log('UIManager: Cancel OCR button clicked');
+                this.emit('cancelOCR');
+            });
+        }
+
+        // Annotate button
+        if (this.elements.annotateBtn) {
+            this.elements.annotateBtn.addEventListener('click', () => {
+                console.log('UIManager: Annotate button clicked');
+                this.emit('annotate');
+            });
+        }
+
+        // History button
+        if (this.elements.historyBtn) {
+            this.elements.historyBtn.addEventListener('click', () => {
+                console.log('UIManager: History button clicked');
+                this.emit('openHistory');
+            });
+        }
+
+        // Usage button
+        if (this.elements.usageBtn) {
+            this.elements.usageBtn.addEventListener('click', () => {
+                console.log('UIManager: Usage button clicked');
+                this.emit('openUsage');
+            });
+        }
+
         // API key change
         if (this.elements.apiKeyInput) {
             this.elements.apiKeyInput.addEventListener('change', () => {
@@ -95,6 +181,117 @@ class UIManager {
                 this.emit('modelChange', this.getSelectedModel());
             });
         }
+
+        // Output mode change
+        if (this.elements.outputModeSelect) {
+            this.elements.outputModeSelect.addEventListener('change', () => {
+                console.log('UIManager: Output mode changed');
+                this.emit('outputModeChange', this.getOutputMode());
+            });
+        }
+
+        // Translation settings change
+        ['translateToggle', 'sourceLanguage', 'targetLanguage'].forEach(name => {
+            if (this.elements[name]) {
+                this.elements[name].addEventListener('change', () => {
+                    console.log('UIManager: Translation settings changed');
+                    this.emit('translationChange', this.getTranslationSettings());
+                });
+            }
+        });
+
+        // Prompt template selection change
+        if (this.elements.templateSelect) {
+            this.elements.templateSelect.addEventListener('change', () => {
+                console.log('UIManager: Prompt template changed');
+                this.emit('templateChange', this.getSelectedTemplate());
+            });
+        }
+
+        // Prompt template editor buttons
+        if (this.elements.saveTemplateBtn) {
+            this.elements.saveTemplateBtn.addEventListener('click', () => {
+                console.log('UIManager: Save template clicked');
+                this.emit('templateSave', this.getTemplateForm());
+            });
+        }
+
+        if (this.elements.newTemplateBtn) {
+            this.elements.newTemplateBtn.addEventListener('click', () => {
+                this.showTemplateForm(null);
+            });
+        }
+
+        if (this.elements.deleteTemplateBtn) {
+            this.elements.deleteTemplateBtn.addEventListener('click', () => {
+                console.log('UIManager: Delete template clicked');
+                this.emit('templateDelete', this.editingTemplateId);
+            });
+        }
+
+        [['moveTemplateUpBtn', -1], ['moveTemplateDownBtn', 1]].forEach(([name, offset]) => {
+            if (this.elements[name]) {
+                this.elements[name].addEventListener('click', () => {
+                    console.log('UIManager: Move template clicked');
+                    this.emit('templateMove', {id: this.editingTemplateId, offset});
+                });
+            }
+        });
+
+        // Preprocessing preview (the step checkboxes are wired up in populatePreprocessingSteps)
+        if (this.elements.previewPreprocessBtn) {
+            this.elements.previewPreprocessBtn.addEventListener('click', () => {
+                console.log('UIManager: Preprocessing preview clicked');
+                this.emit('preprocessPreview', this.getPreprocessingSettings());
+            });
+        }
+
+        // Size budget, saved as soon as a limit changes
+        [this.elements.maxDimension, this.elements.maxKilobytes].forEach(input => {
+            if (input) {
+                input.addEventListener('change', () => {
+                    console.log('UIManager: Size budget changed');
+                    this.emit('sizeBudgetChange', this.getSizeBudget());
+                });
+            }
+        });
+
+        // Retry and fallback settings
+        if (this.elements.saveRetryBtn) {
+            this.elements.saveRetryBtn.addEventListener('click', () => {
+                console.log('UIManager: Save retry settings clicked');
+                this.emit('retrySave', this.getRetryForm());
+            });
+        }
+
+        // Provider selection change
+        if (this.elements.providerSelect) {
+            this.elements.providerSelect.addEventListener('change', () => {
+                console.log('UIManager: Provider changed');
+                this.emit('providerChange', this.getSelectedProvider());
+            });
+        }
+
+        // Provider editor buttons
+        if (this.elements.saveProviderBtn) {
+            this.elements.saveProviderBtn.addEventListener('click', () => {
+                console.log('UIManager: Save provider clicked');
+                this.emit('providerSave', this.getProviderForm());
+            });
+        }
+
+        if (this.elements.newProviderBtn) {
+            this.elements.newProviderBtn.addEventListener('click', () => {
+                this.showProviderForm(null);
+            });
+        }
+
+        if (this.elements.deleteProviderBtn) {
+            this.elements.deleteProviderBtn.addEventListener('click', () => {
+                console.log('UIManager: Delete provider clicked');
+                this.emit('providerDelete', this.editingProviderId);
+            });
+        }
     }
 
     /**
@@ -153,7 +350,7 @@ class UIManager {
         const model = this.getSelectedModel();
 
         if (!apiKey) {
-            this.showError('Please enter your OpenRouter API key');
+            this.showError('Please enter your API key');
             return;
         }
 
@@ -222,28 +419,109 @@ class UIManager {
             }
         }
 
+        // The annotation editor opens on the current screenshot
+        if (this.elements.annotateBtn) {
+            this.elements.annotateBtn.disabled = this.state.isProcessing;
+            this.elements.annotateBtn.classList.toggle('hidden', !this.state.hasScreenshot);
+        }
+
         // Update loading indicator
         if (this.elements.loading) {
             if (this.state.isProcessing) {
                 this.elements.loading.classList.remove('hidden');
             } else {
                 this.elements.loading.classList.add('hidden');
+                this.elements.loading.textContent = 'Processing...';
             }
         }
+
+        if (this.elements.cancelOcrBtn) {
+            this.elements.cancelOcrBtn.classList.toggle('hidden', !this.state.isProcessing);
+        }
     }
 
     /**
      * Show result text
      * @param {string} text - Text to display
+     * @param {Array<Object>} formats - Copy formats of the output mode {id, label, text} (optional)
+     * @param {string} details - Extra information such as the detected language (optional)
      */
-    showResult(text) {
+    showResult(text, formats = [], details = '') {
         if (this.elements.resultText && this.elements.resultDiv) {
             this.elements.resultText.textContent = text;
-            this.elements.resultDiv.classList.remove('hidden');
+            this.elements.resultDiv.className = '';
         }
+        if (this.elements.resultDetails) {
+            this.elements.resultDetails.textContent = details;
+            this.elements.resultDetails.classList.toggle('hidden', !details);
+        }
+        this.showCopyFormats(formats);
+        this.showTranslation(null);
         this.setState({isProcessing: false});
     }
 
+    /**
+     * Show what a running OCR request is doing (e.g. waiting to retry)
+     * @param {string} message - Progress message
+     */
+    setProgress(message) {
+        if (this.elements.loading) {
+            this.elements.loading.textContent = message;
+        }
+    }
+
+    /**
+     * Show the text received so far while the OCR answer is streaming in
+     * @param {string} text - Partial text
+     */
+    showPartialResult(text) {
+        if (this.elements.resultText && this.elements.resultDiv) {
+            this.elements.resultText.textContent = text;
+            this.elements.resultDiv.className = '';
+        }
+        if (this.elements.resultDetails) {
+            this.elements.resultDetails.classList.add('hidden');
+        }
+        this.showCopyFormats([]);
+        this.showTranslation(null);
+    }
+
+    /**
+     * Show the translation below the result, or hide it
+     * @param {Object|null} translation - Translation {text, sourceLanguage, targetLanguage}
+     */
+    showTranslation(translation) {
+        if (!this.elements.translationResult) return;
+
+        this.elements.translationResult.classList.toggle('hidden', !translation);
+        if (translation) {
+            const from = translation.sourceLanguage ? `${translation.sourceLanguage} → ` : '';
+            this.elements.translationLabel.textContent = `Translation (${from}${translation.targetLanguage})`;
+            this.elements.translationText.textContent = translation.text;
+        }
+    }
+
+    /**
+     * Show a copy button for each format of the result
+     * @param {Array<Object>} formats - Formats {id, label, text}
+     */
+    showCopyFormats(formats) {
+        const container = this.elements.copyFormats;
+        if (!container) return;
+
+        container.innerHTML = '';
+        formats.forEach(format => {
+            const button = document.createElement('button');
+            button.className = 'button secondary';
+            button.textContent = format.label;
+            button.addEventListener('click', () => {
+                console.log('UIManager: Copy format clicked:', format.id);
+                this.emit('copyFormat', format);
+            });
+            container.appendChild(button);
+        });
+    }
+
     /**
      * Show error message
      * @param {string} message - Error message
@@ -279,21 +557,26 @@ class UIManager {
      * @param {string} type - Message type (error, success, info)
      */
     showInResultDiv(message, type = 'info') {
-        if (!this.elements.result || !this.elements.resultText) return;
+        if (!this.elements.resultDiv || !this.elements.resultText) return;
         
         // Set text and style based on type
         this.elements.resultText.textContent = message;
-        this.elements.result.className = type === 'error' ? 'error' : 
+        this.showCopyFormats([]);
+        this.showTranslation(null);
+        if (this.elements.resultDetails) {
+            this.elements.resultDetails.classList.add('hidden');
+        }
+        this.elements.resultDiv.className = type === 'error' ? 'error' : 
                                         type === 'success' ? 'success' : '';
         
         // Show the result div
-        this.elements.result.classList.remove('hidden');
+        this.elements.resultDiv.classList.remove('hidden');
         
         // Auto-hide info messages after 5 seconds
         if (type === 'info') {
             setTimeout(() => {
                 if (this.elements.resultText.textContent === message) {
-                    this.elements.result.classList.add('hidden');
+                    this.elements.resultDiv.classList.add('hidden');
                 }
             }, 5000);
         }
@@ -382,9 +665,283 @@ class UIManager {
         }
     }
 
+    /**
+     * Get selected output mode
+     * @returns {string} Output mode
+     */
+    getOutputMode() {
+        return this.elements.outputModeSelect ? this.elements.outputModeSelect.value : 'plain';
+    }
+
+    /**
+     * Set selected output mode
+     * @param {string} mode - Output mode to select
+     */
+    setOutputMode(mode) {
+        if (this.elements.outputModeSelect && mode) {
+            this.elements.outputModeSelect.value = mode;
+        }
+    }
+
+    /**
+     * Populate output mode dropdown
+     * @param {Array} modes - Array of mode objects {value, label}
+     */
+    populateOutputModes(modes) {
+        if (!this.elements.outputModeSelect) return;
+
+        this.elements.outputModeSelect.innerHTML = '';
+        modes.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.value;
+            option.textContent = mode.label;
+            this.elements.outputModeSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Populate the translation language dropdowns, detection first for the source
+     * @param {Array<string>} languages - Language names
+     */
+    populateLanguages(languages) {
+        const fill = (select, options) => {
+            select.innerHTML = '';
+            options.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        };
+        const entries = languages.map(language => [language, language]);
+
+        if (this.elements.sourceLanguage) {
+            fill(this.elements.sourceLanguage, [['auto', 'Detect language'], ...entries]);
+        }
+        if (this.elements.targetLanguage) {
+            fill(this.elements.targetLanguage, entries);
+        }
+    }
+
+    /**
+     * Show a checkbox for each image preprocessing step
+     * @param {Array<Object>} steps - Steps {id, label}
+     */
+    populatePreprocessingSteps(steps) {
+        const container = this.elements.preprocessSteps;
+        if (!container) return;
+
+        container.innerHTML = '';
+        steps.forEach(step => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = step.id;
+            checkbox.addEventListener('change', () => {
+                console.log('UIManager: Preprocessing step changed:', step.id);
+                this.emit('preprocessingChange', this.getPreprocessingSettings());
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${step.label}`));
+            container.appendChild(label);
+        });
+    }
+
+    /**
+     * Get image preprocessing settings
+     * @returns {Object} Settings with a boolean per step
+     */
+    getPreprocessingSettings() {
+        const settings = {};
+        if (this.elements.preprocessSteps) {
+            this.elements.preprocessSteps.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                settings[checkbox.value] = checkbox.checked;
+            });
+        }
+        return settings;
+    }
+
+    /**
+     * Set image preprocessing settings
+     * @param {Object} settings - Settings with a boolean per step
+     */
+    setPreprocessingSettings(settings) {
+        if (!this.elements.preprocessSteps) return;
+
+        this.elements.preprocessSteps.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = !!settings[checkbox.value];
+        });
+    }
+
+    /**
+     * Get the size budget for images sent to OCR
+     * @returns {Object} Budget {maxDimension, maxBytes}, 0 means no limit
+     */
+    getSizeBudget() {
+        const read = (input) => {
+            const value = input ? parseInt(input.value, 10) : NaN;
+            return isNaN(value) ? 0 : Math.max(value, 0);
+        };
+
+        return {
+            maxDimension: read(this.elements.maxDimension),
+            maxBytes: read(this.elements.maxKilobytes) * 1024
+        };
+    }
+
+    /**
+     * Set the size budget for images sent to OCR
+     * @param {Object} budget - Budget {maxDimension, maxBytes}
+     */
+    setSizeBudget(budget) {
+        if (this.elements.maxDimension) {
+            this.elements.maxDimension.value = budget.maxDimension;
+        }
+        if (this.elements.maxKilobytes) {
+            this.elements.maxKilobytes.value = Math.round(budget.maxBytes / 1024);
+        }
+    }
+
+    /**
+     * Show the screenshot before and after preprocessing
+     * @param {string} before - Original image
+     * @param {string} after - Preprocessed image
+     * @param {string} info - Applied steps and size
+     */
+    showPreprocessPreview(before, after, info) {
+        if (!this.elements.preprocessPreview) return;
+
+        this.elements.previewBefore.src = before;
+        this.elements.previewAfter.src = after;
+        this.elements.previewInfo.textContent = info;
+        this.elements.preprocessPreview.classList.remove('hidden');
+    }
+
+    /**
+     * Get translation settings
+     * @returns {Object} Settings {enabled, targetLanguage, sourceLanguage}
+     */
+    getTranslationSettings() {
+        return {
+            enabled: this.elements.translateToggle ? this.elements.translateToggle.checked : false,
+            targetLanguage: this.elements.targetLanguage ? this.elements.targetLanguage.value : 'English',
+            sourceLanguage: this.elements.sourceLanguage ? this.elements.sourceLanguage.value : 'auto'
+        };
+    }
+
+    /**
+     * Set translation settings
+     * @param {Object} settings - Settings {enabled, targetLanguage, sourceLanguage}
+     */
+    setTranslationSettings(settings) {
+        if (this.elements.translateToggle) {
+            this.elements.translateToggle.checked = !!settings.enabled;
+        }
+        if (this.elements.targetLanguage && settings.targetLanguage) {
+            this.elements.targetLanguage.value = settings.targetLanguage;
+        }
+        if (this.elements.sourceLanguage && settings.sourceLanguage) {
+            this.elements.sourceLanguage.value = settings.sourceLanguage;
+        }
+    }
+
+    /**
+     * Populate prompt template dropdown, keeping the default prompt first
+     * @param {Array} templates - Array of template objects {id, name}
+     */
+    populateTemplates(templates) {
+        if (!this.elements.templateSelect) return;
+
+        this.elements.templateSelect.innerHTML = '';
+        [{id: '', name: 'Default for output mode'}, ...templates].forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            this.elements.templateSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Get selected prompt template id
+     * @returns {string} Template id, empty for the output mode's prompt
+     */
+    getSelectedTemplate() {
+        return this.elements.templateSelect ? this.elements.templateSelect.value : '';
+    }
+
+    /**
+     * Set selected prompt template
+     * @param {string} templateId - Template id to select
+     */
+    setSelectedTemplate(templateId) {
+        if (this.elements.templateSelect) {
+            this.elements.templateSelect.value = templateId || '';
+        }
+    }
+
+    /**
+     * Fill the template editor; a missing template starts a new one
+     * @param {Object|null} template - Template to edit
+     */
+    showTemplateForm(template) {
+        this.editingTemplateId = template ? template.id : null;
+
+        if (this.elements.templateName) {
+            this.elements.templateName.value = template ? template.name : '';
+        }
+        if (this.elements.templatePrompt) {
+            this.elements.templatePrompt.value = template ? template.prompt : '';
+        }
+
+        ['deleteTemplateBtn', 'moveTemplateUpBtn', 'moveTemplateDownBtn'].forEach(name => {
+            if (this.elements[name]) {
+                this.elements[name].disabled = !template;
+            }
+        });
+    }
+
+    /**
+     * Read the template editor
+     * @returns {Object} Template {id, name, prompt}
+     */
+    getTemplateForm() {
+        return {
+            id: this.editingTemplateId,
+            name: this.elements.templateName ? this.elements.templateName.value.trim() : '',
+            prompt: this.elements.templatePrompt ? this.elements.templatePrompt.value.trim() : ''
+        };
+    }
+
+    /**
+     * Fill the retry and fallback settings
+     * @param {Object} settings - Settings {maxRetries, models}, models are model ids in order
+     */
+    showRetryForm(settings) {
+        if (this.elements.maxRetries) {
+            this.elements.maxRetries.value = settings.maxRetries;
+        }
+        if (this.elements.fallbackModels) {
+            this.elements.fallbackModels.value = settings.models.join('\n');
+        }
+    }
+
+    /**
+     * Read the retry and fallback settings
+     * @returns {Object} Settings {maxRetries, models}
+     */
+    getRetryForm() {
+        const maxRetries = this.elements.maxRetries ? parseInt(this.elements.maxRetries.value, 10) : NaN;
+        const models = this.elements.fallbackModels
+            ? this.elements.fallbackModels.value.split('\n').map(line => line.trim()).filter(Boolean)
+            : [];
+
+        return {maxRetries: isNaN(maxRetries) ? 0 : Math.min(Math.max(maxRetries, 0), 5), models};
+    }
+
     /**
      * Populate model dropdown
-     * @param {Array} models - Array of model objects
+     * @param {Array} models - Array of model objects, info describes pricing and context size (optional)
      */
     populateModels(models) {
         if (!this.elements.modelSelect) return;
@@ -393,11 +950,157 @@ class UIManager {
         models.forEach(model => {
             const option = document.createElement('option');
             option.value = model.value;
-            option.textContent = model.label + (model.recommended ? ' (Recommended)' : '');
+            option.textContent = model.label + (model.recommended ? ' (Recommended)' : '') +
+                (model.info ? ` · ${model.info}` : '');
+            option.title = model.value;
             this.elements.modelSelect.appendChild(option);
         });
     }
 
+    /**
+     * Populate provider dropdown
+     * @param {Array} providers - Array of provider objects
+     */
+    populateProviders(providers) {
+        if (!this.elements.providerSelect) return;
+
+        this.elements.providerSelect.innerHTML = '';
+        providers.forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.name;
+            this.elements.providerSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Get selected provider id
+     * @returns {string} Selected provider id
+     */
+    getSelectedProvider() {
+        return this.elements.providerSelect ? this.elements.providerSelect.value : 'openrouter';
+    }
+
+    /**
+     * Set selected provider
+     * @param {string} providerId - Provider id to select
+     */
+    setSelectedProvider(providerId) {
+        if (this.elements.providerSelect && providerId) {
+            this.elements.providerSelect.value = providerId;
+        }
+    }
+
+    /**
+     * Enable or disable the API key input for the current provider
+     * @param {boolean} required - Whether the provider needs an API key
+     */
+    setAPIKeyRequired(required) {
+        if (this.elements.apiKeyInput) {
+            this.elements.apiKeyInput.disabled = !required;
+            this.elements.apiKeyInput.placeholder = required
+                ? 'Enter your API key'
+                : 'Not needed for this provider';
+        }
+    }
+
+    /**
+     * Fill the provider editor; built-in or missing providers start a new entry
+     * @param {Object|null} provider - Provider to edit
+     */
+    showProviderForm(provider) {
+        const editable = provider && !provider.builtIn ? provider : null;
+        this.editingProviderId = editable ? editable.id : null;
+
+        const fields = {
+            providerName: editable ? editable.name : '',
+            providerBaseURL: editable ? editable.baseURL : '',
+            providerAuthScheme: editable ? editable.authScheme : 'bearer',
+            providerAuthHeader: editable ? editable.authHeader : '',
+            providerHeaders: editable ? this.formatHeaders(editable.headers) : '',
+            providerModels: editable ? this.formatModels(editable.models) : ''
+        };
+
+        Object.entries(fields).forEach(([name, value]) => {
+            if (this.elements[name]) {
+                this.elements[name].value = value;
+            }
+        });
+
+        if (this.elements.providerStreamUsage) {
+            this.elements.providerStreamUsage.checked = editable ? !!editable.streamUsage : false;
+        }
+
+        if (this.elements.deleteProviderBtn) {
+            this.elements.deleteProviderBtn.disabled = !editable;
+        }
+    }
+
+    /**
+     * Read the provider editor
+     * @returns {Object} Provider settings
+     */
+    getProviderForm() {
+        const value = (name) => this.elements[name] ? this.elements[name].value.trim() : '';
+
+        return {
+            id: this.editingProviderId,
+            name: value('providerName'),
+            baseURL: value('providerBaseURL'),
+            authScheme: value('providerAuthScheme') || 'bearer',
+            authHeader: value('providerAuthHeader'),
+            headers: this.parseHeaders(value('providerHeaders')),
+            models: this.parseModels(value('providerModels')),
+            streamUsage: !!(this.elements.providerStreamUsage && this.elements.providerStreamUsage.checked)
+        };
+    }
+
+    /**
+     * Parse "Name: value" lines into a headers object
+     * @param {string} text - Header lines
+     * @returns {Object} Headers
+     */
+    parseHeaders(text) {
+        const headers = {};
+        text.split('\n').forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+            }
+        });
+        return headers;
+    }
+
+    /**
+     * Format a headers object as "Name: value" lines
+     * @param {Object} headers - Headers
+     * @returns {string} Header lines
+     */
+    formatHeaders(headers) {
+        return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+    }
+
+    /**
+     * Parse "model-id | Label" lines into model objects
+     * @param {string} text - Model lines
+     * @returns {Array} Array of model objects
+     */
+    parseModels(text) {
+        return text.split('\n')
+            .map(line => line.split('|').map(part => part.trim()))
+            .filter(([value]) => value)
+            .map(([value, label]) => ({value, label: label || value}));
+    }
+
+    /**
+     * Format model objects as "model-id | Label" lines
+     * @param {Array} models - Array of model objects
+     * @returns {string} Model lines
+     */
+    formatModels(models) {
+        return (models || []).map(model => `${model.value} | ${model.label}`).join('\n');
+    }
+
     /**
      * Set screenshot available state
      * @param {boolean} hasScreenshot - Whether screenshot is available
@@ -0,0 +1,271 @@
+/**
+ * Usage Store Module
+ * Records the tokens and cost of each API request in IndexedDB and checks them against a monthly budget
+ */
+
+class UsageStore {
+    constructor(indexedDBRef = null) {
+        // Allow dependency injection for testing
+        this.idb = indexedDBRef || indexedDB;
+
+        this.dbName = 'screenshot-ocr-usage';
+        this.dbVersion = 1;
+        this.storeName = 'requests';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database, creating the object store on first use
+     * @returns {Promise<IDBDatabase>} Database connection
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.idb.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(this.storeName, {keyPath: 'id', autoIncrement: true});
+                    store.createIndex('timestamp', 'timestamp');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    // Allow a retry after a failed open
+                    this.dbPromise = null;
+                    reject(new Error(`Failed to open usage database: ${request.error?.message}`));
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the object store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} createRequest - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} Request result once the transaction completes
+     */
+    async run(mode, createRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = createRequest(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(new Error(`Usage operation failed: ${transaction.error?.message}`));
+            transaction.onabort = () => reject(new Error(`Usage operation failed: ${transaction.error?.message}`));
+        });
+    }
+
+    /**
+     * Record the usage of a request
+     * @param {Object} usage - Usage {model, providerId, kind, promptTokens, completionTokens, totalTokens, cost, timestamp},
+     *                         kind is 'ocr' or 'translation', cost is null when the provider did not report it
+     * @returns {Promise<number>} Id of the new record
+     */
+    async addRecord(usage) {
+        if (!usage || !usage.model) {
+            throw new Error('Usage record requires a model');
+        }
+
+        const record = {
+            kind: 'ocr',
+            providerId: null,
+            promptTokens: 0,
+            completionTokens: 0,
+            totalTokens: 0,
+            cost: null,
+            timestamp: Date.now(),
+            ...usage
+        };
+        delete record.id;
+
+        const id = await this.run('readwrite', store => store.add(record));
+        console.log('UsageStore: Recorded', record.totalTokens, 'tokens for', record.model);
+        return id;
+    }
+
+    /**
+     * Get the records of a time range, oldest first
+     * @param {number} from - Start timestamp (inclusive)
+     * @param {number} to - End timestamp (exclusive)
+     * @returns {Promise<Array<Object>>} Records
+     */
+    async getRecords(from, to) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readonly');
+            const range = IDBKeyRange.bound(from, to, false, true);
+            const request = transaction.objectStore(this.storeName).index('timestamp').getAll(range);
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(new Error(`Failed to read usage: ${transaction.error?.message}`));
+        });
+    }
+
+    /**
+     * Get the start and end of the calendar month (local time) containing a date
+     * @param {Date} date - Any date in the month
+     * @returns {Object} Range {from, to} as timestamps, to is exclusive
+     */
+    getMonthRange(date = new Date()) {
+        return {
+            from: new Date(date.getFullYear(), date.getMonth(), 1).getTime(),
+            to: new Date(date.getFullYear(), date.getMonth() + 1, 1).getTime()
+        };
+    }
+
+    /**
+     * Get the records of a calendar month
+     * @param {Date} date - Any date in the month
+     * @returns {Promise<Array<Object>>} Records
+     */
+    getMonthRecords(date = new Date()) {
+        const {from, to} = this.getMonthRange(date);
+        return this.getRecords(from, to);
+    }
+
+    /**
+     * Add up records by day and by model
+     * @param {Array<Object>} records - Usage records
+     * @returns {Object} Summary {totals, days: [{day, ...totals, models}], models}, newest day and most expensive model first;
+     *                   totals are {requests, promptTokens, completionTokens, totalTokens, cost, unpriced}
+     */
+    summarize(records) {
+        const createTotals = () => ({requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpriced: 0});
+        const addTo = (totals, record) => {
+            totals.requests++;
+            totals.promptTokens += record.promptTokens;
+            totals.completionTokens += record.completionTokens;
+            totals.totalTokens += record.totalTokens;
+            if (typeof record.cost === 'number') {
+                totals.cost += record.cost;
+            } else {
+                // Counted so the dashboard can say the cost is incomplete
+                totals.unpriced++;
+            }
+        };
+        const byCost = (a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens;
+
+        const totals = createTotals();
+        const days = new Map();
+        const models = new Map();
+
+        records.forEach(record => {
+            const key = this.getDayKey(record.timestamp);
+            if (!days.has(key)) {
+                days.set(key, {day: key, ...createTotals(), models: new Map()});
+            }
+            const day = days.get(key);
+            if (!day.models.has(record.model)) {
+                day.models.set(record.model, {model: record.model, ...createTotals()});
+            }
+            if (!models.has(record.model)) {
+                models.set(record.model, {model: record.model, ...createTotals()});
+            }
+
+            addTo(totals, record);
+            addTo(day, record);
+            addTo(day.models.get(record.model), record);
+            addTo(models.get(record.model), record);
+        });
+
+        return {
+            totals,
+            days: [...days.values()]
+                .sort((a, b) => b.day.localeCompare(a.day))
+                .map(day => ({...day, models: [...day.models.values()].sort(byCost)})),
+            models: [...models.values()].sort(byCost)
+        };
+    }
+
+    /**
+     * Get the local calendar day of a timestamp
+     * @param {number} timestamp - Timestamp
+     * @returns {string} Day as YYYY-MM-DD
+     */
+    getDayKey(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Compare this month's spending with the monthly budget
+     * @param {Object} budget - Budget {monthlyLimit, action}, a limit of 0 means no budget
+     * @param {Date} date - Date in the month to check
+     * @returns {Promise<Object|null>} Status {limit, spent, exceeded, action}, null without a budget
+     */
+    async checkBudget(budget, date = new Date()) {
+        if (!budget || !(budget.monthlyLimit > 0)) {
+            return null;
+        }
+
+        const records = await this.getMonthRecords(date);
+        const spent = records.reduce((sum, record) => sum + (record.cost || 0), 0);
+
+        return {limit: budget.monthlyLimit, spent, exceeded: spent >= budget.monthlyLimit, action: budget.action};
+    }
+
+    /**
+     * Check the monthly budget before running OCR
+     * Local models cost nothing, so they run regardless of the budget
+     * @param {Object} budget - Budget {monthlyLimit, action}
+     * @param {Array<Object>} candidates - Models about to be tried {provider}
+     * @returns {Promise<Object>} {candidates: models that may run, warning: message to show, null when within budget}
+     * @throws {Error} When the budget is exceeded, set to block and no local model is left to try
+     */
+    async enforceBudget(budget, candidates = []) {
+        const local = candidates.filter(candidate => candidate.provider.type === 'local');
+        if (candidates.length > 0 && local.length === candidates.length) {
+            return {candidates, warning: null};
+        }
+
+        const status = await this.checkBudget(budget);
+        if (!status || !status.exceeded) {
+            return {candidates, warning: null};
+        }
+
+        const message = `Monthly budget of ${this.formatCost(status.limit)} reached (${this.formatCost(status.spent)} spent)`;
+        if (status.action !== 'block') {
+            return {candidates, warning: message};
+        }
+
+        if (local.length === 0) {
+            console.warn('UsageStore: Request blocked:', message);
+            throw new Error(`${message}. Raise the budget or use a local model.`);
+        }
+
+        // Paid models are skipped, the local ones in the chain still run
+        console.warn('UsageStore: Paid models skipped:', message);
+        return {candidates: local, warning: `${message}, only local models were used`};
+    }
+
+    /**
+     * Format a cost for display
+     * @param {number|null} cost - Cost in USD
+     * @returns {string} Cost (e.g. "$0.0123"), a dash when unknown
+     */
+    formatCost(cost) {
+        if (typeof cost !== 'number') {
+            return '—';
+        }
+
+        // Single requests often cost fractions of a cent
+        return `$${cost.toFixed(cost >= 1 ? 2 : 4)}`;
+    }
+
+    /**
+     * Delete all records
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.run('readwrite', store => store.clear());
+        console.log('UsageStore: Usage cleared');
+    }
+}
+
+// Export for use in other modules
+window.UsageStore = UsageStore;
\ No newline at end of file
@@ -0,0 +1,23 @@
+// Offscreen document running the local OCR engine on behalf of the service worker
+console.log('Offscreen document loaded');
+
+const localEngine = new LocalOCREngine();
+
+chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+    // Only handle messages meant for this document
+    if (request.target !== 'offscreen') {
+        return false;
+    }
+
+    if (request.action === 'recognize') {
+        localEngine.recognize(request.imageData)
+            .then(text => sendResponse({text}))
+            .catch(error => {
+                console.error('Local OCR failed:', error);
+                sendResponse({error: error.message});
+            });
+        return true;
+    }
+
+    return false;
+});
\ No newline at end of file
@@ -7,6 +7,7 @@ class ScreenshotOCRPopup {
     constructor() {
         this.modules = {};
         this.currentScreenshot = null;
+        this.currentHistoryId = null;
     }
 
     /**
@@ -40,21 +41,41 @@ class ScreenshotOCRPopup {
      * Initialize all modules
      */
     initializeModules() {
+        const providers = new ProviderRegistry();
+
         this.modules = {
             storage: new StorageManager(),
             clipboard: new ClipboardManager(),
-            ocr: new OCRService(),
+            providers: providers,
+            ocr: new OCRService(null, providers),
+            formatter: new OutputFormatter(),
+            templates: new PromptTemplates(),
+            preprocessor: new ImagePreprocessor(),
+            cropper: new ImageCropper(),
             screenshot: new ScreenshotCapture(),
+            history: new HistoryStore(),
+            usage: new UsageStore(),
+            catalog: new ModelCatalog(),
             ui: new UIManager()
         };
+        this.modules.pipeline = new OCRPipeline(this.modules.ocr, {
+            formatter: this.modules.formatter,
+            templates: this.modules.templates,
+            usage: this.modules.usage,
+            preprocessor: this.modules.preprocessor,
+            cropper: this.modules.cropper
+        });
 
         // Initialize modules that need setup
         this.modules.storage.initialize();
         this.modules.ui.initialize();
         
-        // Populate UI with supported models
-        const models = this.modules.ocr.getSupportedModels();
-        this.modules.ui.populateModels(models);
+        // Populate UI with built-in providers until custom ones are loaded
+        this.modules.ui.populateProviders(providers.getProviders());
+        this.modules.ui.populateModels(providers.getDefaultProvider().models);
+        this.modules.ui.populateOutputModes(this.modules.formatter.getModes());
+        this.modules.ui.populateLanguages(this.modules.ocr.translationLanguages);
+        this.modules.ui.populatePreprocessingSteps(this.modules.preprocessor.getSteps());
     }
 
     /**
@@ -63,14 +84,33 @@ class ScreenshotOCRPopup {
     setupModuleHandlers() {
         // UI event handlers
         this.modules.ui.on('areaCapture', () => this.handleAreaCapture());
+        this.modules.ui.on('areaCaptureOCR', () => this.handleAreaCaptureOCR());
         this.modules.ui.on('fullPageCapture', () => this.handleFullPageCapture());
         this.modules.ui.on('ocr', (data) => this.handleOCR(data));
+        this.modules.ui.on('cancelOCR', () => this.handleCancelOCR());
+        this.modules.ui.on('annotate', () => this.handleAnnotate());
+        this.modules.ui.on('openHistory', () => this.handleOpenHistory());
+        this.modules.ui.on('openUsage', () => this.handleOpenUsage());
         this.modules.ui.on('apiKeyChange', (apiKey) => this.handleAPIKeyChange(apiKey));
         this.modules.ui.on('modelChange', (model) => this.handleModelChange(model));
+        this.modules.ui.on('outputModeChange', (mode) => this.handleOutputModeChange(mode));
+        this.modules.ui.on('copyFormat', (format) => this.handleCopyFormat(format));
+        this.modules.ui.on('translationChange', (settings) => this.handleTranslationChange(settings));
+        this.modules.ui.on('templateChange', (templateId) => this.handleTemplateChange(templateId));
+        this.modules.ui.on('templateSave', (template) => this.handleTemplateSave(template));
+        this.modules.ui.on('templateDelete', (templateId) => this.handleTemplateDelete(templateId));
+        this.modules.ui.on('templateMove', (move) => this.handleTemplateMove(move));
+        this.modules.ui.on('retrySave', (settings) => this.handleRetrySave(settings));
+        this.modules.ui.on('preprocessingChange', (settings) => this.handlePreprocessingChange(settings));
+        this.modules.ui.on('preprocessPreview', (settings) => this.handlePreprocessPreview(settings));
+        this.modules.ui.on('sizeBudgetChange', (budget) => this.handleSizeBudgetChange(budget));
+        this.modules.ui.on('providerChange', (providerId) => this.handleProviderChange(providerId));
+        this.modules.ui.on('providerSave', (provider) => this.handleProviderSave(provider));
+        this.modules.ui.on('providerDelete', (providerId) => this.handleProviderDelete(providerId));
 
         // Storage event handlers (screenshot updates)
         window.addEventListener('screenshotUpdated', (event) => {
-            this.handleScreenshotUpdate(event.detail.imageData);
+            this.handleScreenshotUpdate(event.detail.imageData, event.detail.historyId);
         });
 
         // Settings update handler
@@ -100,19 +140,48 @@ class ScreenshotOCRPopup {
      */
     async loadInitialState() {
         try {
-            // Load API key and model
-            const [apiKey, model] = await Promise.all([
-                this.modules.storage.getAPIKey(),
-                this.modules.storage.getSelectedModel()
+            // Load providers and model
+            const [
+                customProviders, savedProviderId, model, outputMode, templates, templateId, translation, retry, fallbackModels,
+                preprocessing, sizeBudget
+            ] = await Promise.all([
+                this.modules.storage.getCustomProviders(),
+                this.modules.storage.getSelectedProvider(),
+                this.modules.storage.getSelectedModel(),
+                this.modules.storage.getOutputMode(),
+                this.modules.storage.getPromptTemplates(),
+                this.modules.storage.getSelectedTemplate(),
+                this.modules.storage.getTranslationSettings(),
+                this.modules.storage.getRetrySettings(),
+                this.modules.storage.getFallbackModels(),
+                this.modules.storage.getPreprocessingSettings(),
+                this.modules.storage.getSizeBudget()
             ]);
 
-            this.modules.ui.setAPIKey(apiKey);
-            this.modules.ui.setSelectedModel(model);
+            this.modules.ui.setOutputMode(outputMode);
+            this.modules.ui.setTranslationSettings(translation);
+            this.modules.ocr.setRetryOptions(retry);
+            this.modules.ui.showRetryForm({maxRetries: retry.maxRetries, models: fallbackModels.map(entry => entry.model)});
+            this.modules.ui.setPreprocessingSettings(this.modules.preprocessor.normalizeSettings(preprocessing));
+            this.modules.ui.setSizeBudget(this.modules.cropper.normalizeBudget(sizeBudget));
+            this.modules.templates.setTemplates(templates);
+            this.showTemplates(templateId);
+
+            this.modules.providers.setCustomProviders(customProviders);
+            await this.modules.catalog.applyCached(this.modules.providers);
+
+            // Settings saved before providers existed only know the model
+            const provider = this.modules.providers.getProvider(savedProviderId) ||
+                this.modules.providers.findProviderForModel(model) ||
+                this.modules.providers.getDefaultProvider();
+
+            await this.showProvider(provider.id, model);
 
             // Check for recent screenshots
             const screenshot = await this.modules.storage.getLatestScreenshot();
             if (screenshot) {
                 this.currentScreenshot = screenshot.imageData;
+                this.currentHistoryId = screenshot.historyId;
                 this.modules.ui.setScreenshotAvailable(true);
                 console.log('ScreenshotOCRPopup: Found recent screenshot');
                 
@@ -125,11 +194,99 @@ class ScreenshotOCRPopup {
                     this.modules.ui.showSuccess('✅ Area screenshot ready! You can now extract text using OCR.');
                 }
             }
+        
+            // The cached catalog is shown right away, a stale one is refreshed afterwards
+            await this.refreshModelCatalog();
         } catch (error) {
             console.error('ScreenshotOCRPopup: Failed to load initial state:', error);
         }
     }
 
+    /**
+     * Show a provider with its models, API key and editor state
+     * @param {string} providerId - Provider to show
+     * @param {string} model - Model to select if the provider offers it
+     */
+    async showProvider(providerId, model = null) {
+        const providers = this.modules.providers;
+        const provider = providers.getProvider(providerId) || providers.getDefaultProvider();
+
+        this.modules.ui.populateProviders(providers.getProviders());
+        this.modules.ui.setSelectedProvider(provider.id);
+        this.showModels(provider, model);
+        this.modules.ui.setAPIKeyRequired(providers.requiresAPIKey(provider));
+        this.modules.ui.setAPIKey(await this.getProviderAPIKey(provider));
+        this.modules.ui.showProviderForm(provider);
+    }
+
+    /**
+     * Show the models of a provider with their pricing and context size
+     * @param {Object} provider - Provider
+     * @param {string} model - Model to select if the provider offers it
+     */
+    showModels(provider, model = null) {
+        this.modules.ui.populateModels(provider.models.map(entry => ({
+            ...entry,
+            info: this.modules.catalog.describeModel(entry)
+        })));
+        this.modules.ui.setSelectedModel(
+            provider.models.some(entry => entry.value === model) ? model : provider.models[0].value
+        );
+    }
+
+    /**
+     * Replace the static model lists with the providers' catalogs once the cached ones expire
+     * The static lists stay when a catalog cannot be fetched (e.g. offline)
+     */
+    async refreshModelCatalog() {
+        const providers = this.modules.providers;
+        const current = this.getCurrentProvider();
+
+        for (const provider of providers.getProviders().filter(entry => this.modules.catalog.hasCatalog(entry))) {
+            const models = await this.modules.catalog.getModels(provider);
+            if (models) {
+                providers.setModels(provider.id, models);
+            }
+        }
+
+        if (this.modules.catalog.hasCatalog(current)) {
+            this.showModels(current, this.modules.ui.getSelectedModel());
+        }
+    }
+
+    /**
+     * Show the prompt templates with one selected and open in the editor
+     * @param {string} templateId - Template to select, empty for the output mode's prompt
+     */
+    showTemplates(templateId) {
+        const template = this.modules.templates.getTemplate(templateId);
+
+        this.modules.ui.populateTemplates(this.modules.templates.getTemplates());
+        this.modules.ui.setSelectedTemplate(template ? template.id : '');
+        this.modules.ui.showTemplateForm(template);
+    }
+
+    /**
+     * Get the API key for a provider
+     * @param {Object} provider - Provider
+     * @returns {Promise<string>} API key
+     */
+    async getProviderAPIKey(provider) {
+        if (provider.id === 'openrouter') {
+            return this.modules.storage.getAPIKey();
+        }
+        return provider.apiKey || '';
+    }
+
+    /**
+     * Get the currently selected provider
+     * @returns {Object} Provider
+     */
+    getCurrentProvider() {
+        return this.modules.providers.getProvider(this.modules.ui.getSelectedProvider()) ||
+            this.modules.providers.getDefaultProvider();
+    }
+
     /**
      * Handle area capture request
      */
@@ -138,7 +295,7 @@ class ScreenshotOCRPopup {
             console.log('ScreenshotOCRPopup: Starting area capture');
             
             // Show instructional message
-            this.modules.ui.showMessage('📝 This popup will close when you click the webpage - that\'s normal! Click and drag to select an area...');
+            this.modules.ui.showMessage('📝 This popup will close when you click the webpage - that\'s normal! Click and drag to select an area... (Tip: Alt+Shift+A starts this without the popup)');
             this.modules.ui.setButtonState('capture-area', 'loading');
             
             // Start area capture
@@ -163,6 +320,27 @@ class ScreenshotOCRPopup {
     }
 
 
+    /**
+     * Handle one-shot area capture + OCR request
+     * The background script runs OCR and the page shows the result, so the popup can close
+     */
+    async handleAreaCaptureOCR() {
+        try {
+            console.log('ScreenshotOCRPopup: Starting area capture + OCR');
+            
+            const response = await chrome.runtime.sendMessage({action: 'startAreaOCR'});
+            if (!response || response.error) {
+                throw new Error(response?.error || 'Failed to start area capture');
+            }
+            
+            // Get out of the way of the selection overlay
+            window.close();
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Area capture + OCR failed:', error);
+            this.modules.ui.showError(`❌ Area capture failed: ${error.message}`);
+        }
+    }
+
     /**
      * Handle full page capture request
      */
@@ -170,10 +348,15 @@ class ScreenshotOCRPopup {
         try {
             console.log('ScreenshotOCRPopup: Starting full page capture');
             
+            this.modules.ui.showMessage('📜 Scrolling through the page, please keep this popup open...');
+            this.modules.ui.setButtonState('capture-full', 'loading');
+            
             const imageData = await this.modules.screenshot.captureFullPage();
             
-            // Save screenshot
-            await this.modules.storage.saveScreenshot(imageData);
+            // Save screenshot and keep it in the history library
+            const historyId = await this.saveToHistory(imageData);
+            await this.modules.storage.saveScreenshot(imageData, historyId);
+            this.currentHistoryId = historyId;
             
             // Copy to clipboard
             await this.modules.clipboard.copyImageToClipboard(imageData);
@@ -182,10 +365,12 @@ class ScreenshotOCRPopup {
             this.currentScreenshot = imageData;
             this.modules.ui.setScreenshotAvailable(true);
             this.modules.ui.showSuccess('Screenshot captured and copied to clipboard!');
+            this.modules.ui.setButtonState('capture-full', 'normal');
             
         } catch (error) {
             console.error('ScreenshotOCRPopup: Full page capture failed:', error);
             this.modules.ui.showError(error.message);
+            this.modules.ui.setButtonState('capture-full', 'normal');
         }
     }
 
@@ -193,30 +378,243 @@ class ScreenshotOCRPopup {
      * Handle OCR request
      */
     async handleOCR({apiKey, model}) {
+        const controller = new AbortController();
+        this.ocrController = controller;
+
         try {
             if (!this.currentScreenshot) {
                 throw new Error('No screenshot available');
             }
 
-            console.log('ScreenshotOCRPopup: Starting OCR with model:', model);
+            this.modules.ui.setState({isProcessing: true});
+
+            const provider = this.getCurrentProvider();
+            const mode = this.modules.ui.getOutputMode();
+            console.log('ScreenshotOCRPopup: Starting OCR with model:', model, 'provider:', provider.id, 'mode:', mode);
             
-            const extractedText = await this.modules.ocr.extractText(
-                this.currentScreenshot, 
-                apiKey, 
-                model
-            );
+            // The fallback models are tried in order if the selected one fails
+            const settings = {
+                outputMode: mode,
+                templateId: this.modules.ui.getSelectedTemplate(),
+                chain: await this.modules.storage.getModelChain(this.modules.providers, {provider, model, apiKey}),
+                translation: this.modules.ui.getTranslationSettings(),
+                budget: await this.modules.storage.getUsageBudget()
+            };
+            const image = await this.modules.pipeline.prepareImage(this.currentScreenshot, {
+                preprocessing: this.modules.ui.getPreprocessingSettings(),
+                sizeBudget: this.modules.ui.getSizeBudget(),
+                onPreprocess: () => this.modules.ui.setProgress('Preparing image...')
+            });
+            this.modules.ui.setProgress('Processing...');
+            console.log('ScreenshotOCRPopup: Sending image:', image.info);
+
+            // AI providers stream their answer, so partial text shows up while they are still reading
+            const result = await this.modules.pipeline.run(image.imageData, settings, {
+                page: await this.getScreenshotPage(),
+                signal: controller.signal,
+                onPartial: (text) => this.modules.ui.showPartialResult(text),
+                onRetry: ({attempt, delay}) => this.modules.ui.setProgress(`Retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt})...`),
+                onFallback: ({model: failed, next}) => this.modules.ui.setProgress(`${failed} failed, trying ${next}...`),
+                onUsage: (usage, kind) => this.recordUsage(usage, kind)
+            });
+            const translation = result.translation && !result.translation.error ? result.translation : null;
+            const details = [
+                `Model: ${result.model}${result.failures.length > 0 ? ' (fallback)' : ''}`,
+                ...result.failures.map(failure => `${failure.model}: ${failure.error}`),
+                image.info && `Image: ${image.info}`,
+                result.language && `Language: ${result.language}`,
+                ...result.warnings,
+                result.translation && result.translation.error
+            ];
             
-            // Show result
-            this.modules.ui.showResult(extractedText);
+            // Show result with the copy formats of its mode
+            const formats = translation
+                ? [...result.formats, {id: 'translation', label: 'Copy translation', text: translation.text}]
+                : result.formats;
+            this.modules.ui.showResult(result.text, formats, details.filter(Boolean).join('\n'));
+            this.modules.ui.showTranslation(translation);
             
-            // Copy text to clipboard
-            await this.modules.clipboard.copyTextToClipboard(extractedText);
+            await this.saveOCRResult(result.text, result.model, translation);
+            
+            // Copy the default format to clipboard
+            await this.modules.clipboard.copyTextToClipboard(result.formats[0].text);
             
             console.log('ScreenshotOCRPopup: OCR completed successfully');
             
         } catch (error) {
+            if (controller.signal.aborted) {
+                console.log('ScreenshotOCRPopup: OCR cancelled');
+                this.modules.ui.setState({isProcessing: false});
+                this.modules.ui.showMessage('OCR cancelled');
+                return;
+            }
+
             console.error('ScreenshotOCRPopup: OCR failed:', error);
             this.modules.ui.showError(error.message);
+        } finally {
+            if (this.ocrController === controller) {
+                this.ocrController = null;
+            }
+        }
+    }
+
+    /**
+     * Handle size budget change
+     * @param {Object} budget - Budget {maxDimension, maxBytes}
+     */
+    async handleSizeBudgetChange(budget) {
+        try {
+            await this.modules.storage.saveSizeBudget(budget);
+            console.log('ScreenshotOCRPopup: Size budget saved');
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to save size budget:', error);
+        }
+    }
+
+    /**
+     * Handle preprocessing settings change
+     * @param {Object} settings - Settings with a boolean per step
+     */
+    async handlePreprocessingChange(settings) {
+        try {
+            await this.modules.storage.savePreprocessingSettings(settings);
+            console.log('ScreenshotOCRPopup: Preprocessing settings saved');
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to save preprocessing settings:', error);
+        }
+    }
+
+    /**
+     * Show the current screenshot before and after preprocessing
+     * @param {Object} settings - Settings with a boolean per step
+     */
+    async handlePreprocessPreview(settings) {
+        try {
+            if (!this.currentScreenshot) {
+                throw new Error('No screenshot available');
+            }
+
+            const result = await this.modules.preprocessor.process(this.currentScreenshot, settings);
+            const labels = this.modules.preprocessor.getSteps()
+                .filter(step => result.steps.includes(step.id))
+                .map(step => result.angle && step.id === 'deskew' ? `${step.label} (${-result.angle}°)` : step.label);
+            const size = result.width ? ` · ${result.width}×${result.height} px` : '';
+
+            this.modules.ui.showPreprocessPreview(
+                this.currentScreenshot,
+                result.imageData,
+                `${labels.length > 0 ? labels.join(', ') : 'No changes'}${size}`
+            );
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Preprocessing preview failed:', error);
+            this.modules.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Cancel the running OCR request
+     */
+    handleCancelOCR() {
+        if (this.ocrController) {
+            console.log('ScreenshotOCRPopup: Cancelling OCR');
+            this.ocrController.abort();
+        }
+    }
+
+    /**
+     * Get the page the current screenshot was taken from, for template variables
+     * @returns {Promise<Object>} Page {url, title}
+     */
+    async getScreenshotPage() {
+        try {
+            const entry = this.currentHistoryId ? await this.modules.history.getEntry(this.currentHistoryId) : null;
+            if (entry && entry.url) {
+                return {url: entry.url, title: entry.title};
+            }
+
+            const [tab] = await chrome.tabs.query({active: true, currentWindow: true});
+            return tab ? {url: tab.url, title: tab.title} : {};
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to get screenshot page:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Add a capture of the active tab to the history library
+     * @param {string} imageData - Captured image
+     * @returns {Promise<number|null>} History entry id, null if saving failed
+     */
+    async saveToHistory(imageData) {
+        try {
+            const [tab] = await chrome.tabs.query({active: true, currentWindow: true});
+            return await this.modules.history.addEntry({
+                imageData,
+                url: tab ? tab.url : '',
+                title: tab ? tab.title : ''
+            });
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to save history entry:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Record extracted text on the history entry of the current screenshot
+     * @param {string} text - Extracted text
+     * @param {string} model - Model that produced the text
+     * @param {Object|null} translation - Translation of the text (optional)
+     */
+    async saveOCRResult(text, model, translation = null) {
+        try {
+            if (this.currentHistoryId) {
+                await this.modules.history.updateEntry(this.currentHistoryId, {text, model, translation});
+            } else {
+                this.currentHistoryId = await this.modules.history.addEntry({
+                    imageData: this.currentScreenshot,
+                    text,
+                    model,
+                    translation
+                });
+            }
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to save OCR result to history:', error);
+        }
+    }
+
+    /**
+     * Open the annotation editor on the current screenshot in a new tab
+     */
+    handleAnnotate() {
+        const query = this.currentHistoryId ? `?id=${this.currentHistoryId}` : '';
+        chrome.tabs.create({url: chrome.runtime.getURL(`editor.html${query}`)});
+    }
+
+    /**
+     * Open the history library in a new tab
+     */
+    handleOpenHistory() {
+        chrome.tabs.create({url: chrome.runtime.getURL('history.html')});
+    }
+
+    /**
+     * Open the usage dashboard in a new tab
+     */
+    handleOpenUsage() {
+        chrome.tabs.create({url: chrome.runtime.getURL('usage.html')});
+    }
+
+    /**
+     * Record the tokens and cost of an API request
+     * @param {Object} usage - Usage reported by OCRService
+     * @param {string} kind - Request kind ('ocr' or 'translation')
+     * @returns {Promise<void>}
+     */
+    async recordUsage(usage, kind) {
+        try {
+            await this.modules.usage.addRecord({...usage, kind});
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to record usage:', error);
         }
     }
 
@@ -225,7 +623,14 @@ class ScreenshotOCRPopup {
      */
     async handleAPIKeyChange(apiKey) {
         try {
-            await this.modules.storage.saveAPIKey(apiKey);
+            const provider = this.getCurrentProvider();
+
+            if (provider.id === 'openrouter') {
+                await this.modules.storage.saveAPIKey(apiKey);
+            } else if (!provider.builtIn) {
+                this.modules.providers.saveProvider({...provider, apiKey});
+                await this.modules.storage.saveCustomProviders(this.modules.providers.getCustomProviders());
+            }
             console.log('ScreenshotOCRPopup: API key saved');
         } catch (error) {
             console.error('ScreenshotOCRPopup: Failed to save API key:', error);
@@ -244,12 +649,212 @@ class ScreenshotOCRPopup {
         }
     }
 
+    /**
+     * Handle output mode change
+     */
+    async handleOutputModeChange(mode) {
+        try {
+            await this.modules.storage.saveOutputMode(mode);
+            console.log('ScreenshotOCRPopup: Output mode saved:', mode);
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to save output mode:', error);
+        }
+    }
+
+    /**
+     * Handle prompt template selection change
+     */
+    async handleTemplateChange(templateId) {
+        try {
+            this.modules.ui.showTemplateForm(this.modules.templates.getTemplate(templateId));
+            await this.modules.storage.saveSelectedTemplate(templateId);
+            console.log('ScreenshotOCRPopup: Prompt template saved:', templateId);
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to save prompt template:', error);
+        }
+    }
+
+    /**
+     * Handle template editor save
+     */
+    async handleTemplateSave(form) {
+        try {
+            const template = this.modules.templates.saveTemplate(form);
+            await this.modules.storage.savePromptTemplates(this.modules.templates.getTemplates());
+            this.showTemplates(template.id);
+            await this.modules.storage.saveSelectedTemplate(template.id);
+
+            this.modules.ui.showSuccess(`Template "${template.name}" saved`);
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to save template:', error);
+            this.modules.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle template editor delete
+     */
+    async handleTemplateDelete(templateId) {
+        try {
+            this.modules.templates.removeTemplate(templateId);
+            await this.modules.storage.savePromptTemplates(this.modules.templates.getTemplates());
+            this.showTemplates('');
+            await this.modules.storage.saveSelectedTemplate('');
+
+            this.modules.ui.showSuccess('Template deleted');
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to delete template:', error);
+            this.modules.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle template editor reordering
+     */
+    async handleTemplateMove({id, offset}) {
+        try {
+            this.modules.templates.moveTemplate(id, offset);
+            await this.modules.storage.savePromptTemplates(this.modules.templates.getTemplates());
+            this.showTemplates(id);
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to move template:', error);
+            this.modules.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle saving the retry and fallback settings
+     * @param {Object} settings - Settings {maxRetries, models}, models are model ids in order
+     */
+    async handleRetrySave({maxRetries, models}) {
+        try {
+            const fallbackModels = models.map(model => {
+                const provider = this.modules.providers.findProviderForModel(model);
+                if (!provider) {
+                    throw new Error(`Unknown model: ${model}`);
+                }
+                return {model, providerId: provider.id};
+            });
+
+            const retry = {...await this.modules.storage.getRetrySettings(), maxRetries};
+            await this.modules.storage.saveRetrySettings(retry);
+            await this.modules.storage.saveFallbackModels(fallbackModels);
+            this.modules.ocr.setRetryOptions(retry);
+
+            this.modules.ui.showSuccess('Retry and fallback settings saved');
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to save retry settings:', error);
+            this.modules.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle translation settings change
+     */
+    async handleTranslationChange(settings) {
+        try {
+            await this.modules.storage.saveTranslationSettings(settings);
+            console.log('ScreenshotOCRPopup: Translation settings saved');
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to save translation settings:', error);
+        }
+    }
+
+    /**
+     * Copy one format of the OCR result
+     * @param {Object} format - Format {id, label, text}
+     */
+    async handleCopyFormat(format) {
+        try {
+            await this.modules.clipboard.copyTextToClipboard(format.text);
+            console.log('ScreenshotOCRPopup: Copied format:', format.id);
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to copy format:', error);
+            this.modules.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle provider change
+     */
+    async handleProviderChange(providerId) {
+        try {
+            await this.showProvider(providerId);
+            await Promise.all([
+                this.modules.storage.saveSelectedProvider(providerId),
+                this.modules.storage.saveSelectedModel(this.modules.ui.getSelectedModel())
+            ]);
+            console.log('ScreenshotOCRPopup: Provider saved:', providerId);
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to save provider:', error);
+        }
+    }
+
+    /**
+     * Handle provider editor save
+     */
+    async handleProviderSave(form) {
+        try {
+            // Must run first so the request still counts as a user gesture
+            await this.requestProviderAccess(form.baseURL);
+
+            const existing = form.id ? this.modules.providers.getProvider(form.id) : null;
+            const provider = this.modules.providers.saveProvider({
+                ...form,
+                apiKey: existing ? existing.apiKey : ''
+            });
+            await this.modules.storage.saveCustomProviders(this.modules.providers.getCustomProviders());
+            await this.handleProviderChange(provider.id);
+
+            this.modules.ui.showSuccess(`Provider "${provider.name}" saved`);
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to save provider:', error);
+            this.modules.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Handle provider editor delete
+     */
+    async handleProviderDelete(providerId) {
+        try {
+            this.modules.providers.removeProvider(providerId);
+            await this.modules.storage.saveCustomProviders(this.modules.providers.getCustomProviders());
+            await this.handleProviderChange(this.modules.providers.defaultProviderId);
+
+            this.modules.ui.showSuccess('Provider deleted');
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to delete provider:', error);
+            this.modules.ui.showError(error.message);
+        }
+    }
+
+    /**
+     * Ask for host access so requests to a self-hosted endpoint are not blocked by CORS
+     * @param {string} baseURL - Provider base URL
+     * @returns {Promise<void>}
+     */
+    async requestProviderAccess(baseURL) {
+        let origin;
+        try {
+            origin = new URL(baseURL).origin;
+        } catch (error) {
+            return; // Reported by provider validation
+        }
+
+        const granted = await chrome.permissions.request({origins: [`${origin}/*`]});
+        if (!granted) {
+            throw new Error(`Access to ${origin} is needed to use this provider`);
+        }
+    }
+
     /**
      * Handle screenshot update from storage
      */
-    handleScreenshotUpdate(imageData) {
+    handleScreenshotUpdate(imageData, historyId = null) {
         console.log('ScreenshotOCRPopup: Screenshot updated');
         this.currentScreenshot = imageData;
+        this.currentHistoryId = historyId;
         this.modules.ui.setScreenshotAvailable(true);
     }
 
@@ -259,13 +864,84 @@ class ScreenshotOCRPopup {
     handleSettingsUpdate(changes) {
         console.log('ScreenshotOCRPopup: Settings updated:', changes);
         
-        if (changes.apiKey) {
+        if (this.modules.storage.hasProviderChanges(changes)) {
+            this.refreshProviders();
+        }
+        
+        if (changes.apiKey && this.getCurrentProvider().id === 'openrouter') {
             this.modules.ui.setAPIKey(changes.apiKey.newValue);
         }
         
         if (changes.selectedModel) {
             this.modules.ui.setSelectedModel(changes.selectedModel.newValue);
         }
+        
+        if (changes.outputMode) {
+            this.modules.ui.setOutputMode(changes.outputMode.newValue);
+        }
+        
+        if (changes.translation) {
+            this.modules.ui.setTranslationSettings(changes.translation.newValue || {});
+        }
+        
+        if (changes.preprocessing) {
+            this.modules.ui.setPreprocessingSettings(
+                this.modules.preprocessor.normalizeSettings(changes.preprocessing.newValue)
+            );
+        }
+
+        if (changes.sizeBudget) {
+            this.modules.ui.setSizeBudget(this.modules.cropper.normalizeBudget(changes.sizeBudget.newValue));
+        }
+
+        if (changes.retrySettings) {
+            this.modules.ocr.setRetryOptions(changes.retrySettings.newValue || {});
+        }
+
+        if (changes.retrySettings || changes.fallbackModels) {
+            this.modules.ui.showRetryForm({
+                ...this.modules.ui.getRetryForm(),
+                ...(changes.retrySettings && changes.retrySettings.newValue),
+                ...(changes.fallbackModels && {models: (changes.fallbackModels.newValue || []).map(entry => entry.model)})
+            });
+        }
+
+        const templatesChanged = this.modules.storage.hasTemplateChanges(changes);
+        if (templatesChanged || changes.selectedTemplate) {
+            this.refreshTemplates(changes.selectedTemplate
+                ? changes.selectedTemplate.newValue
+                : this.modules.ui.getSelectedTemplate(), templatesChanged);
+        }
+    }
+
+    /**
+     * Read the custom providers again after they changed in storage
+     */
+    async refreshProviders() {
+        try {
+            const providerId = this.modules.ui.getSelectedProvider();
+            this.modules.providers.setCustomProviders(await this.modules.storage.getCustomProviders());
+            this.modules.ui.populateProviders(this.modules.providers.getProviders());
+            this.modules.ui.setSelectedProvider(providerId);
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to reload providers:', error);
+        }
+    }
+
+    /**
+     * Show the templates again after they changed in storage
+     * @param {string} templateId - Template to select
+     * @param {boolean} reload - Whether to read the templates from storage first
+     */
+    async refreshTemplates(templateId, reload) {
+        try {
+            if (reload) {
+                this.modules.templates.setTemplates(await this.modules.storage.getPromptTemplates());
+            }
+            this.showTemplates(templateId);
+        } catch (error) {
+            console.error('ScreenshotOCRPopup: Failed to reload prompt templates:', error);
+        }
     }
 
     /**
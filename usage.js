@@ -0,0 +1,230 @@
+/**
+ * Usage Page Controller
+ * Shows API tokens and cost by day and model, and manages the monthly budget
+ */
+
+class UsagePage {
+    constructor() {
+        this.modules = {};
+        this.elements = {};
+        this.month = new Date();
+    }
+
+    /**
+     * Initialize the usage page
+     */
+    async initialize() {
+        console.log('UsagePage: Initializing');
+
+        try {
+            this.modules = {
+                storage: new StorageManager(),
+                usage: new UsageStore()
+            };
+
+            this.elements = {
+                monthInput: document.getElementById('monthInput'),
+                totalCost: document.getElementById('totalCost'),
+                totalRequests: document.getElementById('totalRequests'),
+                totalTokens: document.getElementById('totalTokens'),
+                unpricedNote: document.getElementById('unpricedNote'),
+                budgetLimit: document.getElementById('budgetLimit'),
+                budgetAction: document.getElementById('budgetAction'),
+                saveBudgetBtn: document.getElementById('saveBudgetBtn'),
+                budgetBar: document.getElementById('budgetBar'),
+                budgetStatus: document.getElementById('budgetStatus'),
+                usageTables: document.getElementById('usageTables'),
+                modelRows: document.getElementById('modelRows'),
+                dayRows: document.getElementById('dayRows'),
+                emptyState: document.getElementById('emptyState'),
+                clearUsageBtn: document.getElementById('clearUsageBtn'),
+                status: document.getElementById('status')
+            };
+
+            this.elements.monthInput.value = this.getMonthValue(this.month);
+            this.elements.monthInput.addEventListener('change', () => this.handleMonthChange());
+            this.elements.saveBudgetBtn.addEventListener('click', () => this.saveBudget());
+            this.elements.clearUsageBtn.addEventListener('click', () => this.clearUsage());
+
+            const budget = await this.modules.storage.getUsageBudget();
+            this.elements.budgetLimit.value = budget.monthlyLimit;
+            this.elements.budgetAction.value = budget.action;
+
+            await this.render();
+        } catch (error) {
+            console.error('UsagePage: Initialization failed:', error);
+            this.showStatus(`Failed to load usage: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Show the usage of the selected month
+     */
+    async render() {
+        const records = await this.modules.usage.getMonthRecords(this.month);
+        const summary = this.modules.usage.summarize(records);
+        const {totals} = summary;
+
+        this.elements.totalCost.textContent = this.modules.usage.formatCost(totals.cost);
+        this.elements.totalRequests.textContent = totals.requests;
+        this.elements.totalTokens.textContent =
+            `${totals.promptTokens.toLocaleString()} / ${totals.completionTokens.toLocaleString()}`;
+
+        // Providers other than OpenRouter usually report tokens but no cost
+        this.elements.unpricedNote.textContent = `${totals.unpriced} of ${totals.requests} requests had no cost reported by their provider and are not included in the cost.`;
+        this.elements.unpricedNote.classList.toggle('hidden', totals.unpriced === 0);
+
+        this.elements.modelRows.textContent = '';
+        summary.models.forEach(model => {
+            this.elements.modelRows.appendChild(this.renderRow(model.model, model));
+        });
+
+        this.elements.dayRows.textContent = '';
+        summary.days.forEach(day => {
+            this.elements.dayRows.appendChild(this.renderRow(day.day, day, 'day-row'));
+            day.models.forEach(model => {
+                this.elements.dayRows.appendChild(this.renderRow(model.model, model, 'model-row'));
+            });
+        });
+
+        this.elements.usageTables.classList.toggle('hidden', records.length === 0);
+        this.elements.emptyState.classList.toggle('hidden', records.length > 0);
+
+        await this.renderBudget();
+    }
+
+    /**
+     * Create a table row
+     * @param {string} label - First column
+     * @param {Object} totals - Totals {requests, promptTokens, completionTokens, cost, unpriced}
+     * @param {string} className - Row class (optional)
+     * @returns {HTMLTableRowElement} Row
+     */
+    renderRow(label, totals, className = '') {
+        const row = document.createElement('tr');
+        row.className = className;
+
+        // A cost is only known when at least one request reported it
+        const cost = totals.unpriced === totals.requests ? null : totals.cost;
+        [
+            label,
+            totals.requests,
+            totals.promptTokens.toLocaleString(),
+            totals.completionTokens.toLocaleString(),
+            this.modules.usage.formatCost(cost)
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+
+        return row;
+    }
+
+    /**
+     * Show how much of the monthly budget is used
+     */
+    async renderBudget() {
+        const budget = await this.modules.storage.getUsageBudget();
+        const status = await this.modules.usage.checkBudget(budget, this.month);
+
+        if (!status) {
+            this.elements.budgetBar.classList.add('hidden');
+            this.elements.budgetStatus.textContent = 'No monthly budget set.';
+            return;
+        }
+
+        const percent = Math.min(100, status.spent / status.limit * 100);
+        this.elements.budgetBar.classList.remove('hidden');
+        this.elements.budgetBar.classList.toggle('exceeded', status.exceeded);
+        this.elements.budgetBar.firstElementChild.style.width = `${percent}%`;
+
+        const formatCost = (cost) => this.modules.usage.formatCost(cost);
+        const reached = status.action === 'block' ? 'AI requests are blocked' : 'OCR results show a warning';
+        this.elements.budgetStatus.textContent = status.exceeded
+            ? `${formatCost(status.spent)} of ${formatCost(status.limit)} spent, budget reached: ${reached} until next month.`
+            : `${formatCost(status.spent)} of ${formatCost(status.limit)} spent (${Math.round(percent)}%).`;
+    }
+
+    /**
+     * Show another month
+     */
+    async handleMonthChange() {
+        const [year, month] = this.elements.monthInput.value.split('-').map(Number);
+        if (!year || !month) {
+            return;
+        }
+
+        try {
+            this.month = new Date(year, month - 1, 1);
+            await this.render();
+        } catch (error) {
+            console.error('UsagePage: Failed to load month:', error);
+            this.showStatus(`Failed to load usage: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Save the monthly budget
+     */
+    async saveBudget() {
+        const limit = parseFloat(this.elements.budgetLimit.value);
+
+        try {
+            if (isNaN(limit) || limit < 0) {
+                throw new Error('Budget must be a positive amount or 0');
+            }
+
+            await this.modules.storage.saveUsageBudget({monthlyLimit: limit, action: this.elements.budgetAction.value});
+            await this.renderBudget();
+            this.showStatus('Budget saved', 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Delete all usage records
+     */
+    async clearUsage() {
+        if (!confirm('Delete all recorded usage? Spending counted against this month\'s budget is reset too.')) {
+            return;
+        }
+
+        try {
+            await this.modules.usage.clear();
+            await this.render();
+            this.showStatus('Usage data cleared', 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    /**
+     * Format a date for the month input
+     * @param {Date} date - Date
+     * @returns {string} Month as YYYY-MM
+     */
+    getMonthValue(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * Show a status message
+     * @param {string} message - Message text
+     * @param {string} type - 'success' or 'error'
+     */
+    showStatus(message, type) {
+        this.elements.status.textContent = message;
+        this.elements.status.className = type;
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const page = new UsagePage();
+    page.initialize();
+
+    // Make available for debugging
+    window.usagePage = page;
+});
\ No newline at end of file